@@ -4,14 +4,63 @@ import ProfileEditor from './components/ProfileEditor'
 import ProfileAssignment from './components/ProfileAssignment'
 import TunnelViewer from './components/TunnelViewer'
 import HeightSettings from './components/HeightSettings'
+import ChainageSettings from './components/ChainageSettings'
+import SuperelevationSettings from './components/SuperelevationSettings'
+import QuantitiesPanel from './components/QuantitiesPanel'
+import ClearancePanel from './components/ClearancePanel'
+import { computeAxisTotalLength, migrateArcPoints, FRAME_MODES, MORPH_METHODS } from './utils/geometry'
+import { DEFAULT_CHAINAGE, normalizeChainage } from './utils/chainage'
+import { DEFAULT_SUPERELEVATION, normalizeSuperelevation } from './utils/superelevation'
+import { DEFAULT_CLEARANCE_GAUGE, normalizeClearanceGauge } from './utils/clearance'
+import { normalizeAnnotations } from './utils/annotations'
 import './App.css'
 
+const migrateContour = (contour) => ({
+  ...contour,
+  points: migrateArcPoints(contour.points),
+  segments: (contour.segments || []).map(seg => (seg.type === 'arc' && seg.largeArc === undefined ? { ...seg, largeArc: false } : seg)),
+})
+
+const migrateProfile = (profile) => ({
+  ...migrateContour(profile),
+  ...(Array.isArray(profile.layers) ? { layers: profile.layers.map(migrateContour) } : {}),
+})
+
 function App() {
   const [activeTab, setActiveTab] = useState('axis')
+  // Assignment to select when its tab is opened from the 3D viewer: {tab, id}
+  const [focusedAssignment, setFocusedAssignment] = useState(null)
+  const openAssignment = (tab, id) => {
+    setFocusedAssignment({ tab, id })
+    setActiveTab(tab)
+  }
+  // Forgotten once another tab is opened
+  useEffect(() => {
+    if (focusedAssignment && focusedAssignment.tab !== activeTab) setFocusedAssignment(null)
+  }, [activeTab, focusedAssignment])
   const [axisData, setAxisData] = useState([])
   const [axisPoints, setAxisPoints] = useState(() => {
     try {
       const stored = window.localStorage.getItem('tunnel-axis-points-v1')
+      if (stored) {
+        const parsed = JSON.parse(stored)
+        if (Array.isArray(parsed)) return migrateArcPoints(parsed)
+      }
+    } catch {
+      // ignore
+    }
+    return []
+  })
+  const [axisMode, setAxisMode] = useState(() => {
+    try {
+      return window.localStorage.getItem('tunnel-axis-mode-v1') === 'pi' ? 'pi' : 'points'
+    } catch {
+      return 'points'
+    }
+  })
+  const [axisPIs, setAxisPIs] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-axis-pis-v1')
       if (stored) {
         const parsed = JSON.parse(stored)
         if (Array.isArray(parsed)) return parsed
@@ -21,12 +70,68 @@ function App() {
     }
     return []
   })
+  const [chainage, setChainage] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-chainage-v1')
+      if (stored) return normalizeChainage(JSON.parse(stored))
+    } catch {
+      // ignore
+    }
+    return DEFAULT_CHAINAGE
+  })
+  const [superelevation, setSuperelevation] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-superelevation-v1')
+      if (stored) return normalizeSuperelevation(JSON.parse(stored))
+    } catch {
+      // ignore
+    }
+    return DEFAULT_SUPERELEVATION
+  })
+  const [frameMode, setFrameMode] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-frame-mode-v1')
+      if (FRAME_MODES.includes(stored)) return stored
+    } catch {
+      // ignore
+    }
+    return 'chord'
+  })
+  const [morphMethod, setMorphMethod] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-morph-method-v1')
+      if (MORPH_METHODS.includes(stored)) return stored
+    } catch {
+      // ignore
+    }
+    return 'angle'
+  })
+  const [clearanceGauge, setClearanceGauge] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-clearance-gauge-v1')
+      if (stored) return normalizeClearanceGauge(JSON.parse(stored))
+    } catch {
+      // ignore
+    }
+    return DEFAULT_CLEARANCE_GAUGE
+  })
+  const [annotations, setAnnotations] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-annotations-v1')
+      if (stored) return normalizeAnnotations(JSON.parse(stored))
+    } catch {
+      // ignore
+    }
+    return []
+  })
+  // Last clearance check; not persisted and dropped whenever the design changes
+  const [clearanceResult, setClearanceResult] = useState(null)
   const [profiles, setProfiles] = useState(() => {
     try {
       const stored = window.localStorage.getItem('tunnel-profiles-v1')
       if (stored) {
         const parsed = JSON.parse(stored)
-        if (Array.isArray(parsed)) return parsed
+        if (Array.isArray(parsed)) return parsed.map(migrateProfile)
       }
     } catch {
       // ignore
@@ -58,25 +163,25 @@ function App() {
     return []
   })
 
-  const computeAxisTotalLength = (segments) => {
-    if (!segments || segments.length === 0) return 0
-    return segments.reduce((sum, seg) => {
-      if (seg.type === 'line') {
-        const dx = seg.end.x - seg.start.x
-        const dy = seg.end.y - seg.start.y
-        return sum + Math.hypot(dx, dy)
-      }
-      if (seg.type === 'arc' && seg.radius) {
-        const dx = seg.end.x - seg.start.x
-        const dy = seg.end.y - seg.start.y
-        const chord = Math.hypot(dx, dy)
-        if (chord === 0) return sum
-        const angle = 2 * Math.asin(Math.min(1, chord / (2 * Math.abs(seg.radius))))
-        return sum + Math.abs(seg.radius) * angle
-      }
-      return sum
-    }, 0)
-  }
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-clearance-gauge-v1', JSON.stringify(clearanceGauge))
+    } catch {
+      // ignore
+    }
+  }, [clearanceGauge])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-annotations-v1', JSON.stringify(annotations))
+    } catch {
+      // ignore
+    }
+  }, [annotations])
+
+  useEffect(() => {
+    setClearanceResult(null)
+  }, [axisData, profiles, profileAssignments, heightAssignments, superelevation, morphMethod, clearanceGauge])
 
   useEffect(() => {
     try {
@@ -95,6 +200,48 @@ function App() {
     }
   }, [axisPoints])
 
+  // Persist PI alignment and axis entry mode
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-axis-pis-v1', JSON.stringify(axisPIs))
+      window.localStorage.setItem('tunnel-axis-mode-v1', axisMode)
+    } catch {
+      // ignore
+    }
+  }, [axisPIs, axisMode])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-chainage-v1', JSON.stringify(chainage))
+    } catch {
+      // ignore
+    }
+  }, [chainage])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-superelevation-v1', JSON.stringify(superelevation))
+    } catch {
+      // ignore
+    }
+  }, [superelevation])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-frame-mode-v1', frameMode)
+    } catch {
+      // ignore
+    }
+  }, [frameMode])
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-morph-method-v1', morphMethod)
+    } catch {
+      // ignore
+    }
+  }, [morphMethod])
+
   // Persist profile assignments (length-based), cleaned and sorted
   useEffect(() => {
     const validProfileIds = new Set(profiles.map(p => p.id))
@@ -143,11 +290,19 @@ function App() {
 
   const exportConfig = () => {
     const config = {
-      version: '1.0',
+      version: '1.1',
+      axisMode,
       axisPoints,
+      axisPIs,
+      chainage,
       profiles,
       profileAssignments,
       heightAssignments,
+      superelevation,
+      frameMode,
+      morphMethod,
+      clearanceGauge,
+      annotations,
     }
     const json = JSON.stringify(config, null, 2)
     const blob = new Blob([json], { type: 'application/json' })
@@ -170,10 +325,15 @@ function App() {
       try {
         const config = JSON.parse(e.target?.result || '{}')
         if (config.axisPoints && Array.isArray(config.axisPoints)) {
-          setAxisPoints(config.axisPoints)
+          setAxisPoints(migrateArcPoints(config.axisPoints))
+        }
+        if (config.axisPIs && Array.isArray(config.axisPIs)) {
+          setAxisPIs(config.axisPIs)
         }
+        setAxisMode(config.axisMode === 'pi' ? 'pi' : 'points')
+        setChainage(normalizeChainage(config.chainage))
         if (config.profiles && Array.isArray(config.profiles)) {
-          setProfiles(config.profiles)
+          setProfiles(config.profiles.map(migrateProfile))
         }
         if (config.profileAssignments && Array.isArray(config.profileAssignments)) {
           setProfileAssignments(config.profileAssignments)
@@ -181,6 +341,11 @@ function App() {
         if (config.heightAssignments && Array.isArray(config.heightAssignments)) {
           setHeightAssignments(config.heightAssignments)
         }
+        setSuperelevation(normalizeSuperelevation(config.superelevation))
+        setFrameMode(FRAME_MODES.includes(config.frameMode) ? config.frameMode : 'chord')
+        setMorphMethod(MORPH_METHODS.includes(config.morphMethod) ? config.morphMethod : 'angle')
+        setClearanceGauge(normalizeClearanceGauge(config.clearanceGauge))
+        setAnnotations(normalizeAnnotations(config.annotations))
         alert('Config imported successfully!')
       } catch (error) {
         alert('Failed to import config: ' + error.message)
@@ -209,12 +374,24 @@ function App() {
           >
             Axis Design
           </button>
+          <button
+            className={activeTab === 'chainage' ? 'active' : ''}
+            onClick={() => setActiveTab('chainage')}
+          >
+            Chainage
+          </button>
           <button
             className={activeTab === 'height' ? 'active' : ''}
             onClick={() => setActiveTab('height')}
           >
             Height
           </button>
+          <button
+            className={activeTab === 'superelevation' ? 'active' : ''}
+            onClick={() => setActiveTab('superelevation')}
+          >
+            Superelevation
+          </button>
           <button
             className={activeTab === 'profiles' ? 'active' : ''}
             onClick={() => setActiveTab('profiles')}
@@ -227,6 +404,18 @@ function App() {
           >
             Profile Assignment
           </button>
+          <button
+            className={activeTab === 'quantities' ? 'active' : ''}
+            onClick={() => setActiveTab('quantities')}
+          >
+            Quantities
+          </button>
+          <button
+            className={activeTab === 'clearance' ? 'active' : ''}
+            onClick={() => setActiveTab('clearance')}
+          >
+            Clearance
+          </button>
           <button
             className={activeTab === 'viewer' ? 'active' : ''}
             onClick={() => setActiveTab('viewer')}
@@ -243,6 +432,22 @@ function App() {
             setAxisData={setAxisData}
             axisPoints={axisPoints}
             setAxisPoints={setAxisPoints}
+            axisMode={axisMode}
+            setAxisMode={setAxisMode}
+            axisPIs={axisPIs}
+            setAxisPIs={setAxisPIs}
+            heightAssignments={heightAssignments}
+            chainage={chainage}
+            annotations={annotations}
+          />
+        )}
+        {activeTab === 'chainage' && (
+          <ChainageSettings
+            chainage={chainage}
+            setChainage={setChainage}
+            totalLength={computeAxisTotalLength(axisData)}
+            annotations={annotations}
+            setAnnotations={setAnnotations}
           />
         )}
         {activeTab === 'profiles' && (
@@ -255,6 +460,12 @@ function App() {
             profileAssignments={profileAssignments}
             setProfileAssignments={setProfileAssignments}
             totalLength={computeAxisTotalLength(axisData)}
+            chainage={chainage}
+            morphMethod={morphMethod}
+            setMorphMethod={setMorphMethod}
+            clearanceResult={clearanceResult}
+            annotations={annotations}
+            initialSelectedId={focusedAssignment?.tab === 'assignment' ? focusedAssignment.id : null}
           />
         )}
         {activeTab === 'height' && (
@@ -263,6 +474,45 @@ function App() {
             heightAssignments={heightAssignments}
             setHeightAssignments={setHeightAssignments}
             totalLength={computeAxisTotalLength(axisData)}
+            chainage={chainage}
+            annotations={annotations}
+            initialSelectedId={focusedAssignment?.tab === 'height' ? focusedAssignment.id : null}
+          />
+        )}
+        {activeTab === 'superelevation' && (
+          <SuperelevationSettings
+            superelevation={superelevation}
+            setSuperelevation={setSuperelevation}
+            totalLength={computeAxisTotalLength(axisData)}
+            chainage={chainage}
+          />
+        )}
+        {activeTab === 'quantities' && (
+          <QuantitiesPanel
+            axisData={axisData}
+            profiles={profiles}
+            profileAssignments={profileAssignments}
+            heightAssignments={heightAssignments}
+            superelevation={superelevation}
+            frameMode={frameMode}
+            morphMethod={morphMethod}
+            chainage={chainage}
+          />
+        )}
+        {activeTab === 'clearance' && (
+          <ClearancePanel
+            axisData={axisData}
+            profiles={profiles}
+            profileAssignments={profileAssignments}
+            heightAssignments={heightAssignments}
+            superelevation={superelevation}
+            morphMethod={morphMethod}
+            chainage={chainage}
+            totalLength={computeAxisTotalLength(axisData)}
+            gauge={clearanceGauge}
+            setGauge={setClearanceGauge}
+            result={clearanceResult}
+            setResult={setClearanceResult}
           />
         )}
         {activeTab === 'viewer' && (
@@ -271,6 +521,14 @@ function App() {
             profiles={profiles}
             profileAssignments={profileAssignments}
             heightAssignments={heightAssignments}
+            superelevation={superelevation}
+            frameMode={frameMode}
+            setFrameMode={setFrameMode}
+            morphMethod={morphMethod}
+            clearanceResult={clearanceResult}
+            chainage={chainage}
+            annotations={annotations}
+            onOpenAssignment={openAssignment}
           />
         )}
       </main>
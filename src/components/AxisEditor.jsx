@@ -1,17 +1,34 @@
 import { useState, useEffect, useMemo } from 'react'
 import SegmentCanvas from './SegmentCanvas'
-import { computeAxisScale } from '../utils/geometry'
+import PIAlignmentTable from './PIAlignmentTable'
+import StationOffsetTool from './StationOffsetTool'
+import { computeAxisScale, buildAxisSegments, buildPIAlignment, projectPointOnAxis } from '../utils/geometry'
+import { getAnnotationLabels } from '../utils/annotations'
 import './AxisEditor.css'
 
-function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
+function AxisEditor({
+  axisData,
+  setAxisData,
+  axisPoints,
+  setAxisPoints,
+  axisMode = 'points',
+  setAxisMode,
+  axisPIs = [],
+  setAxisPIs,
+  heightAssignments = [],
+  chainage,
+  annotations = [],
+}) {
   // Points are defined in user coordinates (e.g. meters), with (0,0) at the origin.
-  // Each point (after the first) also defines the segment type from the previous point: line or arc.
+  // Each point (after the first) also defines the segment type from the previous point: line, arc or clothoid.
   const canvasWidth = window.innerWidth - 380 // leave more room for left panel
   const canvasHeight = window.innerHeight - 200
 
   const [zoom, setZoom] = useState(1)
   const [offset, setOffset] = useState({ x: canvasWidth / 2, y: canvasHeight / 2 })
   const [selectedPointId, setSelectedPointId] = useState(null)
+  const [probe, setProbe] = useState({ x: '', y: '', z: '' })
+  const [pickMode, setPickMode] = useState(false)
 
   // Compute axis scale for large coordinates (lat/long)
   const axisScale = useMemo(() => {
@@ -19,40 +36,29 @@ function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
     return computeAxisScale(axisData, Math.min(canvasWidth, canvasHeight) * 0.8)
   }, [axisData, canvasWidth, canvasHeight])
 
+  // In PI mode the point list is generated from the PI chain
+  const piAlignment = useMemo(() => buildPIAlignment(axisPIs), [axisPIs])
+  const isPIMode = axisMode === 'pi'
+
   // Whenever points change, rebuild axis segments, push to parent, and persist
   useEffect(() => {
     if (!setAxisData) return
-    if (!axisPoints || axisPoints.length < 2) {
+    const sourcePoints = isPIMode ? piAlignment.points : axisPoints
+    if (!sourcePoints || sourcePoints.length < 2) {
       setAxisData([])
       return
     }
 
-    const segments = []
-    for (let i = 1; i < axisPoints.length; i++) {
-      const prev = axisPoints[i - 1]
-      const curr = axisPoints[i]
-      const segType = curr.type || 'line'
-      const start = { x: prev.x, y: prev.y }
-      const end = { x: curr.x, y: curr.y }
-
-      if (segType === 'arc' && curr.radius && Number(curr.radius) !== 0) {
-        segments.push({
-          type: 'arc',
-          start,
-          end,
-          radius: Number(curr.radius),
-        })
-      } else {
-        segments.push({
-          type: 'line',
-          start,
-          end,
-        })
-      }
-    }
+    const segments = buildAxisSegments(sourcePoints)
 
     setAxisData(segments)
-  }, [axisPoints, setAxisData])
+  }, [axisPoints, piAlignment, isPIMode, setAxisData])
+
+  const convertPIsToPoints = () => {
+    const base = Date.now()
+    setAxisPoints(piAlignment.points.map((p, i) => ({ radius: '', ...p, id: base + i })))
+    setAxisMode?.('points')
+  }
 
   const addPoint = () => {
     const newPoint = {
@@ -67,7 +73,7 @@ function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
 
   const updatePoint = (id, field, value) => {
     let v = value
-    if (field === 'x' || field === 'y' || field === 'radius') {
+    if (['x', 'y', 'radius', 'startRadius', 'length', 'clothoidA'].includes(field)) {
       v = value === '' ? '' : Number(value)
     }
 
@@ -100,6 +106,29 @@ function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
     })
   }
 
+  // Clothoid end points are computed from the preceding geometry, not entered
+  const clothoidEnds = useMemo(() => {
+    const ends = {}
+    ;(axisPoints || []).forEach((p, index) => {
+      if (p.type !== 'clothoid') return
+      const segs = buildAxisSegments(axisPoints.slice(0, index + 1))
+      const last = segs[segs.length - 1]
+      if (last?.type === 'clothoid') ends[p.id] = last.end
+    })
+    return ends
+  }, [axisPoints])
+
+  const formatCoord = (v) => (v === undefined ? '' : Number(v.toFixed(3)))
+
+  // Markers for the station/offset probe and its foot point on the axis
+  const probeMarkers = useMemo(() => {
+    if (probe.x === '' || probe.y === '') return []
+    const res = projectPointOnAxis(axisData, heightAssignments, probe)
+    const markers = [{ id: 'probe', x: probe.x, y: probe.y }]
+    if (res) markers.push({ id: 'probe-foot', x: res.foot.x, y: res.foot.y })
+    return markers
+  }, [probe, axisData, heightAssignments])
+
   const zoomIn = () => setZoom((z) => Math.min(4, z * 1.25))
   const zoomOut = () => setZoom((z) => Math.max(0.25, z / 1.25))
   const resetView = () => {
@@ -111,7 +140,19 @@ function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
     <div className="axis-editor">
       <div className="axis-header">
         <h2>Axis Design</h2>
-        <p>Define points (x, y). The axis on the right connects them as a polyline.</p>
+        <p>
+          {isPIMode
+            ? 'Define the PI chain. Curves and spirals are fitted tangent to the PI legs.'
+            : 'Define points (x, y). The axis on the right connects them as a polyline.'}
+        </p>
+        <div className="axis-mode-toggle">
+          <button className={!isPIMode ? 'active' : ''} onClick={() => setAxisMode?.('points')}>
+            Points
+          </button>
+          <button className={isPIMode ? 'active' : ''} onClick={() => setAxisMode?.('pi')}>
+            PI
+          </button>
+        </div>
         <div className="axis-zoom-controls">
           <button onClick={zoomOut}>-</button>
           <span>{Math.round(zoom * 100)}%</span>
@@ -125,116 +166,203 @@ function AxisEditor({ axisData, setAxisData, axisPoints, setAxisPoints }) {
       <div className="axis-main">
         {/* Left: point list and controls */}
         <div className="axis-form">
-          <div className="axis-form-header">
-            <span>#</span>
-            <span>X</span>
-            <span>Y</span>
-            <span>Type</span>
-            <span>Radius</span>
-          </div>
+          {isPIMode ? (
+            <PIAlignmentTable
+              pis={axisPIs}
+              setPIs={setAxisPIs}
+              alignment={piAlignment}
+              selectedId={selectedPointId}
+              onSelect={setSelectedPointId}
+              onConvert={convertPIsToPoints}
+            />
+          ) : (
+            <>
+              <div className="axis-form-header">
+                <span>#</span>
+                <span>X</span>
+                <span>Y</span>
+                <span>Type</span>
+                <span>Radius</span>
+              </div>
 
-          {(axisPoints || []).map((p, index) => (
-            <div 
-              key={p.id} 
-              className={`axis-point-row ${selectedPointId === p.id ? 'selected' : ''}`}
-              onClick={() => setSelectedPointId(p.id)}
-            >
-              <span className="axis-point-index">
-                {index + 1}
-              </span>
-              <input
-                type="number"
-                value={p.x}
-                onChange={(e) => updatePoint(p.id, 'x', e.target.value)}
-                onClick={(e) => e.stopPropagation()}
-              />
-              <input
-                type="number"
-                value={p.y}
-                onChange={(e) => updatePoint(p.id, 'y', e.target.value)}
-                onClick={(e) => e.stopPropagation()}
-              />
-              {index === 0 ? (
-                <>
-                  <span></span>
-                  <div className="axis-point-radius" onClick={(e) => e.stopPropagation()}>
-                    <button
-                      className="axis-point-remove"
-                      onClick={() => removePoint(p.id)}
-                    >
-                      ×
-                    </button>
-                  </div>
-                </>
-              ) : (
-                <>
-                  <select
-                    value={p.type || 'line'}
-                    onChange={(e) => updatePoint(p.id, 'type', e.target.value)}
-                    className="axis-point-type"
-                    onClick={(e) => e.stopPropagation()}
+              {(axisPoints || []).map((p, index) => (
+                <div key={p.id}>
+                  <div 
+                    className={`axis-point-row ${selectedPointId === p.id ? 'selected' : ''}`}
+                    onClick={() => setSelectedPointId(p.id)}
                   >
-                    <option value="line">Line</option>
-                    <option value="arc">Arc</option>
-                  </select>
-                  <div className="axis-point-radius" onClick={(e) => e.stopPropagation()}>
-                    {p.type === 'arc' && (
-                      <input
-                        type="number"
-                        value={p.radius === '' ? '' : p.radius}
-                        onChange={(e) => updatePoint(p.id, 'radius', e.target.value)}
-                        placeholder="R"
-                      />
+                    <span className="axis-point-index">
+                      {index + 1}
+                    </span>
+                    {index > 0 && p.type === 'clothoid' ? (
+                      <>
+                        <input type="number" value={formatCoord(clothoidEnds[p.id]?.x)} disabled title="Computed from clothoid" />
+                        <input type="number" value={formatCoord(clothoidEnds[p.id]?.y)} disabled title="Computed from clothoid" />
+                      </>
+                    ) : (
+                      <>
+                        <input
+                          type="number"
+                          value={p.x}
+                          onChange={(e) => updatePoint(p.id, 'x', e.target.value)}
+                          onClick={(e) => e.stopPropagation()}
+                        />
+                        <input
+                          type="number"
+                          value={p.y}
+                          onChange={(e) => updatePoint(p.id, 'y', e.target.value)}
+                          onClick={(e) => e.stopPropagation()}
+                        />
+                      </>
+                    )}
+                    {index === 0 ? (
+                      <>
+                        <span></span>
+                        <div className="axis-point-radius" onClick={(e) => e.stopPropagation()}>
+                          <button
+                            className="axis-point-remove"
+                            onClick={() => removePoint(p.id)}
+                          >
+                            ×
+                          </button>
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <select
+                          value={p.type || 'line'}
+                          onChange={(e) => updatePoint(p.id, 'type', e.target.value)}
+                          className="axis-point-type"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <option value="line">Line</option>
+                          <option value="arc">Arc</option>
+                          <option value="clothoid">Clothoid</option>
+                        </select>
+                        <div className="axis-point-radius" onClick={(e) => e.stopPropagation()}>
+                          {(p.type === 'arc' || p.type === 'clothoid') && (
+                            <input
+                              type="number"
+                              value={p.radius === '' || p.radius === undefined ? '' : p.radius}
+                              onChange={(e) => updatePoint(p.id, 'radius', e.target.value)}
+                              placeholder={p.type === 'clothoid' ? 'R end' : 'R'}
+                              title={p.type === 'clothoid' ? 'End radius (blank = straight)' : undefined}
+                            />
+                          )}
+                          {p.type === 'arc' && (
+                            <input
+                              type="checkbox"
+                              className="axis-point-large"
+                              checked={Boolean(p.largeArc)}
+                              onChange={(e) => updatePoint(p.id, 'largeArc', e.target.checked)}
+                              title="Major arc (sweep > 180°)"
+                            />
+                          )}
+                          <button
+                            className="axis-point-remove"
+                            onClick={() => removePoint(p.id)}
+                          >
+                            ×
+                          </button>
+                        </div>
+                      </>
                     )}
-                    <button
-                      className="axis-point-remove"
-                      onClick={() => removePoint(p.id)}
-                    >
-                      ×
-                    </button>
                   </div>
-                </>
+                  {index > 0 && p.type === 'clothoid' && (
+                    <div className="axis-point-clothoid" onClick={(e) => e.stopPropagation()}>
+                      <label>
+                        R start
+                        <input
+                          type="number"
+                          value={p.startRadius ?? ''}
+                          onChange={(e) => updatePoint(p.id, 'startRadius', e.target.value)}
+                          placeholder="∞"
+                        />
+                      </label>
+                      <label>
+                        L
+                        <input
+                          type="number"
+                          value={p.length ?? ''}
+                          onChange={(e) => updatePoint(p.id, 'length', e.target.value)}
+                          placeholder="Length"
+                        />
+                      </label>
+                      <label>
+                        A
+                        <input
+                          type="number"
+                          value={p.clothoidA ?? ''}
+                          onChange={(e) => updatePoint(p.id, 'clothoidA', e.target.value)}
+                          placeholder="Parameter"
+                          disabled={Number(p.length) > 0}
+                        />
+                      </label>
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {(!axisPoints || axisPoints.length === 0) && (
+                <p className="axis-empty-hint">
+                  Add points to define the tunnel axis. They will be connected in order.
+                </p>
               )}
-            </div>
-          ))}
 
-          {(!axisPoints || axisPoints.length === 0) && (
-            <p className="axis-empty-hint">
-              Add points to define the tunnel axis. They will be connected in order.
-            </p>
+              <div className="axis-form-actions">
+                <button onClick={addPoint}>Add Point</button>
+                <button 
+                  onClick={() => moveSelectedPoint('up')} 
+                  className="secondary"
+                  disabled={selectedPointId === null || (axisPoints || []).findIndex(p => p.id === selectedPointId) === 0}
+                >
+                  Move Up
+                </button>
+                <button 
+                  onClick={() => moveSelectedPoint('down')} 
+                  className="secondary"
+                  disabled={selectedPointId === null || (axisPoints || []).findIndex(p => p.id === selectedPointId) === (axisPoints || []).length - 1}
+                >
+                  Move Down
+                </button>
+                <button onClick={clearAll} className="secondary">
+                  Clear All
+                </button>
+              </div>
+            </>
           )}
 
-          <div className="axis-form-actions">
-            <button onClick={addPoint}>Add Point</button>
-            <button 
-              onClick={() => moveSelectedPoint('up')} 
-              className="secondary"
-              disabled={selectedPointId === null || (axisPoints || []).findIndex(p => p.id === selectedPointId) === 0}
-            >
-              Move Up
-            </button>
-            <button 
-              onClick={() => moveSelectedPoint('down')} 
-              className="secondary"
-              disabled={selectedPointId === null || (axisPoints || []).findIndex(p => p.id === selectedPointId) === (axisPoints || []).length - 1}
-            >
-              Move Down
-            </button>
-            <button onClick={clearAll} className="secondary">
-              Clear All
-            </button>
-          </div>
+          <StationOffsetTool
+            axisData={axisData}
+            heightAssignments={heightAssignments}
+            chainage={chainage}
+            probe={probe}
+            setProbe={setProbe}
+            pickMode={pickMode}
+            setPickMode={setPickMode}
+          />
         </div>
 
         {/* Right: axis canvas */}
         <div className="axis-canvas-container">
           <SegmentCanvas
             segments={axisData || []}
-            points={(axisPoints || []).map(p => ({
-              id: p.id,
-              x: p.x,
-              y: p.y
-            }))}
+            points={[
+              ...(isPIMode
+                ? (axisPIs || []).map(p => ({ id: p.id, x: Number(p.x) || 0, y: Number(p.y) || 0 }))
+                : (axisPoints || []).filter(p => p.type !== 'clothoid').map(p => ({
+                  id: p.id,
+                  x: p.x,
+                  y: p.y
+                }))),
+              ...probeMarkers,
+            ]}
+            labels={getAnnotationLabels(annotations, axisData)}
+            highlightedPointId={probeMarkers.length ? 'probe' : selectedPointId}
+            onCanvasClick={pickMode ? (pt) => {
+              setProbe(prev => ({ ...prev, x: Number(pt.x.toFixed(3)), y: Number(pt.y.toFixed(3)) }))
+              setPickMode(false)
+            } : undefined}
             segmentColor="#3498db"
             pointColor="#2980b9"
             segmentStrokeWidth={3}
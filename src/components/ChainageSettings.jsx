@@ -0,0 +1,180 @@
+import StationInput from './StationInput'
+import './ProfileAssignment.css'
+import { buildChainageRegions, formatLengthAsStation, normalizeChainage } from '../utils/chainage'
+
+function ChainageSettings({ chainage, setChainage, totalLength, annotations = [], setAnnotations }) {
+  const current = normalizeChainage(chainage)
+  // Station values are entered directly, so they pass through a chainage without offset
+  const plainStations = { format: current.format }
+
+  const regions = buildChainageRegions(current)
+  const invalidIds = new Set(regions.flatMap(r => r.invalidEquations || []))
+  const lengthByEquation = Object.fromEntries(regions.filter(r => r.equationId).map(r => [r.equationId, r.startLength]))
+
+  const update = (patch) => setChainage(prev => ({ ...normalizeChainage(prev), ...patch }))
+
+  const updateFormat = (field, value) => {
+    update({ format: { ...current.format, [field]: Number(value) } })
+  }
+
+  const addEquation = () => {
+    const last = regions[regions.length - 1]
+    const back = last.startStation + Math.max(0, totalLength - last.startLength) / 2
+    update({
+      equations: [
+        ...current.equations,
+        { id: crypto.randomUUID?.() || String(Date.now() + Math.random()), backStation: back, aheadStation: back },
+      ],
+    })
+  }
+
+  const updateEquation = (id, field, value) => {
+    update({ equations: current.equations.map(eq => (eq.id === id ? { ...eq, [field]: value } : eq)) })
+  }
+
+  const removeEquation = (id) => {
+    update({ equations: current.equations.filter(eq => eq.id !== id) })
+  }
+
+  // Text notes at a station, shown in the 3D view and the 2D axis views
+  const addAnnotation = () => {
+    const last = annotations[annotations.length - 1]
+    const length = last ? Math.min(totalLength, last.length + 100) : 0
+    setAnnotations([...annotations, { id: crypto.randomUUID?.() || String(Date.now() + Math.random()), length, text: '' }])
+  }
+
+  const updateAnnotation = (id, patch) => {
+    setAnnotations(annotations.map(a => (a.id === id ? { ...a, ...patch } : a)).sort((a, b) => a.length - b.length))
+  }
+
+  const removeAnnotation = (id) => {
+    setAnnotations(annotations.filter(a => a.id !== id))
+  }
+
+  return (
+    <div className="profile-assignment">
+      <div className="assignment-header">
+        <h2>Chainage</h2>
+        <p className="axis-info">
+          Axis length: {totalLength.toFixed(2)} · Stations {formatLengthAsStation(0, current)} to {formatLengthAsStation(totalLength, current)}
+        </p>
+      </div>
+
+      <div className="assignment-layout">
+        <div className="assignments-list">
+          <h3>Stationing</h3>
+          <div className="chainage-form">
+            <div className="form-group">
+              <label>Start station</label>
+              <StationInput
+                value={current.startStation}
+                chainage={plainStations}
+                onChange={(v) => update({ startStation: v })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Format</label>
+              <select value={current.format.groupDigits} onChange={(e) => updateFormat('groupDigits', e.target.value)}>
+                <option value={3}>km+m (12+350)</option>
+                <option value={2}>100 m stations (123+50)</option>
+                <option value={0}>Plain metres (12350)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Decimals</label>
+              <select value={current.format.decimals} onChange={(e) => updateFormat('decimals', e.target.value)}>
+                {[0, 1, 2, 3, 4].map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <h3>Station equations</h3>
+          <div className="assignments-table">
+            <div className="table-header">
+              <div>#</div>
+              <div>Back</div>
+              <div>Ahead</div>
+              <div>Actions</div>
+            </div>
+            {current.equations.map((eq, idx) => (
+              <div key={eq.id}>
+                <div className={`table-row ${invalidIds.has(eq.id) ? 'invalid' : ''}`}>
+                  <div>{idx + 1}</div>
+                  <div>
+                    <StationInput
+                      value={Number(eq.backStation) || 0}
+                      chainage={plainStations}
+                      onChange={(v) => updateEquation(eq.id, 'backStation', v)}
+                    />
+                  </div>
+                  <div>
+                    <StationInput
+                      value={Number(eq.aheadStation) || 0}
+                      chainage={plainStations}
+                      onChange={(v) => updateEquation(eq.id, 'aheadStation', v)}
+                    />
+                  </div>
+                  <div>
+                    <button className="remove-btn" onClick={() => removeEquation(eq.id)}>×</button>
+                  </div>
+                </div>
+                <p className="chainage-equation-info">
+                  {invalidIds.has(eq.id)
+                    ? 'Back station lies before the current stationing – equation ignored'
+                    : `At length ${lengthByEquation[eq.id]?.toFixed(3)}`}
+                </p>
+              </div>
+            ))}
+            {current.equations.length === 0 && (
+              <p className="no-assignments">No station equations</p>
+            )}
+          </div>
+          <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
+            <button onClick={addEquation}>Add Equation</button>
+          </div>
+
+          <h3 style={{ marginTop: '1.5rem' }}>Annotations</h3>
+          <div className="assignments-table annotations-table">
+            <div className="table-header">
+              <div>#</div>
+              <div>Station</div>
+              <div>Note</div>
+              <div>Actions</div>
+            </div>
+            {annotations.map((note, idx) => (
+              <div key={note.id} className={`table-row ${note.length > totalLength + 1e-6 ? 'invalid' : ''}`}>
+                <div>{idx + 1}</div>
+                <div>
+                  <StationInput
+                    value={note.length}
+                    chainage={current}
+                    onChange={(v) => updateAnnotation(note.id, { length: Math.max(0, v) })}
+                  />
+                </div>
+                <div>
+                  <input
+                    type="text"
+                    value={note.text}
+                    placeholder="e.g. Cross passage 3"
+                    onChange={(e) => updateAnnotation(note.id, { text: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <button className="remove-btn" onClick={() => removeAnnotation(note.id)}>×</button>
+                </div>
+              </div>
+            ))}
+            {annotations.length === 0 && (
+              <p className="no-assignments">No annotations</p>
+            )}
+          </div>
+          <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
+            <button onClick={addAnnotation} disabled={!(totalLength > 0)}>Add Annotation</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ChainageSettings
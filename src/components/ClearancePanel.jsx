@@ -0,0 +1,207 @@
+import { useState, useMemo } from 'react'
+import StationInput from './StationInput'
+import './ProfileAssignment.css'
+import { formatLengthAsStation } from '../utils/chainage'
+import { getCurvatureAtLength, interpolateProfileAtLength } from '../utils/geometry'
+import { getProfileLayerNames } from '../utils/profileLayers'
+import { buildGaugeAtCurvature, checkClearance, clearanceToCSV, normalizeClearanceGauge } from '../utils/clearance'
+
+function ClearancePanel({ axisData, profiles, profileAssignments, heightAssignments, superelevation, morphMethod, chainage, totalLength, gauge, setGauge, result, setResult }) {
+  const current = normalizeClearanceGauge(gauge)
+  const layerNames = useMemo(() => getProfileLayerNames(profiles), [profiles])
+  const [previewLength, setPreviewLength] = useState(0)
+
+  const update = (patch) => setGauge(prev => ({ ...normalizeClearanceGauge(prev), ...patch }))
+
+  const updateSetting = (field, value) => {
+    update({ [field]: value === '' ? '' : Number(value) })
+  }
+
+  const addPoint = () => {
+    const last = current.points[current.points.length - 1]
+    update({ points: [...current.points, { id: Date.now(), x: last ? last.x : 0, y: last ? last.y : 0 }] })
+  }
+
+  const updatePoint = (id, field, value) => {
+    update({ points: current.points.map(p => (p.id === id ? { ...p, [field]: Number(value) || 0 } : p)) })
+  }
+
+  const removePoint = (id) => {
+    update({ points: current.points.filter(p => p.id !== id) })
+  }
+
+  const runCheck = () => {
+    const checked = checkClearance(axisData, heightAssignments, profileAssignments, profiles, current, { superelevation, morph: morphMethod })
+    setResult(checked)
+    if (checked.min) setPreviewLength(checked.min.length)
+  }
+
+  const exportCSV = () => {
+    if (!result) return
+    const blob = new Blob([clearanceToCSV(result, chainage)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'clearance-check.csv'
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  // Section and widened gauge at the preview station
+  const layer = current.layer || layerNames[0] || ''
+  const section = useMemo(
+    () => interpolateProfileAtLength(previewLength, profileAssignments, profiles, { maxChord: 0.2, minArcSteps: 16, layer, morph: morphMethod }, true) || [],
+    [previewLength, profileAssignments, profiles, layer, morphMethod]
+  )
+  const gaugePoints = useMemo(
+    () => buildGaugeAtCurvature(current, axisData.length ? getCurvatureAtLength(axisData, previewLength) : 0),
+    [current, axisData, previewLength]
+  )
+  const all = [...section, ...gaugePoints]
+  const minX = Math.min(...all.map(p => p.x), -1)
+  const maxX = Math.max(...all.map(p => p.x), 1)
+  const minY = Math.min(...all.map(p => p.y), -1)
+  const maxY = Math.max(...all.map(p => p.y), 1)
+  const scale = Math.min(900 / (maxX - minX), 360 / (maxY - minY))
+  const toSvg = (p) => `${500 + (p.x - (minX + maxX) / 2) * scale},${200 - (p.y - (minY + maxY) / 2) * scale}`
+  const f = (v) => (v === -Infinity ? 'no section' : Number.isFinite(v) ? v.toFixed(3) : '–')
+
+  return (
+    <div className="profile-assignment">
+      <div className="assignment-header">
+        <h2>Clearance Check</h2>
+        <p className="axis-info">
+          The gauge polygon (profile coordinates, x to the right, y up) must fit inside the section at every station. In curves it is widened by the centre throw a²/8R inside and the end throw (L² − a²)/8R outside; it rolls with the section under superelevation.
+        </p>
+      </div>
+
+      <div className="assignment-layout">
+        <div className="assignments-list">
+          <h3>Settings</h3>
+          <div className="chainage-form">
+            <div className="form-group">
+              <label>Check against layer</label>
+              <select value={current.layer} onChange={(e) => update({ layer: e.target.value })}>
+                <option value="">{layerNames[0] ? `${layerNames[0]} (default)` : 'Default'}</option>
+                {layerNames.slice(1).map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Required clearance</label>
+              <input type="number" step="0.05" value={current.required} onChange={(e) => updateSetting('required', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label>Station interval</label>
+              <input type="number" min="0.1" value={current.step} onChange={(e) => updateSetting('step', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label>Bogie centres / wheelbase (a)</label>
+              <input type="number" min="0" value={current.bogieCentres} onChange={(e) => updateSetting('bogieCentres', e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label>Vehicle length (L)</label>
+              <input type="number" min="0" value={current.vehicleLength} onChange={(e) => updateSetting('vehicleLength', e.target.value)} />
+            </div>
+          </div>
+
+          <h3>Gauge polygon</h3>
+          <div className="assignments-table">
+            <div className="table-header">
+              <div>#</div>
+              <div>X</div>
+              <div>Y</div>
+              <div>Actions</div>
+            </div>
+            {current.points.map((p, idx) => (
+              <div key={p.id} className="table-row">
+                <div>{idx + 1}</div>
+                <div>
+                  <input type="number" value={p.x} onChange={(e) => updatePoint(p.id, 'x', e.target.value)} step="0.1" />
+                </div>
+                <div>
+                  <input type="number" value={p.y} onChange={(e) => updatePoint(p.id, 'y', e.target.value)} step="0.1" />
+                </div>
+                <div>
+                  <button className="remove-btn" onClick={() => removePoint(p.id)}>×</button>
+                </div>
+              </div>
+            ))}
+            {current.points.length < 3 && (
+              <p className="no-assignments">Add at least three points to define the gauge</p>
+            )}
+          </div>
+          <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
+            <button onClick={addPoint}>Add Point</button>
+            <button onClick={runCheck} disabled={current.points.length < 3 || !profileAssignments.length}>Run Check</button>
+            <button onClick={exportCSV} className="secondary" disabled={!result?.rows.length}>Export CSV</button>
+          </div>
+
+          {result && (
+            <>
+              <h3 style={{ marginTop: '1.5rem' }}>Result ({result.layer})</h3>
+              {result.min ? (
+                <p className={result.stretches.length ? 'height-warning' : 'axis-info'}>
+                  Minimum clearance {f(result.min.clearance)} at {formatLengthAsStation(result.min.length, chainage)}
+                  {result.stretches.length ? ` · ${result.stretches.length} failing stretch${result.stretches.length > 1 ? 'es' : ''}` : ' · the gauge fits everywhere'}
+                </p>
+              ) : (
+                <p className="no-assignments">Nothing to check</p>
+              )}
+              {result.stretches.length > 0 && (
+                <div className="assignments-table">
+                  <div className="table-header">
+                    <div>#</div>
+                    <div>From</div>
+                    <div>To</div>
+                    <div>Min</div>
+                  </div>
+                  {result.stretches.map((s, idx) => (
+                    <div key={s.from} className="table-row" onClick={() => setPreviewLength(s.from)}>
+                      <div>{idx + 1}</div>
+                      <div>{formatLengthAsStation(s.from, chainage)}</div>
+                      <div>{formatLengthAsStation(s.to, chainage)}</div>
+                      <div>{f(s.min)}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="assignment-views">
+          <div className="view-container">
+            <h3>Gauge in Section</h3>
+            <div className="chainage-form">
+              <div className="form-group">
+                <label>At station</label>
+                <StationInput
+                  value={previewLength}
+                  chainage={chainage}
+                  onChange={(len) => setPreviewLength(Math.min(totalLength, Math.max(0, len)))}
+                />
+              </div>
+            </div>
+            <div className="canvas-wrapper" style={{ padding: '1rem' }}>
+              <svg width="100%" height="400" viewBox="0 0 1000 400">
+                <rect x="0" y="0" width="1000" height="400" fill="#fafafa" stroke="#ddd" />
+                {section.length >= 3 && (
+                  <polygon points={section.map(toSvg).join(' ')} fill="none" stroke="#27ae60" strokeWidth="3" />
+                )}
+                {gaugePoints.length >= 3 && (
+                  <polygon points={gaugePoints.map(toSvg).join(' ')} fill="rgba(230, 126, 34, 0.2)" stroke="#e67e22" strokeWidth="2" />
+                )}
+              </svg>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ClearancePanel
@@ -0,0 +1,69 @@
+import './CoverageBar.css'
+import { formatLengthAsStation } from '../utils/chainage'
+import { getTransitionStretches } from '../utils/profileTransitions'
+import { PROFILE_COLORS } from '../utils/colors'
+
+/**
+ * Bar along the axis showing which profile applies where: solid blocks hold one
+ * profile, striped gradients blend between two (eased for smooth transitions).
+ * Failing clearance stretches are overlaid.
+ * @param {Object} props
+ * @param {Array} props.assignments - Profile assignments sorted by length
+ * @param {Array} props.profiles - Profiles (for names and colours)
+ * @param {number} props.totalLength - Axis length
+ * @param {Object} props.chainage - Chainage settings for station labels
+ * @param {Array} props.failingStretches - Optional [{from, to}] to mark in red
+ */
+function CoverageBar({ assignments = [], profiles = [], totalLength = 0, chainage, failingStretches = [] }) {
+  if (!(totalLength > 0) || assignments.length === 0) return null
+
+  const pct = (len) => `${(Math.min(totalLength, Math.max(0, len)) / totalLength) * 100}%`
+  const colorOf = (profileId) => {
+    const index = profiles.findIndex(p => p.id === profileId)
+    return index === -1 ? '#bdc3c7' : PROFILE_COLORS[index % PROFILE_COLORS.length]
+  }
+  const nameOf = (profileId) => profiles.find(p => p.id === profileId)?.name || 'None'
+
+  const blocks = getTransitionStretches(assignments, totalLength)
+  // Smooth blends stay near their ends longer than linear ones
+  const gradient = (block) => (block.kind === 'smooth'
+    ? `linear-gradient(to right, ${colorOf(block.a)}, ${colorOf(block.a)} 15%, ${colorOf(block.b)} 85%, ${colorOf(block.b)})`
+    : `linear-gradient(to right, ${colorOf(block.a)}, ${colorOf(block.b)})`)
+  const describe = (block) => (block.kind === 'hold'
+    ? `${nameOf(block.a)} (held)`
+    : `${nameOf(block.a)} → ${nameOf(block.b)} (${block.kind} transition)`)
+
+  return (
+    <div className="coverage">
+      <div className="coverage-bar">
+        {blocks.map(block => (
+          <div
+            key={`${block.from}-${block.to}`}
+            className={`coverage-block ${block.kind === 'hold' ? '' : 'transition'}`}
+            style={{
+              left: pct(block.from),
+              width: `calc(${pct(block.to)} - ${pct(block.from)})`,
+              background: block.kind === 'hold' ? colorOf(block.a) : gradient(block),
+            }}
+            title={`${formatLengthAsStation(block.from, chainage)} – ${formatLengthAsStation(block.to, chainage)}: ${describe(block)}`}
+          />
+        ))}
+        {failingStretches.map(s => (
+          <div
+            key={`fail-${s.from}`}
+            className="coverage-fail"
+            style={{ left: pct(s.from), width: `max(2px, calc(${pct(s.to)} - ${pct(s.from)}))` }}
+            title={`Clearance fails ${formatLengthAsStation(s.from, chainage)} – ${formatLengthAsStation(s.to, chainage)}`}
+          />
+        ))}
+      </div>
+      <div className="coverage-labels">
+        <span>{formatLengthAsStation(0, chainage)}</span>
+        <span>Solid: profile held · Striped: transition</span>
+        <span>{formatLengthAsStation(totalLength, chainage)}</span>
+      </div>
+    </div>
+  )
+}
+
+export default CoverageBar
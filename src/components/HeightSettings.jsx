@@ -1,10 +1,14 @@
-import { useState, useMemo } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import SegmentCanvas from './SegmentCanvas'
+import StationInput from './StationInput'
 import './ProfileAssignment.css'
 import { calculateArcCenter, getPositionAtLength, computeAxisScale } from '../utils/geometry'
+import { formatLengthAsStation } from '../utils/chainage'
+import { buildVerticalAlignment, sampleVerticalProfile } from '../utils/verticalAlignment'
+import { ANNOTATION_COLOR, getAnnotationLabels, normalizeAnnotations } from '../utils/annotations'
 
-function HeightSettings({ axisData, heightAssignments, setHeightAssignments, totalLength }) {
-  const [selectedId, setSelectedId] = useState(null)
+function HeightSettings({ axisData, heightAssignments, setHeightAssignments, totalLength, chainage, annotations = [], initialSelectedId = null }) {
+  const [selectedId, setSelectedId] = useState(initialSelectedId)
   const [pendingSort, setPendingSort] = useState(false)
 
   const ensureIds = (arr) =>
@@ -18,6 +22,17 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
     }
   }
 
+  // Rows are edited by id, so stored assignments without one (older saves, imports)
+  // get theirs once
+  useEffect(() => {
+    if (!(heightAssignments || []).some(a => !a.id)) return
+    setHeightAssignments(prev => {
+      const arr = ensureIds([...(prev || [])])
+      persist(arr)
+      return arr
+    })
+  }, [heightAssignments])
+
   // Ensure assignments are sorted
   const sorted = useMemo(
     () => ensureIds([...(heightAssignments || [])]).sort((a, b) => a.length - b.length),
@@ -26,21 +41,43 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
   const selectedIndex = Math.max(0, sorted.findIndex(a => a.id === selectedId))
   const selected = sorted[selectedIndex] || sorted[0] || null
 
-  const updateAssignment = (idx, field, value) => {
+  // Rows are shown sorted while the stored list may not be, so edits go by id. A
+  // new station is only committed when its input is left, so the list is sorted
+  // right away.
+  const updateAssignment = (id, field, value) => {
     setHeightAssignments(prev => {
       const arr = ensureIds([...(prev || [])])
-      if (!arr[idx]) return prev
+      const idx = arr.findIndex(a => a.id === id)
+      if (idx === -1) return prev
       const updated = { ...arr[idx] }
       if (field === 'height') {
         updated.height = Number(value) || 0
+      } else if (field === 'curveLength' || field === 'kValue') {
+        updated[field] = value === '' ? '' : Math.max(0, Number(value) || 0)
       } else if (field === 'length') {
         updated.length = Math.min(totalLength, Math.max(0, Number(value) || 0))
       }
       arr[idx] = updated
+      if (field === 'length') arr.sort((a, b) => a.length - b.length)
+      persist(arr)
+      return arr
+    })
+  }
+
+  // Setting the grade after a PVI moves every following PVI by the same height,
+  // so the grades further along are kept
+  const updateGrade = (idx, value) => {
+    const current = sorted[idx]
+    const next = sorted[idx + 1]
+    if (!current || !next || value === '') return
+    const newHeight = current.height + (Number(value) / 100) * (next.length - current.length)
+    const delta = newHeight - next.height
+    const following = new Set(sorted.slice(idx + 1).map(a => a.id))
+    setHeightAssignments(prev => {
+      const arr = ensureIds([...(prev || [])]).map(a => (following.has(a.id) ? { ...a, height: Number((a.height + delta).toFixed(6)) } : a))
       persist(arr)
       return arr
     })
-    setPendingSort(true)
   }
 
   const addAssignment = () => {
@@ -101,58 +138,114 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
     return computeAxisScale(axisData, Math.min(canvasWidth, canvasHeight) * 0.8)
   }, [axisData, canvasWidth, canvasHeight])
 
-  // Build height graph points
-  const graphPoints = sorted.map(h => [h.length, h.height])
+  // Resolved vertical alignment: grades, curve extents and the sampled profile
+  const vertical = useMemo(() => buildVerticalAlignment(sorted), [sorted])
+  const profileSamples = useMemo(() => sampleVerticalProfile(sorted, Math.max(1, totalLength / 500)), [sorted, totalLength])
+
+  // Height graph scaling (x by length, y by height range with some padding)
+  const heights = sorted.map(h => h.height)
+  const minH = heights.length ? Math.min(...heights) : 0
+  const maxH = heights.length ? Math.max(...heights) : 0
+  const padH = Math.max(1, (maxH - minH) * 0.1)
+  const toGraphX = (len) => 40 + (totalLength === 0 ? 0 : (len / totalLength) * 940)
+  const toGraphY = (h) => 250 - ((h - (minH - padH)) / (maxH - minH + 2 * padH)) * 220
+  const formatGrade = (g) => (g === null ? '' : `${(g * 100).toFixed(3)}%`)
 
   return (
     <div className="profile-assignment">
       <div className="assignment-header">
         <h2>Height Settings</h2>
-        <p className="axis-info">Tunnel length: {totalLength.toFixed(2)} units</p>
+        <p className="axis-info">
+          Tunnel length: {totalLength.toFixed(2)} units · Stations {formatLengthAsStation(0, chainage)} to {formatLengthAsStation(totalLength, chainage)}
+        </p>
       </div>
 
       <div className="assignment-layout">
-        <div className="assignments-list">
-          <h3>Height by Length</h3>
-          <div className="assignments-table">
+        <div className="assignments-list wide">
+          <h3>Height by Station</h3>
+          <div className="assignments-table height-table">
             <div className="table-header">
               <div>#</div>
-              <div>Length</div>
+              <div>Station</div>
               <div>Height</div>
-              <div>Actions</div>
+              <div>Grade %</div>
+              <div>Curve L</div>
+              <div>K</div>
+              <div></div>
             </div>
-            {sorted.map((h, idx) => (
-              <div
-                key={h.id}
-                className={`table-row ${selected && h.id === selected.id ? 'selected' : ''}`}
-                onClick={() => setSelectedId(h.id)}
-              >
-                <div>{idx + 1}</div>
-                <div>
-                  <input
-                    type="number"
-                    value={h.length}
-                    onChange={(e) => updateAssignment(idx, 'length', e.target.value)}
-                    step="0.1"
-                    min="0"
-                    max={totalLength.toFixed(2)}
-                    onBlur={sortIfNeeded}
-                  />
-                </div>
-                <div>
-                  <input
-                    type="number"
-                    value={h.height}
-                    onChange={(e) => updateAssignment(idx, 'height', e.target.value)}
-                    step="0.1"
-                  />
-                </div>
-                <div>
-                  <button className="remove-btn" onClick={(e) => { e.stopPropagation(); removeAssignment(idx) }}>×</button>
+            {sorted.map((h, idx) => {
+              const pvi = vertical.pvis[idx]
+              const isInterior = idx > 0 && idx < sorted.length - 1
+              return (
+                <div
+                  key={h.id}
+                  className={`table-row ${selected && h.id === selected.id ? 'selected' : ''}`}
+                  onClick={() => setSelectedId(h.id)}
+                >
+                  <div>{idx + 1}</div>
+                  <div>
+                    <StationInput
+                      value={h.length}
+                      chainage={chainage}
+                      onChange={(len) => updateAssignment(h.id, 'length', len)}
+                      onBlur={sortIfNeeded}
+                    />
+                  </div>
+                  <div>
+                    <input
+                      type="number"
+                      value={h.height}
+                      onChange={(e) => updateAssignment(h.id, 'height', e.target.value)}
+                      step="0.1"
+                    />
+                  </div>
+                  <div>
+                    {idx < sorted.length - 1 && (
+                      <input
+                        type="number"
+                        key={`${h.id}-${pvi?.gradeOut}`}
+                        defaultValue={pvi?.gradeOut === null ? '' : Number((pvi.gradeOut * 100).toFixed(4))}
+                        onBlur={(e) => updateGrade(idx, e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur() }}
+                        onClick={(e) => e.stopPropagation()}
+                        step="0.1"
+                        title="Grade to the next PVI; following PVIs move with it"
+                      />
+                    )}
+                  </div>
+                  <div>
+                    {isInterior && (
+                      <input
+                        type="number"
+                        value={h.curveLength ?? ''}
+                        onChange={(e) => updateAssignment(h.id, 'curveLength', e.target.value)}
+                        placeholder={pvi?.curveLength ? pvi.curveLength.toFixed(1) : '0'}
+                        min="0"
+                      />
+                    )}
+                  </div>
+                  <div>
+                    {isInterior && (
+                      <input
+                        type="number"
+                        value={h.kValue ?? ''}
+                        onChange={(e) => updateAssignment(h.id, 'kValue', e.target.value)}
+                        placeholder={pvi?.kValue ? pvi.kValue.toFixed(1) : ''}
+                        disabled={Number(h.curveLength) > 0}
+                        min="0"
+                      />
+                    )}
+                  </div>
+                  <div>
+                    <button className="remove-btn" onClick={(e) => { e.stopPropagation(); removeAssignment(idx) }}>×</button>
+                  </div>
                 </div>
-              </div>
-            ))}
+              )
+            })}
           </div>
+          {vertical.warnings.map(w => (
+            <p key={w} className="height-warning">{w}</p>
+          ))}
           <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
             <button onClick={addAssignment}>Add Height Point</button>
           </div>
@@ -166,6 +259,7 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
                 <SegmentCanvas
                   segments={axisData}
                   points={marker}
+                  labels={getAnnotationLabels(annotations, axisData)}
                   segmentColor="#3498db"
                   pointColor="#2980b9"
                   segmentStrokeWidth={3}
@@ -185,7 +279,7 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
               </div>
                {selected && (
                 <p className="view-info">
-                   Selected: {selected.length.toFixed(2)} → Height {selected.height}
+                   Selected: {formatLengthAsStation(selected.length, chainage)} → Height {selected.height}
                 </p>
               )}
             </div>
@@ -198,27 +292,70 @@ function HeightSettings({ axisData, heightAssignments, setHeightAssignments, tot
                   {/* Axes */}
                   <line x1="40" y1="260" x2="980" y2="260" stroke="#95a5a6" strokeWidth="2" />
                   <line x1="40" y1="20" x2="40" y2="260" stroke="#95a5a6" strokeWidth="2" />
+                  {/* Grades between PVIs */}
+                  {vertical.pvis.slice(0, -1).map((p, i) => {
+                    const next = vertical.pvis[i + 1]
+                    return (
+                      <text
+                        key={`grade-${p.id}`}
+                        x={toGraphX((p.length + next.length) / 2)}
+                        y={toGraphY((p.height + next.height) / 2) - 10}
+                        fontSize="13"
+                        fill="#2c3e50"
+                        textAnchor="middle"
+                      >
+                        {formatGrade(p.gradeOut)}
+                      </text>
+                    )
+                  })}
+                  {/* Tangent polygon */}
+                  {sorted.length >= 2 && (
+                    <polyline
+                      fill="none"
+                      stroke="#bdc3c7"
+                      strokeWidth="1"
+                      strokeDasharray="6 4"
+                      points={sorted.map(h => `${toGraphX(h.length)},${toGraphY(h.height)}`).join(' ')}
+                    />
+                  )}
+                  {/* Vertical curve extents */}
+                  {vertical.pvis.filter(p => p.curveLength > 0).map(p => (
+                    <g key={`vc-${p.id}`}>
+                      <line x1={toGraphX(p.bvc)} y1="20" x2={toGraphX(p.bvc)} y2="260" stroke="#9b59b6" strokeWidth="1" strokeDasharray="3 3" />
+                      <line x1={toGraphX(p.evc)} y1="20" x2={toGraphX(p.evc)} y2="260" stroke="#9b59b6" strokeWidth="1" strokeDasharray="3 3" />
+                      <text x={toGraphX(p.length)} y="34" fontSize="12" fill="#9b59b6" textAnchor="middle">
+                        L={p.curveLength.toFixed(1)}
+                      </text>
+                    </g>
+                  ))}
+                  {/* Annotations */}
+                  {normalizeAnnotations(annotations).filter(a => a.text && a.length <= totalLength).map(a => (
+                    <g key={`note-${a.id}`}>
+                      <line x1={toGraphX(a.length)} y1="20" x2={toGraphX(a.length)} y2="260" stroke={ANNOTATION_COLOR} strokeWidth="1" />
+                      <text x={toGraphX(a.length) + 4} y="250" fontSize="12" fill={ANNOTATION_COLOR}>{a.text}</text>
+                    </g>
+                  ))}
                   {/* Plot */}
-                  {graphPoints.length >= 2 && (
+                  {profileSamples.length >= 2 && (
                     <polyline
                       fill="none"
                       stroke="#e67e22"
                       strokeWidth="3"
-                      points={graphPoints.map(([lx, h]) => {
-                        const x = 40 + (totalLength === 0 ? 0 : (lx / totalLength) * 940)
-                        const y = 260 - h // simple scaling: 1 unit = 1px upward
-                        return `${x},${y}`
-                      }).join(' ')}
+                      points={profileSamples.map(p => `${toGraphX(p.length)},${toGraphY(p.height)}`).join(' ')}
                     />
                   )}
+                  {/* Height range */}
+                  <text x="44" y="30" fontSize="12" fill="#7f8c8d">{maxH.toFixed(2)}</text>
+                  <text x="44" y="254" fontSize="12" fill="#7f8c8d">{minH.toFixed(2)}</text>
+                  {/* Station labels */}
+                  <text x="40" y="285" fontSize="14" fill="#7f8c8d">{formatLengthAsStation(0, chainage)}</text>
+                  <text x="980" y="285" fontSize="14" fill="#7f8c8d" textAnchor="end">{formatLengthAsStation(totalLength, chainage)}</text>
                   {/* Marker */}
                   {sorted[selectedIndex] && (
                     (() => {
                       const lx = sorted[selectedIndex].length
                       const h = sorted[selectedIndex].height
-                      const x = 40 + (totalLength === 0 ? 0 : (lx / totalLength) * 940)
-                      const y = 260 - h
-                      return <circle cx={x} cy={y} r="6" fill="#e74c3c" />
+                      return <circle cx={toGraphX(lx)} cy={toGraphY(h)} r="6" fill="#e74c3c" />
                     })()
                   )}
                 </svg>
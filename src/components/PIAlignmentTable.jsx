@@ -0,0 +1,130 @@
+/**
+ * Table for entering the horizontal alignment as a chain of points of intersection (PI).
+ * The first and last rows are the start and end of the axis; intermediate PIs take a
+ * radius and optional entry/exit spiral lengths.
+ * @param {Object} props
+ * @param {Array} props.pis - Array of {id, x, y, radius, spiralIn, spiralOut}
+ * @param {Function} props.setPIs - State setter for the PI list
+ * @param {Object} props.alignment - Result of buildPIAlignment(pis)
+ * @param {*} props.selectedId - Id of the selected PI
+ * @param {Function} props.onSelect - Called with the id of a clicked PI
+ * @param {Function} props.onConvert - Copies the generated geometry to the point list
+ */
+function PIAlignmentTable({ pis = [], setPIs, alignment, selectedId, onSelect, onConvert }) {
+  const elementsById = Object.fromEntries((alignment?.elements || []).map(el => [el.id, el]))
+
+  const addPI = () => {
+    setPIs((prev = []) => [...prev, { id: Date.now(), x: 0, y: 0, radius: '', spiralIn: '', spiralOut: '' }])
+  }
+
+  const updatePI = (id, field, value) => {
+    const v = value === '' ? '' : Number(value)
+    setPIs((prev = []) => prev.map(p => (p.id === id ? { ...p, [field]: v } : p)))
+  }
+
+  const removePI = (id) => {
+    setPIs((prev = []) => prev.filter(p => p.id !== id))
+  }
+
+  const moveSelected = (direction) => {
+    setPIs((prev = []) => {
+      const arr = [...prev]
+      const idx = arr.findIndex(p => p.id === selectedId)
+      const target = direction === 'up' ? idx - 1 : idx + 1
+      if (idx === -1 || target < 0 || target >= arr.length) return prev
+      const [moved] = arr.splice(idx, 1)
+      arr.splice(target, 0, moved)
+      return arr
+    })
+  }
+
+  const selectedIndex = pis.findIndex(p => p.id === selectedId)
+
+  return (
+    <>
+      <div className="axis-pi-header">
+        <span>#</span>
+        <span>X</span>
+        <span>Y</span>
+        <span>Radius</span>
+        <span>Ls in</span>
+        <span>Ls out</span>
+        <span></span>
+      </div>
+
+      {pis.map((pi, index) => {
+        const isEnd = index === 0 || index === pis.length - 1
+        const el = elementsById[pi.id]
+        return (
+          <div key={pi.id}>
+            <div
+              className={`axis-pi-row ${selectedId === pi.id ? 'selected' : ''}`}
+              onClick={() => onSelect(pi.id)}
+            >
+              <span className="axis-point-index">{index === 0 ? 'BP' : index === pis.length - 1 ? 'EP' : index}</span>
+              <input type="number" value={pi.x} onChange={(e) => updatePI(pi.id, 'x', e.target.value)} />
+              <input type="number" value={pi.y} onChange={(e) => updatePI(pi.id, 'y', e.target.value)} />
+              {isEnd ? (
+                <>
+                  <span></span>
+                  <span></span>
+                  <span></span>
+                </>
+              ) : (
+                <>
+                  <input type="number" min="0" value={pi.radius ?? ''} placeholder="R" onChange={(e) => updatePI(pi.id, 'radius', e.target.value)} />
+                  <input type="number" min="0" value={pi.spiralIn ?? ''} placeholder="0" onChange={(e) => updatePI(pi.id, 'spiralIn', e.target.value)} />
+                  <input type="number" min="0" value={pi.spiralOut ?? ''} placeholder="0" onChange={(e) => updatePI(pi.id, 'spiralOut', e.target.value)} />
+                </>
+              )}
+              <button
+                className="axis-point-remove"
+                onClick={(e) => { e.stopPropagation(); removePI(pi.id) }}
+              >
+                ×
+              </button>
+            </div>
+            {el && el.ts && (
+              <div className="axis-pi-info">
+                Δ {(el.deflection * 180 / Math.PI).toFixed(3)}° · T1 {el.T1.toFixed(3)} · T2 {el.T2.toFixed(3)} · Lc {el.arcLength.toFixed(3)}
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      {pis.length === 0 && (
+        <p className="axis-empty-hint">
+          Add the start point, every PI and the end point. Curves are fitted tangent to both PI legs.
+        </p>
+      )}
+
+      {(alignment?.warnings || []).map((w) => (
+        <p key={w} className="axis-pi-warning">{w}</p>
+      ))}
+
+      <div className="axis-form-actions">
+        <button onClick={addPI}>Add PI</button>
+        <button
+          onClick={() => moveSelected('up')}
+          className="secondary"
+          disabled={selectedIndex <= 0}
+        >
+          Move Up
+        </button>
+        <button
+          onClick={() => moveSelected('down')}
+          className="secondary"
+          disabled={selectedIndex === -1 || selectedIndex === pis.length - 1}
+        >
+          Move Down
+        </button>
+        <button onClick={onConvert} className="secondary" disabled={pis.length < 2}>
+          Convert to Points
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default PIAlignmentTable
@@ -1,11 +1,20 @@
-import { useState, useMemo } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import SegmentCanvas from './SegmentCanvas'
+import StationInput from './StationInput'
+import SectionProperties from './SectionProperties'
+import CoverageBar from './CoverageBar'
 import './ProfileAssignment.css'
-import { calculateArcCenter, getPositionAtLength, computeAxisScale } from '../utils/geometry'
+import { getPositionAtLength, computeAxisScale, findTransitionSelfIntersections } from '../utils/geometry'
+import { formatLengthAsStation } from '../utils/chainage'
+import { getAnnotationLabels } from '../utils/annotations'
+import { INTERPOLATION_MODES, normalizeInterpolationMode } from '../utils/profileTransitions'
+import { buildSectionPropertiesTable, computeSectionPropertiesAtLength, sectionPropertiesToCSV } from '../utils/sectionProperties'
 
-function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileAssignments, totalLength }) {
-  const [selectedId, setSelectedId] = useState(null)
+function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileAssignments, totalLength, chainage, morphMethod = 'angle', setMorphMethod, clearanceResult = null, annotations = [], initialSelectedId = null }) {
+  const [selectedId, setSelectedId] = useState(initialSelectedId)
   const [pendingSort, setPendingSort] = useState(false)
+  const [probeLength, setProbeLength] = useState(0)
+  const [exportStep, setExportStep] = useState(10)
   const canvasWidth = (window.innerWidth - 600) / 2 // Split width for right-hand views
   const canvasHeight = window.innerHeight - 400
 
@@ -20,6 +29,17 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
     }
   }
 
+  // Rows are edited by id, so stored assignments without one (older saves, imports)
+  // get theirs once
+  useEffect(() => {
+    if (!(profileAssignments || []).some(a => !a.id)) return
+    setProfileAssignments(prev => {
+      const arr = ensureIds([...(prev || [])])
+      persist(arr)
+      return arr
+    })
+  }, [profileAssignments])
+
   const sorted = useMemo(
     () => ensureIds([...(profileAssignments || [])]).sort((a, b) => a.length - b.length),
     [profileAssignments]
@@ -33,27 +53,27 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
     return computeAxisScale(axisData, Math.min(canvasWidth, canvasHeight) * 0.8)
   }, [axisData, canvasWidth, canvasHeight])
 
-  const handleAssignProfile = (idx, value) => {
-    const profileId = value === '' ? null : parseInt(value, 10)
+  // Rows are shown sorted while the stored list may not be, so edits go by id. A
+  // new station is only committed when its input is left, so the list is sorted
+  // right away.
+  const updateAssignment = (id, patch) => {
     setProfileAssignments(prev => {
       const arr = ensureIds([...(prev || [])])
-      if (!arr[idx]) return prev
-      arr[idx] = { ...arr[idx], profileId }
+      const idx = arr.findIndex(a => a.id === id)
+      if (idx === -1) return prev
+      arr[idx] = { ...arr[idx], ...patch }
+      if ('length' in patch) arr.sort((a, b) => a.length - b.length)
       persist(arr)
       return arr
     })
   }
 
-  const updateLength = (idx, value) => {
-    const clamped = Math.min(totalLength, Math.max(0, Number(value) || 0))
-    setProfileAssignments(prev => {
-      const arr = ensureIds([...(prev || [])])
-      if (!arr[idx]) return prev
-      arr[idx] = { ...arr[idx], length: clamped }
-      persist(arr)
-      return arr
-    })
-    setPendingSort(true)
+  const handleAssignProfile = (id, value) => {
+    updateAssignment(id, { profileId: value === '' ? null : parseInt(value, 10) })
+  }
+
+  const updateLength = (id, value) => {
+    updateAssignment(id, { length: Math.min(totalLength, Math.max(0, Number(value) || 0)) })
   }
 
   const addAssignment = () => {
@@ -71,17 +91,22 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
     setPendingSort(true)
   }
 
-  const removeAssignment = (idx) => {
+  const removeAssignment = (id) => {
     setProfileAssignments(prev => {
       const arr = ensureIds([...(prev || [])])
       if (arr.length <= 2) return prev
-      const removed = arr.splice(idx, 1)[0]
-      if (removed?.id === selectedId) {
-        const next = arr[idx] || arr[idx - 1] || arr[0] || null
+      const filtered = arr.filter(a => a.id !== id)
+      if (filtered.length === arr.length) return prev
+
+      // Select the row that takes the removed one's place in the table
+      if (id === selectedId) {
+        const idx = sorted.findIndex(a => a.id === id)
+        const sortedFiltered = [...filtered].sort((a, b) => a.length - b.length)
+        const next = sortedFiltered[idx] || sortedFiltered[idx - 1] || sortedFiltered[0] || null
         setSelectedId(next ? next.id : null)
       }
-      persist(arr)
-      return arr
+      persist(filtered)
+      return filtered
     })
     setPendingSort(true)
   }
@@ -96,6 +121,42 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
     setPendingSort(false)
   }
 
+  const probeProperties = useMemo(
+    () => computeSectionPropertiesAtLength(probeLength, sorted, profiles, { morph: morphMethod }),
+    [probeLength, sorted, profiles, morphMethod]
+  )
+
+  // Transitions whose intermediate outline crosses itself with the current pairing
+  const invalidTransitions = useMemo(() => {
+    const byId = new Map(profiles.map(p => [p.id, p]))
+    return sorted.slice(0, -1).flatMap((a, i) => {
+      const b = sorted[i + 1]
+      const p1 = byId.get(a.profileId)
+      const p2 = byId.get(b.profileId)
+      if (!p1 || !p2 || p1 === p2 || a.length === b.length || normalizeInterpolationMode(a.interpolation) === 'hold') return []
+      const factors = findTransitionSelfIntersections(p1, p2, { maxChord: 0.2, minArcSteps: 16, morph: morphMethod })
+      return factors.length ? [{ from: a, to: b }] : []
+    })
+  }, [sorted, profiles, morphMethod])
+
+  // Properties every exportStep plus at every assignment, as CSV
+  const exportPropertiesTable = () => {
+    const step = Math.max(0.1, Number(exportStep) || 10)
+    const lengths = new Set(sorted.map(a => a.length))
+    for (let len = 0; len < totalLength; len += step) lengths.add(Number(len.toFixed(6)))
+    lengths.add(Number(totalLength.toFixed(6)))
+    const rows = buildSectionPropertiesTable(Array.from(lengths).sort((a, b) => a - b), sorted, profiles, { morph: morphMethod })
+    const blob = new Blob([sectionPropertiesToCSV(rows, chainage, profiles)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'section-properties.csv'
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
   // Position on axis for a given length
   const selectedMarker = selected ? getPositionAtLength(axisData, selected.length) : null
   const markerPoints = selectedMarker ? [{ id: 'marker', x: selectedMarker.x, y: selectedMarker.y }] : []
@@ -105,18 +166,19 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
       <div className="assignment-header">
         <h2>Profile Assignment</h2>
         <p className="axis-info">
-          Axis length: {totalLength.toFixed(2)}
+          Axis length: {totalLength.toFixed(2)} · Stations {formatLengthAsStation(0, chainage)} to {formatLengthAsStation(totalLength, chainage)}
         </p>
       </div>
 
       <div className="assignment-layout">
-        <div className="assignments-list">
-          <h3>Assign profiles by length</h3>
-          <div className="assignments-table">
+        <div className="assignments-list wide">
+          <h3>Assign profiles by station</h3>
+          <div className="assignments-table profile-assignments-table">
             <div className="table-header">
               <div>#</div>
-              <div>Length</div>
+              <div>Station</div>
               <div>Profile</div>
+              <div>To next</div>
               <div>Actions</div>
             </div>
             {sorted.map((a, index) => {
@@ -130,14 +192,10 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
                 >
                   <div>{index + 1}</div>
                   <div>
-                    <input
-                      type="number"
+                    <StationInput
                       value={a.length}
-                      min={0}
-                      max={totalLength.toFixed(2)}
-                      step="0.1"
-                      onChange={(e) => updateLength(index, e.target.value)}
-                      onClick={(e) => e.stopPropagation()}
+                      chainage={chainage}
+                      onChange={(len) => updateLength(a.id, len)}
                       onBlur={sortIfNeeded}
                     />
                   </div>
@@ -145,7 +203,7 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
                     <select
                       className="profile-select"
                       value={profileId}
-                      onChange={(e) => handleAssignProfile(index, e.target.value)}
+                      onChange={(e) => handleAssignProfile(a.id, e.target.value)}
                     >
                       <option value="">None</option>
                       {profiles.map(profile => (
@@ -155,8 +213,35 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
                       ))}
                     </select>
                   </div>
+                  <div className="interpolation-cell" onClick={(e) => e.stopPropagation()}>
+                    {index < sorted.length - 1 ? (
+                      <>
+                        <select
+                          className="profile-select"
+                          value={normalizeInterpolationMode(a.interpolation)}
+                          onChange={(e) => updateAssignment(a.id, { interpolation: e.target.value })}
+                        >
+                          {INTERPOLATION_MODES.map(m => (
+                            <option key={m.value} value={m.value}>{m.label}</option>
+                          ))}
+                        </select>
+                        {a.interpolation === 'transition' && (
+                          <input
+                            type="number"
+                            min="0"
+                            value={a.transitionLength ?? ''}
+                            onChange={(e) => updateAssignment(a.id, { transitionLength: e.target.value === '' ? '' : Math.max(0, Number(e.target.value)) })}
+                            placeholder="m"
+                            title="Transition length; the next profile is held after it"
+                          />
+                        )}
+                      </>
+                    ) : (
+                      <span className="interpolation-none">–</span>
+                    )}
+                  </div>
                   <div>
-                    <button className="remove-btn" onClick={(e) => { e.stopPropagation(); removeAssignment(index) }}>×</button>
+                    <button className="remove-btn" onClick={(e) => { e.stopPropagation(); removeAssignment(a.id) }}>×</button>
                   </div>
                 </div>
               )
@@ -165,6 +250,44 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
           <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
             <button onClick={addAssignment}>Add Assignment</button>
           </div>
+
+          <div className="chainage-form" style={{ marginTop: '1rem' }}>
+            <div className="form-group">
+              <label>Transition pairing</label>
+              <select value={morphMethod} onChange={(e) => setMorphMethod?.(e.target.value)}>
+                <option value="angle">Rays from the centroid</option>
+                <option value="arcLength">Arc length between anchors</option>
+              </select>
+            </div>
+          </div>
+          {invalidTransitions.map(({ from, to }) => (
+            <p key={`${from.id}-${to.id}`} className="height-warning">
+              The transition {formatLengthAsStation(from.length, chainage)} – {formatLengthAsStation(to.length, chainage)} crosses itself
+              {morphMethod === 'angle' ? '; try arc-length pairing' : '; mark matching anchors on both profiles'}
+            </p>
+          ))}
+
+          <h3 style={{ marginTop: '1.5rem' }}>Section properties</h3>
+          <div className="chainage-form">
+            <div className="form-group">
+              <label>At station</label>
+              <StationInput
+                value={probeLength}
+                chainage={chainage}
+                onChange={(len) => setProbeLength(Math.min(totalLength, Math.max(0, len)))}
+              />
+            </div>
+          </div>
+          <SectionProperties properties={probeProperties} />
+          <div className="chainage-form" style={{ marginTop: '1rem' }}>
+            <div className="form-group">
+              <label>Table interval</label>
+              <input type="number" min="0.1" value={exportStep} onChange={(e) => setExportStep(e.target.value)} />
+            </div>
+          </div>
+          <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
+            <button onClick={exportPropertiesTable} disabled={!sorted.length}>Export Table (CSV)</button>
+          </div>
         </div>
 
         {/* Right side: two-view canvas section */}
@@ -176,6 +299,7 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
                 <SegmentCanvas
                   segments={axisData}
                   points={markerPoints}
+                  labels={getAnnotationLabels(annotations, axisData)}
                   segmentColor="#3498db"
                   segmentStrokeWidth={3}
                   showGrid={true}
@@ -194,7 +318,7 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
               </div>
               {selected && (
                 <p className="view-info">
-                  Selected: {selected.length.toFixed(2)}
+                  Selected: {formatLengthAsStation(selected.length, chainage)}
                   {selected.profileId && (
                     <span> - Profile: {profiles.find(p => p.id === selected.profileId)?.name || 'Unknown'}</span>
                   )}
@@ -226,8 +350,8 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
                   <div className="no-profile-view">
                     <p>
                       {selected
-                        ? 'No profile assigned to this length'
-                        : 'Select a length from the table'}
+                        ? 'No profile assigned at this station'
+                        : 'Select a station from the table'}
                     </p>
                   </div>
                 )}
@@ -236,6 +360,19 @@ function ProfileAssignment({ axisData, profiles, profileAssignments, setProfileA
           </div>
         )}
       </div>
+
+      <CoverageBar
+        assignments={sorted}
+        profiles={profiles}
+        totalLength={totalLength}
+        chainage={chainage}
+        failingStretches={clearanceResult?.stretches || []}
+      />
+      {clearanceResult?.stretches.length > 0 && (
+        <p className="height-warning">
+          Red marks: {clearanceResult.stretches.length} stretch{clearanceResult.stretches.length > 1 ? 'es' : ''} where the clearance gauge does not fit the {clearanceResult.layer} layer
+        </p>
+      )}
     </div>
   )
 }
@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react'
 import SegmentCanvas from './SegmentCanvas'
+import SectionProperties from './SectionProperties'
 import './ProfileEditor.css'
+import { PROFILE_TEMPLATES, STANDARD_ANCHOR_NAMES, buildTemplatePoints, getDefaultTemplateParams } from '../utils/profileTemplates'
+import { computeProfileProperties } from '../utils/sectionProperties'
+import { PRIMARY_LAYER_ID, STANDARD_LAYER_NAMES, getProfileLayers } from '../utils/profileLayers'
+import { offsetProfileSegments, refreshOffsetLayers } from '../utils/profileOffset'
 
 function ProfileEditor({ profiles, setProfiles }) {
   const canvasWidth = window.innerWidth - 460 // leave more room for left panel
@@ -22,6 +27,8 @@ function ProfileEditor({ profiles, setProfiles }) {
   const [zoom, setZoom] = useState(1)
   const [offset, setOffset] = useState({ x: canvasWidth / 2, y: canvasHeight / 2 })
   const [selectedPointId, setSelectedPointId] = useState(null)
+  const [templateType, setTemplateType] = useState('circular')
+  const [activeLayerId, setActiveLayerId] = useState(PRIMARY_LAYER_ID)
 
   // Persist selected profile to localStorage whenever it changes
   useEffect(() => {
@@ -36,6 +43,11 @@ function ProfileEditor({ profiles, setProfiles }) {
     }
   }, [selectedProfile])
 
+  // Each profile opens on its primary layer
+  useEffect(() => {
+    setActiveLayerId(PRIMARY_LAYER_ID)
+  }, [selectedProfile])
+
   const createNewProfile = () => {
     const newProfile = {
       id: Date.now(),
@@ -47,7 +59,35 @@ function ProfileEditor({ profiles, setProfiles }) {
     setSelectedProfile(newProfile.id)
   }
 
+  const createTemplateProfile = () => {
+    const params = getDefaultTemplateParams(templateType)
+    const points = buildTemplatePoints(templateType, params).points
+    const newProfile = {
+      id: Date.now(),
+      name: `${PROFILE_TEMPLATES[templateType].label} ${profiles.length + 1}`,
+      template: { type: templateType, params },
+      points,
+      segments: buildSegmentsFromPoints(points)
+    }
+    setProfiles([...profiles, newProfile])
+    setSelectedProfile(newProfile.id)
+  }
+
   const currentProfile = profiles.find(p => p.id === selectedProfile)
+  const currentTemplate = currentProfile?.template ? PROFILE_TEMPLATES[currentProfile.template.type] : null
+  const templateErrors = currentTemplate
+    ? buildTemplatePoints(currentProfile.template.type, currentProfile.template.params).errors
+    : []
+  const layers = getProfileLayers(currentProfile)
+  const activeLayer = layers.find(l => l.id === activeLayerId) || layers[0]
+  const activePoints = activeLayer?.points || []
+  const duplicateLayerName = activeLayer && layers.some(l => l.id !== activeLayer.id && l.name === activeLayer.name)
+  const offsetSource = activeLayer?.offset ? layers.find(l => l.id === activeLayer.offset.sourceLayerId && l.id !== activeLayer.id) : null
+  const offsetErrors = activeLayer?.offset
+    ? offsetSource
+      ? offsetProfileSegments(offsetSource.segments, activeLayer.offset.thickness, activeLayer.offset.overrides).errors
+      : ['The source layer no longer exists']
+    : []
 
   const buildSegmentsFromPoints = (pts) => {
     const segments = []
@@ -63,7 +103,8 @@ function ProfileEditor({ profiles, setProfiles }) {
           type: 'arc',
           start: { x: prev.x, y: prev.y },
           end: { x: curr.x, y: curr.y },
-          radius: Number(curr.radius)
+          radius: Number(curr.radius),
+          largeArc: Boolean(curr.largeArc)
         })
       } else {
         segments.push({
@@ -76,14 +117,117 @@ function ProfileEditor({ profiles, setProfiles }) {
     return segments
   }
 
+  // Point edits apply to the active layer
   const updateProfilePoints = (profileId, newPoints) => {
     const newSegments = buildSegmentsFromPoints(newPoints)
+    setProfiles(profiles.map(p => {
+      if (p.id !== profileId) return p
+      if (!activeLayer || activeLayer.primary) return refreshOffsetLayers({ ...p, points: newPoints, segments: newSegments })
+      return refreshOffsetLayers({
+        ...p,
+        layers: (p.layers || []).map(l => l.id === activeLayer.id ? { ...l, points: newPoints, segments: newSegments } : l)
+      })
+    }))
+  }
+
+  // New layers start as a copy of the primary layer
+  const addLayer = () => {
+    if (!currentProfile) return
+    const name = STANDARD_LAYER_NAMES.find(n => !layers.some(l => l.name === n)) || `Layer ${layers.length + 1}`
+    const points = (currentProfile.points || []).map((pt, i) => ({ ...pt, id: Date.now() + i }))
+    const layer = { id: `layer-${Date.now()}`, name, points, segments: buildSegmentsFromPoints(points) }
+    setProfiles(profiles.map(p => p.id === currentProfile.id ? { ...p, layers: [...(p.layers || []), layer] } : p))
+    setActiveLayerId(layer.id)
+  }
+
+  // Offset layers follow their source layer at a lining thickness until unlinked
+  const addOffsetLayer = () => {
+    if (!currentProfile || !activeLayer) return
+    const name = STANDARD_LAYER_NAMES.find(n => !layers.some(l => l.name === n)) || `Layer ${layers.length + 1}`
+    const layer = {
+      id: `layer-${Date.now()}`,
+      name,
+      points: [],
+      segments: [],
+      offset: { sourceLayerId: activeLayer.id, thickness: 0.3, overrides: [] }
+    }
+    setProfiles(profiles.map(p => p.id === currentProfile.id ? refreshOffsetLayers({ ...p, layers: [...(p.layers || []), layer] }) : p))
+    setActiveLayerId(layer.id)
+  }
+
+  const updateOffset = (changes) => {
+    if (!currentProfile || !activeLayer?.offset) return
+    setProfiles(profiles.map(p => {
+      if (p.id !== currentProfile.id) return p
+      return refreshOffsetLayers({
+        ...p,
+        layers: (p.layers || []).map(l => l.id === activeLayer.id ? { ...l, offset: { ...l.offset, ...changes } } : l)
+      })
+    }))
+  }
+
+  const updateOffsetOverride = (index, value) => {
+    const overrides = [...(activeLayer.offset.overrides || [])]
+    overrides[index] = value === '' ? '' : Number(value)
+    updateOffset({ overrides })
+  }
+
+  const unlinkOffset = () => {
+    if (!currentProfile || !activeLayer?.offset) return
+    setProfiles(profiles.map(p => {
+      if (p.id !== currentProfile.id) return p
+      return {
+        ...p,
+        layers: (p.layers || []).map(l => {
+          if (l.id !== activeLayer.id) return l
+          const { offset: _offset, ...rest } = l
+          return rest
+        })
+      }
+    }))
+  }
+
+  const renameLayer = (name) => {
+    if (!currentProfile || !activeLayer) return
+    setProfiles(profiles.map(p => {
+      if (p.id !== currentProfile.id) return p
+      if (activeLayer.primary) return { ...p, layerName: name }
+      return { ...p, layers: (p.layers || []).map(l => l.id === activeLayer.id ? { ...l, name } : l) }
+    }))
+  }
+
+  const deleteLayer = () => {
+    if (!currentProfile || !activeLayer || activeLayer.primary) return
+    const confirmed = window.confirm(`Delete layer ${activeLayer.name}? This cannot be undone.`)
+    if (!confirmed) return
     setProfiles(profiles.map(p =>
-      p.id === profileId ? { ...p, points: newPoints, segments: newSegments } : p
+      p.id === currentProfile.id ? { ...p, layers: (p.layers || []).filter(l => l.id !== activeLayer.id) } : p
     ))
+    setActiveLayerId(PRIMARY_LAYER_ID)
   }
 
 
+  // Template profiles keep their last valid geometry while the parameters are invalid
+  const updateTemplateParam = (key, value) => {
+    if (!currentProfile?.template) return
+    const params = { ...currentProfile.template.params, [key]: value === '' ? '' : Number(value) }
+    const { points, errors } = buildTemplatePoints(currentProfile.template.type, params)
+    setProfiles(profiles.map(p => {
+      if (p.id !== currentProfile.id) return p
+      const template = { ...p.template, params }
+      return errors.length ? { ...p, template } : refreshOffsetLayers({ ...p, template, points, segments: buildSegmentsFromPoints(points) })
+    }))
+  }
+
+  const convertToFreeForm = () => {
+    if (!currentProfile?.template) return
+    setProfiles(profiles.map(p => {
+      if (p.id !== currentProfile.id) return p
+      const { template: _template, ...rest } = p
+      return rest
+    }))
+  }
+
   const deleteProfile = (id) => {
     const profile = profiles.find(p => p.id === id)
     const name = profile ? profile.name : 'this profile'
@@ -109,8 +253,7 @@ function ProfileEditor({ profiles, setProfiles }) {
       type: 'line',
       radius: ''
     }
-    const currentPoints = currentProfile.points || []
-    const newPoints = [...currentPoints, newPoint]
+    const newPoints = [...activePoints, newPoint]
     updateProfilePoints(currentProfile.id, newPoints)
   }
 
@@ -120,8 +263,7 @@ function ProfileEditor({ profiles, setProfiles }) {
     if (field === 'x' || field === 'y' || field === 'radius') {
       v = value === '' ? '' : Number(value)
     }
-    const currentPoints = currentProfile.points || []
-    const newPoints = currentPoints.map(p =>
+    const newPoints = activePoints.map(p =>
       p.id === pointId ? { ...p, [field]: v } : p
     )
     updateProfilePoints(currentProfile.id, newPoints)
@@ -129,8 +271,7 @@ function ProfileEditor({ profiles, setProfiles }) {
 
   const removePoint = (pointId) => {
     if (!currentProfile) return
-    const currentPoints = currentProfile.points || []
-    const newPoints = currentPoints.filter(p => p.id !== pointId)
+    const newPoints = activePoints.filter(p => p.id !== pointId)
     updateProfilePoints(currentProfile.id, newPoints)
   }
 
@@ -141,7 +282,7 @@ function ProfileEditor({ profiles, setProfiles }) {
 
   const moveSelectedPoint = (direction) => {
     if (!currentProfile || selectedPointId === null) return
-    const pts = [...(currentProfile.points || [])]
+    const pts = [...activePoints]
     const currentIndex = pts.findIndex(p => p.id === selectedPointId)
     if (currentIndex === -1) return
     
@@ -153,6 +294,39 @@ function ProfileEditor({ profiles, setProfiles }) {
     updateProfilePoints(currentProfile.id, pts)
   }
 
+  const layerControls = currentProfile && (
+    <div className="layer-controls">
+      <div className="layer-controls-row">
+        <select value={activeLayer.id} onChange={(e) => setActiveLayerId(e.target.value)} className="template-select">
+          {layers.map(l => (
+            <option key={l.id} value={l.id}>{l.name}{l.primary ? ' (primary)' : ''}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          list="profile-layer-names"
+          value={activeLayer.name}
+          onChange={(e) => renameLayer(e.target.value)}
+          className="layer-name-input"
+          title="Layers with the same name are interpolated between profiles"
+        />
+        <datalist id="profile-layer-names">
+          {STANDARD_LAYER_NAMES.map(n => <option key={n} value={n} />)}
+        </datalist>
+      </div>
+      <div className="layer-controls-row">
+        <button onClick={addLayer}>Add Layer</button>
+        <button onClick={addOffsetLayer} title="New layer offset from this one by a thickness">Offset Layer</button>
+        <button onClick={deleteLayer} className="secondary" disabled={activeLayer.primary}>
+          Delete Layer
+        </button>
+      </div>
+      {duplicateLayerName && (
+        <p className="template-error">Another layer of this profile is already named {activeLayer.name}</p>
+      )}
+    </div>
+  )
+
   const zoomIn = () => setZoom((z) => Math.min(4, z * 1.25))
   const zoomOut = () => setZoom((z) => Math.max(0.25, z / 1.25))
   const resetView = () => {
@@ -164,6 +338,16 @@ function ProfileEditor({ profiles, setProfiles }) {
     <div className="profile-editor">
       <div className="toolbar">
         <button onClick={createNewProfile}>New Profile</button>
+        <select
+          value={templateType}
+          onChange={(e) => setTemplateType(e.target.value)}
+          className="template-select"
+        >
+          {Object.entries(PROFILE_TEMPLATES).map(([type, t]) => (
+            <option key={type} value={type}>{t.label}</option>
+          ))}
+        </select>
+        <button onClick={createTemplateProfile}>New from Template</button>
         {currentProfile && (
           <>
             <input
@@ -194,7 +378,11 @@ function ProfileEditor({ profiles, setProfiles }) {
               onClick={() => setSelectedProfile(profile.id)}
             >
               <b className="profile-name">{profile.name}</b>
-              <span className="segment-count">({profile.segments.length} segments)</span>
+              <span className="segment-count">
+                ({profile.segments.length} segments)
+                {profile.template && PROFILE_TEMPLATES[profile.template.type] && ` · ${PROFILE_TEMPLATES[profile.template.type].label}`}
+                {profile.layers?.length > 0 && ` · ${profile.layers.length + 1} layers`}
+              </span>
               <button
                 onClick={(e) => {
                   e.stopPropagation()
@@ -211,8 +399,11 @@ function ProfileEditor({ profiles, setProfiles }) {
         <div className="canvas-container">
           {currentProfile ? (
             <SegmentCanvas
-              segments={currentProfile.segments || []}
-              points={(currentProfile.points || []).map(pt => ({
+              segments={activeLayer.segments}
+              backgroundSegments={layers
+                .filter(l => l.id !== activeLayer.id)
+                .map(l => ({ segments: l.segments, color: '#bdc3c7' }))}
+              points={activePoints.map(pt => ({
                 id: pt.id,
                 x: pt.x,
                 y: pt.y
@@ -238,17 +429,103 @@ function ProfileEditor({ profiles, setProfiles }) {
             </div>
           )}
         </div>
-        {currentProfile && (
+        {currentProfile && currentTemplate && activeLayer.primary && (
+          <div className="profile-points-panel">
+            {layerControls}
+            <h3 className="template-title">{currentTemplate.label} template</h3>
+            {currentTemplate.params.map(p => (
+              <label key={p.key} className="template-param">
+                <span>{p.label}</span>
+                <input
+                  type="number"
+                  value={currentProfile.template.params[p.key] ?? p.default}
+                  onChange={(e) => updateTemplateParam(p.key, e.target.value)}
+                  placeholder={p.optional ? 'flat' : ''}
+                  step="0.1"
+                />
+              </label>
+            ))}
+            {templateErrors.map(err => (
+              <p key={err} className="template-error">{err}</p>
+            ))}
+            <p className="profile-points-empty">
+              Points are generated from the parameters. Convert the profile to edit them freely.
+            </p>
+            <div className="profile-points-actions">
+              <button onClick={convertToFreeForm}>Convert to Free-form</button>
+            </div>
+
+            <h3 className="template-title">Section properties</h3>
+            <SectionProperties properties={computeProfileProperties(currentProfile.segments)} />
+          </div>
+        )}
+        {currentProfile && activeLayer.offset && (
+          <div className="profile-points-panel">
+            {layerControls}
+            <h3 className="template-title">Offset</h3>
+            <label className="template-param">
+              <span>Source layer</span>
+              <select
+                value={activeLayer.offset.sourceLayerId}
+                onChange={(e) => updateOffset({ sourceLayerId: e.target.value, overrides: [] })}
+              >
+                {!offsetSource && <option value={activeLayer.offset.sourceLayerId}>(missing)</option>}
+                {layers.filter(l => l.id !== activeLayer.id).map(l => (
+                  <option key={l.id} value={l.id}>{l.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="template-param">
+              <span>Thickness</span>
+              <input
+                type="number"
+                value={activeLayer.offset.thickness}
+                onChange={(e) => updateOffset({ thickness: e.target.value === '' ? '' : Number(e.target.value) })}
+                step="0.05"
+              />
+            </label>
+            {(offsetSource?.segments || []).map((seg, i) => (
+              <label key={i} className="template-param">
+                <span>Segment {i + 1} ({seg.type})</span>
+                <input
+                  type="number"
+                  value={activeLayer.offset.overrides?.[i] ?? ''}
+                  onChange={(e) => updateOffsetOverride(i, e.target.value)}
+                  placeholder={String(activeLayer.offset.thickness)}
+                  step="0.05"
+                />
+              </label>
+            ))}
+            {offsetErrors.map(err => (
+              <p key={err} className="template-error">{err}</p>
+            ))}
+            <p className="profile-points-empty">
+              Positive thicknesses offset outward, negative inward. The layer follows every change of its source; unlink it to edit the points freely.
+            </p>
+            <div className="profile-points-actions">
+              <button onClick={unlinkOffset}>Unlink Offset</button>
+            </div>
+
+            <h3 className="template-title">Section properties</h3>
+            <SectionProperties properties={computeProfileProperties(activeLayer.segments)} />
+          </div>
+        )}
+        {currentProfile && !(currentTemplate && activeLayer.primary) && !activeLayer.offset && (
           <div className="profile-points-panel">
+            {layerControls}
             <div className="profile-points-header">
               <span>#</span>
               <span>X</span>
               <span>Y</span>
               <span>Type</span>
               <span>Radius</span>
+              <span title="Points with the same anchor name are matched in arc-length transitions">Anchor</span>
             </div>
+            <datalist id="profile-anchor-names">
+              {STANDARD_ANCHOR_NAMES.map(n => <option key={n} value={n} />)}
+            </datalist>
 
-            {(currentProfile.points || []).map((pt, index) => (
+            {activePoints.map((pt, index) => (
               <div 
                 key={pt.id} 
                 className={`profile-point-row ${selectedPointId === pt.id ? 'selected' : ''}`}
@@ -301,6 +578,15 @@ function ProfileEditor({ profiles, setProfiles }) {
                           placeholder="R"
                         />
                       )}
+                      {pt.type === 'arc' && (
+                        <input
+                          type="checkbox"
+                          className="profile-point-large"
+                          checked={Boolean(pt.largeArc)}
+                          onChange={(e) => updatePoint(pt.id, 'largeArc', e.target.checked)}
+                          title="Major arc (sweep > 180°)"
+                        />
+                      )}
                       <button
                         className="delete-btn small"
                         onClick={() => removePoint(pt.id)}
@@ -310,10 +596,18 @@ function ProfileEditor({ profiles, setProfiles }) {
                     </div>
                   </>
                 )}
+                <input
+                  type="text"
+                  list="profile-anchor-names"
+                  value={pt.anchor || ''}
+                  onChange={(e) => updatePoint(pt.id, 'anchor', e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  placeholder="–"
+                />
               </div>
             ))}
 
-            {(!currentProfile.points || currentProfile.points.length === 0) && (
+            {activePoints.length === 0 && (
               <p className="profile-points-empty">
                 Add points to define this profile section. They will be connected in order.
               </p>
@@ -324,14 +618,14 @@ function ProfileEditor({ profiles, setProfiles }) {
               <button 
                 onClick={() => moveSelectedPoint('up')} 
                 className="secondary"
-                disabled={selectedPointId === null || (currentProfile.points || []).findIndex(p => p.id === selectedPointId) === 0}
+                disabled={selectedPointId === null || activePoints.findIndex(p => p.id === selectedPointId) === 0}
               >
                 Move Up
               </button>
               <button 
                 onClick={() => moveSelectedPoint('down')} 
                 className="secondary"
-                disabled={selectedPointId === null || (currentProfile.points || []).findIndex(p => p.id === selectedPointId) === (currentProfile.points || []).length - 1}
+                disabled={selectedPointId === null || activePoints.findIndex(p => p.id === selectedPointId) === activePoints.length - 1}
               >
                 Move Down
               </button>
@@ -339,6 +633,9 @@ function ProfileEditor({ profiles, setProfiles }) {
                 Clear All
               </button>
             </div>
+
+            <h3 className="template-title">Section properties</h3>
+            <SectionProperties properties={computeProfileProperties(activeLayer.segments)} />
           </div>
         )}
       </div>
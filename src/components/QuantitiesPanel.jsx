@@ -0,0 +1,142 @@
+import { useState, useEffect, useMemo } from 'react'
+import './ProfileAssignment.css'
+import { formatLengthAsStation } from '../utils/chainage'
+import { computeQuantities, quantitiesToCSV } from '../utils/quantities'
+
+const DEFAULT_SETTINGS = { step: 1, rangeStep: 100, liningThickness: 0.3 }
+
+function QuantitiesPanel({ axisData, profiles, profileAssignments, heightAssignments, superelevation, frameMode, morphMethod, chainage }) {
+  const [settings, setSettings] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem('tunnel-quantity-settings-v1')
+      if (stored) return { ...DEFAULT_SETTINGS, ...JSON.parse(stored) }
+    } catch {
+      // ignore
+    }
+    return DEFAULT_SETTINGS
+  })
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem('tunnel-quantity-settings-v1', JSON.stringify(settings))
+    } catch {
+      // ignore
+    }
+  }, [settings])
+
+  const quantities = useMemo(
+    () => computeQuantities(axisData, heightAssignments, profileAssignments, profiles, {
+      ...settings,
+      frameMode,
+      superelevation,
+      chainage,
+      morph: morphMethod,
+    }),
+    [axisData, heightAssignments, profileAssignments, profiles, settings, frameMode, superelevation, chainage, morphMethod]
+  )
+
+  const updateSetting = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value === '' ? '' : Number(value) }))
+  }
+
+  const exportCSV = () => {
+    const blob = new Blob([quantitiesToCSV(quantities, chainage)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'tunnel-quantities.csv'
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  const f = (v) => (Number.isFinite(v) ? v.toFixed(2) : '–')
+  const valueCells = (q) => (
+    <>
+      <div>{f(q.axisLength)}</div>
+      <div>{f(q.excavation)}</div>
+      <div>{f(q.lining)}</div>
+      <div>{f(q.surface)}</div>
+    </>
+  )
+
+  return (
+    <div className="profile-assignment">
+      <div className="assignment-header">
+        <h2>Quantities</h2>
+        <p className="axis-info">
+          Volumes and lining surface integrated along the 3D axis. Profiles are the inner lining surface; excavation adds the lining thickness.
+        </p>
+      </div>
+
+      <div className="assignment-form" style={{ marginTop: '1.5rem' }}>
+        <div className="form-group">
+          <label>Lining thickness</label>
+          <input type="number" min="0" step="0.05" value={settings.liningThickness} onChange={(e) => updateSetting('liningThickness', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Report interval (stations)</label>
+          <input type="number" min="1" value={settings.rangeStep} onChange={(e) => updateSetting('rangeStep', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Integration step</label>
+          <input type="number" min="0.1" step="0.1" value={settings.step} onChange={(e) => updateSetting('step', e.target.value)} />
+        </div>
+        <button className="add-button" onClick={exportCSV} disabled={!quantities.ranges.length}>Export CSV</button>
+      </div>
+
+      {quantities.ranges.length === 0 ? (
+        <p className="no-assignments">Define the axis and assign profiles to compute quantities</p>
+      ) : (
+        <div className="quantities-tables">
+          <div className="assignments-list wide">
+            <h3>By chainage range</h3>
+            <div className="assignments-table quantities-table">
+              <div className="table-header">
+                <div>From</div>
+                <div>To</div>
+                <div>Axis length</div>
+                <div>Excavation</div>
+                <div>Lining</div>
+                <div>Surface</div>
+              </div>
+              {quantities.ranges.map(r => (
+                <div key={r.from} className="table-row">
+                  <div>{formatLengthAsStation(r.from, chainage)}</div>
+                  <div>{formatLengthAsStation(r.to, chainage)}</div>
+                  {valueCells(r)}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="assignments-list wide">
+            <h3>By profile</h3>
+            <div className="assignments-table quantities-table">
+              <div className="table-header">
+                <div className="quantities-label">Profile</div>
+                <div>Axis length</div>
+                <div>Excavation</div>
+                <div>Lining</div>
+                <div>Surface</div>
+              </div>
+              {quantities.profiles.map(p => (
+                <div key={p.key} className="table-row">
+                  <div className="quantities-label">{p.label}</div>
+                  {valueCells(p)}
+                </div>
+              ))}
+              <div className="table-row quantities-total">
+                <div className="quantities-label">Total</div>
+                {valueCells(quantities.total)}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QuantitiesPanel
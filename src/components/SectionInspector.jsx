@@ -0,0 +1,123 @@
+import { formatLengthAsStation } from '../utils/chainage'
+import './SectionInspector.css'
+
+const FRAME_MODE_NAMES = { chord: 'chord', vertical: 'vertical plane', rmf: 'rotation-minimising' }
+
+/**
+ * Overlay with the tunnel section at the cutting plane: the outline of every layer
+ * as seen in the section plane (rolled by the superelevation), overall dimensions
+ * and the properties of each layer.
+ * @param {Object} props
+ * @param {Object} props.section - Result of getSectionAtLength
+ * @param {Object} props.chainage - Project chainage definition
+ * @param {Array} props.profiles - Profiles, for the names in the transition label
+ * @param {string} props.frameMode - Section frame mode of the view
+ * @param {Function} props.getLayerColor - Layer name to CSS colour
+ */
+function SectionInspector({ section, chainage, profiles, frameMode, getLayerColor }) {
+  const f = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : '–')
+  const profileName = (id) => profiles.find(p => p.id === id)?.name || `#${id}`
+
+  const { bracket } = section
+  let profileLabel = '–'
+  if (bracket) {
+    const { prev, next, t } = bracket
+    profileLabel = prev.profileId === next.profileId || t === 0 || t === 1
+      ? profileName((t === 1 ? next : prev).profileId)
+      : `${profileName(prev.profileId)} → ${profileName(next.profileId)} (${Math.round(t * 100)}%)`
+  }
+
+  // Drawing extent over all layers; y is flipped for SVG
+  const all = section.layers.flatMap(l => l.rolledPoints)
+  const xs = all.map(p => p.x).concat(0)
+  const ys = all.map(p => p.y).concat(0)
+  const minX = Math.min(...xs)
+  const maxX = Math.max(...xs)
+  const minY = Math.min(...ys)
+  const maxY = Math.max(...ys)
+  const span = Math.max(maxX - minX, maxY - minY, 1)
+  const pad = span * 0.18
+  const viewBox = `${minX - pad} ${-maxY - pad} ${maxX - minX + 2 * pad} ${maxY - minY + 2 * pad}`
+  const fontSize = span * 0.06
+  const toPath = (points) => points.map((p, i) => `${i ? 'L' : 'M'}${p.x},${-p.y}`).join(' ') + ' Z'
+
+  // Overall dimensions of the outermost layer, along the section plane's axes
+  const outer = section.layers.reduce((a, b) => ((b.properties?.area || 0) > (a?.properties?.area || 0) ? b : a), null)
+  let dims = null
+  if (outer) {
+    const ox = outer.rolledPoints.map(p => p.x)
+    const oy = outer.rolledPoints.map(p => p.y)
+    dims = { x0: Math.min(...ox), x1: Math.max(...ox), y0: Math.min(...oy), y1: Math.max(...oy) }
+  }
+
+  return (
+    <div className="section-inspector">
+      <div className="section-inspector-header">
+        <h3>Section {formatLengthAsStation(section.length, chainage)}</h3>
+        <span>{profileLabel}</span>
+      </div>
+
+      <svg className="section-inspector-drawing" viewBox={viewBox}>
+        {section.layers.map(layer => (
+          <path
+            key={layer.name}
+            d={toPath(layer.rolledPoints)}
+            fill={getLayerColor(layer.name)}
+            fillOpacity="0.15"
+            stroke={getLayerColor(layer.name)}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {dims && (
+          <g className="section-inspector-dims" fontSize={fontSize}>
+            <line x1={dims.x0} y1={-dims.y0 + pad / 2} x2={dims.x1} y2={-dims.y0 + pad / 2} vectorEffect="non-scaling-stroke" />
+            <text x={(dims.x0 + dims.x1) / 2} y={-dims.y0 + pad / 2 + fontSize * 1.1} textAnchor="middle">{f(dims.x1 - dims.x0, 2)}</text>
+            <line x1={dims.x1 + pad / 2} y1={-dims.y0} x2={dims.x1 + pad / 2} y2={-dims.y1} vectorEffect="non-scaling-stroke" />
+            <text x={dims.x1 + pad / 2 + fontSize * 0.3} y={-(dims.y0 + dims.y1) / 2} dominantBaseline="middle">{f(dims.y1 - dims.y0, 2)}</text>
+          </g>
+        )}
+        <g className="section-inspector-axis">
+          <line x1={-span * 0.04} y1="0" x2={span * 0.04} y2="0" vectorEffect="non-scaling-stroke" />
+          <line x1="0" y1={-span * 0.04} x2="0" y2={span * 0.04} vectorEffect="non-scaling-stroke" />
+        </g>
+      </svg>
+
+      <dl className="section-inspector-info">
+        <dt>Axis point</dt>
+        <dd>{f(section.center.x)}, {f(section.center.z)}, {f(section.center.y)}</dd>
+        <dt>Grade</dt>
+        <dd>{f(section.grade * 100, 2)} %</dd>
+        <dt>Cross-fall</dt>
+        <dd>{f(Math.tan(section.roll) * 100, 2)} %</dd>
+        <dt>Frame</dt>
+        <dd>{FRAME_MODE_NAMES[frameMode] || frameMode}</dd>
+      </dl>
+
+      <table className="section-inspector-layers">
+        <thead>
+          <tr>
+            <th>Layer</th>
+            <th>W × H</th>
+            <th>Area</th>
+          </tr>
+        </thead>
+        <tbody>
+          {section.layers.map(layer => (
+            <tr key={layer.name}>
+              <td>
+                <span className="section-inspector-swatch" style={{ background: getLayerColor(layer.name) }} />
+                {layer.name}
+              </td>
+              <td>{f(layer.properties?.width, 2)} × {f(layer.properties?.height, 2)}</td>
+              <td>{f(layer.properties?.area, 2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!section.layers.length && <p className="section-inspector-empty">No profile at this station</p>}
+      <p className="section-inspector-note">Drawing as seen in the section plane (looking ahead); W × H in profile coordinates</p>
+    </div>
+  )
+}
+
+export default SectionInspector
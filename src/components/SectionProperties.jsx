@@ -0,0 +1,33 @@
+import './SectionProperties.css'
+
+/**
+ * Read-out of cross-section properties.
+ * @param {Object} props
+ * @param {Object|null} props.properties - Result of computeProfileProperties / computeSectionPropertiesAtLength
+ */
+function SectionProperties({ properties }) {
+  if (!properties) {
+    return <p className="section-properties-empty">No closed section to measure</p>
+  }
+  const f = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : '–')
+
+  return (
+    <dl className="section-properties">
+      <dt>Area</dt>
+      <dd>{f(properties.area)}</dd>
+      <dt>Perimeter</dt>
+      <dd>{f(properties.perimeter)}</dd>
+      <dt>Centroid</dt>
+      <dd>{f(properties.centroid?.x)}, {f(properties.centroid?.y)}</dd>
+      <dt>Width × Height</dt>
+      <dd>{f(properties.width)} × {f(properties.height)}</dd>
+      <dt>Hydraulic radius</dt>
+      <dd>{f(properties.hydraulicRadius)}</dd>
+      {properties.exact === false && (
+        <dd className="section-properties-note">Transition between profiles – from the blended polygon</dd>
+      )}
+    </dl>
+  )
+}
+
+export default SectionProperties
@@ -1,10 +1,10 @@
-import { Stage, Layer, Line, Circle, Path, Text } from 'react-konva'
-import { generateArcPath } from '../utils/geometry'
+import { Stage, Layer, Line, Circle, Path, Text, Group } from 'react-konva'
+import { generateArcPath, sampleClothoidPoints } from '../utils/geometry'
 
 /**
  * Common canvas component for rendering segments, grid, and points
  * @param {Object} props
- * @param {Array} props.segments - Array of segment objects with {type, start, end, radius?}
+ * @param {Array} props.segments - Array of segment objects with {type, start, end, radius?} (arcs may set largeArc; clothoids also carry length, curvatures and start heading)
  * @param {Array} props.points - Optional array of point objects with {id, x, y}
  * @param {string} props.segmentColor - Color for segments (default: '#3498db')
  * @param {string} props.pointColor - Color for points (default: '#2980b9')
@@ -21,6 +21,9 @@ import { generateArcPath } from '../utils/geometry'
  * @param {Function} props.onDragEnd - Callback when stage is dragged
  * @param {number} props.highlightedSegmentIndex - Index of segment to highlight (default: -1)
  * @param {string} props.highlightColor - Color for highlighted segment (default: '#e74c3c')
+ * @param {Function} props.onCanvasClick - Called with the clicked point in user coordinates
+ * @param {Array} props.backgroundSegments - Optional groups {segments, color} drawn thinly behind the segments
+ * @param {Array} props.labels - Optional labelled markers {id, x, y, text, color} (e.g. annotations)
  */
 function SegmentCanvas({
   segments = [],
@@ -42,17 +45,98 @@ function SegmentCanvas({
   highlightColor = '#e74c3c',
   highlightedPointId = null,
   highlightPointColor = '#e74c3c',
-  axisScale = 1
+  axisScale = 1,
+  onCanvasClick,
+  backgroundSegments = [],
+  labels = []
 }) {
   const toCanvasY = (y) => invertY ? -y : y
   const scaleCoord = (val) => val * axisScale
 
+  const renderSegment = (segment, key, strokeColor, strokeWidth) => {
+    if (segment.type === 'line') {
+      return (
+        <Line
+          key={key}
+          points={[
+            scaleCoord(segment.start.x),
+            toCanvasY(scaleCoord(segment.start.y)),
+            scaleCoord(segment.end.x),
+            toCanvasY(scaleCoord(segment.end.y)),
+          ]}
+          stroke={strokeColor}
+          strokeWidth={strokeWidth}
+          lineCap="round"
+          lineJoin="round"
+        />
+      )
+    }
+
+    if (segment.type === 'arc' && segment.radius) {
+      const canvasStart = {
+        x: scaleCoord(segment.start.x),
+        y: toCanvasY(scaleCoord(segment.start.y)),
+      }
+      const canvasEnd = {
+        x: scaleCoord(segment.end.x),
+        y: toCanvasY(scaleCoord(segment.end.y)),
+      }
+
+      const pathData = generateArcPath(canvasStart, canvasEnd, segment.radius * axisScale, segment.largeArc)
+      if (!pathData) {
+        // Radius too small for the chord: the geometry falls back to a straight chord
+        return (
+          <Line
+            key={key}
+            points={[canvasStart.x, canvasStart.y, canvasEnd.x, canvasEnd.y]}
+            stroke={strokeColor}
+            strokeWidth={strokeWidth}
+            dash={[6, 4]}
+          />
+        )
+      }
+
+      return (
+        <Path
+          key={key}
+          data={pathData}
+          stroke={strokeColor}
+          strokeWidth={strokeWidth}
+          lineCap="round"
+          lineJoin="round"
+        />
+      )
+    }
+
+    if (segment.type === 'clothoid') {
+      const pts = sampleClothoidPoints(segment, Math.max(0.5, (segment.length || 0) / 100))
+      return (
+        <Line
+          key={key}
+          points={pts.flatMap(p => [scaleCoord(p.x), toCanvasY(scaleCoord(p.y))])}
+          stroke={strokeColor}
+          strokeWidth={strokeWidth}
+          lineCap="round"
+          lineJoin="round"
+        />
+      )
+    }
+
+    return null
+  }
+
   return (
     <Stage
       width={width}
       height={height}
       draggable
       onDragEnd={onDragEnd}
+      onClick={(e) => {
+        if (!onCanvasClick) return
+        const pos = e.target.getStage().getRelativePointerPosition()
+        if (!pos) return
+        onCanvasClick({ x: pos.x / axisScale, y: toCanvasY(pos.y) / axisScale })
+      }}
       scaleX={zoom}
       scaleY={zoom}
       x={offset.x}
@@ -111,56 +195,19 @@ function SegmentCanvas({
           </>
         )}
 
+        {/* Background segments (e.g. other profile layers) */}
+        {backgroundSegments.map((group, groupIndex) =>
+          (group.segments || []).map((segment, index) =>
+            renderSegment(segment, `bg-${groupIndex}-${index}`, group.color || '#bdc3c7', Math.max(1, segmentStrokeWidth - 1.5))
+          )
+        )}
+
         {/* Segments */}
         {segments.map((segment, index) => {
           const isHighlighted = index === highlightedSegmentIndex
           const strokeColor = isHighlighted ? highlightColor : segmentColor
           const strokeWidth = isHighlighted ? segmentStrokeWidth + 2 : segmentStrokeWidth
-
-          if (segment.type === 'line') {
-            return (
-              <Line
-                key={index}
-                points={[
-                  scaleCoord(segment.start.x),
-                  toCanvasY(scaleCoord(segment.start.y)),
-                  scaleCoord(segment.end.x),
-                  toCanvasY(scaleCoord(segment.end.y)),
-                ]}
-                stroke={strokeColor}
-                strokeWidth={strokeWidth}
-                lineCap="round"
-                lineJoin="round"
-              />
-            )
-          }
-
-          if (segment.type === 'arc' && segment.radius) {
-            const canvasStart = {
-              x: scaleCoord(segment.start.x),
-              y: toCanvasY(scaleCoord(segment.start.y)),
-            }
-            const canvasEnd = {
-              x: scaleCoord(segment.end.x),
-              y: toCanvasY(scaleCoord(segment.end.y)),
-            }
-
-            const pathData = generateArcPath(canvasStart, canvasEnd, segment.radius * axisScale)
-            if (!pathData) return null
-
-            return (
-              <Path
-                key={index}
-                data={pathData}
-                stroke={strokeColor}
-                strokeWidth={strokeWidth}
-                lineCap="round"
-                lineJoin="round"
-              />
-            )
-          }
-
-          return null
+          return renderSegment(segment, index, strokeColor, strokeWidth)
         })}
 
         {/* Point markers */}
@@ -176,6 +223,14 @@ function SegmentCanvas({
             />
           )
         })}
+
+        {/* Labelled markers */}
+        {labels.map(label => (
+          <Group key={`label-${label.id}`} x={scaleCoord(label.x)} y={toCanvasY(scaleCoord(label.y))}>
+            <Circle radius={pointRadius} fill={label.color || pointColor} />
+            <Text x={pointRadius + 3} y={-6} text={label.text} fontSize={12} fill={label.color || '#2c3e50'} />
+          </Group>
+        ))}
       </Layer>
     </Stage>
   )
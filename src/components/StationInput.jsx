@@ -0,0 +1,44 @@
+import { useState } from 'react'
+import { formatLengthAsStation, parseStation, stationToLength, normalizeChainage } from '../utils/chainage'
+
+/**
+ * Text input that shows a true axis length as a formatted station and converts
+ * the entered station back to length when editing finishes (blur or Enter).
+ * @param {Object} props
+ * @param {number} props.value - True length along the axis
+ * @param {Object} props.chainage - Project chainage definition
+ * @param {Function} props.onChange - Called with the new true length
+ * @param {Function} props.onBlur - Optional blur callback (after committing)
+ */
+function StationInput({ value, chainage, onChange, onBlur, className, ...rest }) {
+  // Local text while editing; null shows the formatted value
+  const [text, setText] = useState(null)
+
+  const commit = () => {
+    if (text === null) return
+    const station = parseStation(text, normalizeChainage(chainage).format)
+    if (Number.isFinite(station)) onChange(stationToLength(station, chainage))
+    setText(null)
+  }
+
+  return (
+    <input
+      type="text"
+      className={className}
+      value={text ?? formatLengthAsStation(value, chainage)}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => {
+        commit()
+        onBlur?.()
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur()
+        if (e.key === 'Escape') setText(null)
+      }}
+      onClick={(e) => e.stopPropagation()}
+      {...rest}
+    />
+  )
+}
+
+export default StationInput
@@ -0,0 +1,68 @@
+import { projectPointOnAxis } from '../utils/geometry'
+import { formatLengthAsStation } from '../utils/chainage'
+
+/**
+ * Survey check tool: projects an entered or picked coordinate onto the axis and
+ * reports station, lateral offset and vertical offset.
+ * @param {Object} props
+ * @param {Array} props.axisData - Axis segments
+ * @param {Array} props.heightAssignments - Height points along the axis
+ * @param {Object} props.chainage - Project chainage definition
+ * @param {Object} props.probe - {x, y, z} entered coordinate ('' for blank)
+ * @param {Function} props.setProbe - State setter for the coordinate
+ * @param {boolean} props.pickMode - Whether canvas clicks set the coordinate
+ * @param {Function} props.setPickMode - Toggles pick mode
+ */
+function StationOffsetTool({ axisData, heightAssignments, chainage, probe, setProbe, pickMode, setPickMode }) {
+  const hasPoint = probe.x !== '' && probe.y !== ''
+  const result = hasPoint ? projectPointOnAxis(axisData, heightAssignments, probe) : null
+
+  const update = (field, value) => {
+    setProbe(prev => ({ ...prev, [field]: value === '' ? '' : Number(value) }))
+  }
+
+  return (
+    <div className="axis-probe">
+      <div className="axis-probe-header">
+        <h3>Station / Offset</h3>
+        <button className={pickMode ? 'active' : ''} onClick={() => setPickMode(!pickMode)}>
+          {pickMode ? 'Picking…' : 'Pick Point'}
+        </button>
+      </div>
+      <div className="axis-probe-inputs">
+        <label>
+          X
+          <input type="number" value={probe.x} onChange={(e) => update('x', e.target.value)} />
+        </label>
+        <label>
+          Y
+          <input type="number" value={probe.y} onChange={(e) => update('y', e.target.value)} />
+        </label>
+        <label>
+          Z
+          <input type="number" value={probe.z} placeholder="optional" onChange={(e) => update('z', e.target.value)} />
+        </label>
+      </div>
+      {result ? (
+        <dl className="axis-probe-result">
+          <dt>Station</dt>
+          <dd>{formatLengthAsStation(result.length, chainage)}</dd>
+          <dt>Offset</dt>
+          <dd>{Math.abs(result.offset).toFixed(3)} {result.offset >= 0 ? 'L' : 'R'}</dd>
+          <dt>Axis point</dt>
+          <dd>{result.foot.x.toFixed(3)}, {result.foot.y.toFixed(3)}</dd>
+          {result.verticalOffset !== null && (
+            <>
+              <dt>Vertical offset</dt>
+              <dd>{result.verticalOffset >= 0 ? '+' : ''}{result.verticalOffset.toFixed(3)} (axis {result.axisHeight.toFixed(3)})</dd>
+            </>
+          )}
+        </dl>
+      ) : (
+        <p className="axis-empty-hint">Enter a coordinate or pick a point on the canvas.</p>
+      )}
+    </div>
+  )
+}
+
+export default StationOffsetTool
@@ -0,0 +1,139 @@
+import StationInput from './StationInput'
+import './ProfileAssignment.css'
+import { formatLengthAsStation } from '../utils/chainage'
+import { normalizeSuperelevation } from '../utils/superelevation'
+
+function SuperelevationSettings({ superelevation, setSuperelevation, totalLength, chainage }) {
+  const current = normalizeSuperelevation(superelevation)
+  const { rows } = current
+
+  const update = (patch) => setSuperelevation(prev => ({ ...normalizeSuperelevation(prev), ...patch }))
+
+  const updatePivot = (field, value) => {
+    update({ pivot: { ...current.pivot, [field]: Number(value) || 0 } })
+  }
+
+  const addRow = () => {
+    const last = rows[rows.length - 1]
+    const length = last ? Math.min(totalLength, last.length + 10) : 0
+    update({
+      rows: [
+        ...rows,
+        { id: crypto.randomUUID?.() || String(Date.now() + Math.random()), length, crossfall: last ? last.crossfall : 0 },
+      ],
+    })
+  }
+
+  const updateRow = (id, field, value) => {
+    const v = field === 'length' ? Math.min(totalLength, Math.max(0, Number(value) || 0)) : Number(value) || 0
+    update({ rows: rows.map(r => (r.id === id ? { ...r, [field]: v } : r)) })
+  }
+
+  const removeRow = (id) => {
+    update({ rows: rows.filter(r => r.id !== id) })
+  }
+
+  // Cross-fall graph, symmetric about zero
+  const maxAbs = Math.max(2, ...rows.map(r => Math.abs(r.crossfall)))
+  const toGraphX = (len) => 40 + (totalLength === 0 ? 0 : (len / totalLength) * 940)
+  const toGraphY = (c) => 140 - (c / maxAbs) * 110
+  const graphPoints = rows.length
+    ? [{ length: 0, crossfall: rows[0].crossfall }, ...rows, { length: totalLength, crossfall: rows[rows.length - 1].crossfall }]
+    : []
+
+  return (
+    <div className="profile-assignment">
+      <div className="assignment-header">
+        <h2>Superelevation</h2>
+        <p className="axis-info">
+          Cross-fall in % (positive raises the right side looking ahead), linear between rows
+        </p>
+      </div>
+
+      <div className="assignment-layout">
+        <div className="assignments-list">
+          <h3>Pivot</h3>
+          <div className="chainage-form">
+            <div className="form-group">
+              <label>Pivot X (profile)</label>
+              <input type="number" value={current.pivot.x} onChange={(e) => updatePivot('x', e.target.value)} step="0.1" />
+            </div>
+            <div className="form-group">
+              <label>Pivot Y (profile)</label>
+              <input type="number" value={current.pivot.y} onChange={(e) => updatePivot('y', e.target.value)} step="0.1" />
+            </div>
+          </div>
+
+          <h3>Cross-fall</h3>
+          <div className="assignments-table">
+            <div className="table-header">
+              <div>#</div>
+              <div>Station</div>
+              <div>Cross-fall %</div>
+              <div>Actions</div>
+            </div>
+            {rows.map((r, idx) => (
+              <div key={r.id} className="table-row">
+                <div>{idx + 1}</div>
+                <div>
+                  <StationInput
+                    value={r.length}
+                    chainage={chainage}
+                    onChange={(len) => updateRow(r.id, 'length', len)}
+                  />
+                </div>
+                <div>
+                  <input
+                    type="number"
+                    value={r.crossfall}
+                    onChange={(e) => updateRow(r.id, 'crossfall', e.target.value)}
+                    step="0.1"
+                  />
+                </div>
+                <div>
+                  <button className="remove-btn" onClick={() => removeRow(r.id)}>×</button>
+                </div>
+              </div>
+            ))}
+            {rows.length === 0 && (
+              <p className="no-assignments">No superelevation – sections stay upright</p>
+            )}
+          </div>
+          <div className="profile-points-actions" style={{ marginTop: '0.5rem' }}>
+            <button onClick={addRow}>Add Row</button>
+          </div>
+        </div>
+
+        <div className="assignment-views">
+          <div className="view-container">
+            <h3>Cross-fall Diagram</h3>
+            <div className="canvas-wrapper" style={{ padding: '1rem' }}>
+              <svg width="100%" height="300" viewBox="0 0 1000 300" preserveAspectRatio="none">
+                <rect x="0" y="0" width="1000" height="300" fill="#fafafa" stroke="#ddd" />
+                <line x1="40" y1="140" x2="980" y2="140" stroke="#95a5a6" strokeWidth="2" />
+                <line x1="40" y1="20" x2="40" y2="260" stroke="#95a5a6" strokeWidth="2" />
+                <text x="44" y="34" fontSize="12" fill="#7f8c8d">+{maxAbs.toFixed(1)}%</text>
+                <text x="44" y="256" fontSize="12" fill="#7f8c8d">-{maxAbs.toFixed(1)}%</text>
+                {graphPoints.length >= 2 && (
+                  <polyline
+                    fill="none"
+                    stroke="#e67e22"
+                    strokeWidth="3"
+                    points={graphPoints.map(p => `${toGraphX(p.length)},${toGraphY(p.crossfall)}`).join(' ')}
+                  />
+                )}
+                {rows.map(r => (
+                  <circle key={r.id} cx={toGraphX(r.length)} cy={toGraphY(r.crossfall)} r="5" fill="#e74c3c" />
+                ))}
+                <text x="40" y="285" fontSize="14" fill="#7f8c8d">{formatLengthAsStation(0, chainage)}</text>
+                <text x="980" y="285" fontSize="14" fill="#7f8c8d" textAnchor="end">{formatLengthAsStation(totalLength, chainage)}</text>
+              </svg>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SuperelevationSettings
@@ -0,0 +1,78 @@
+import { formatLengthAsStation } from '../utils/chainage'
+import './SurfacePickInfo.css'
+
+/**
+ * Overlay with the point picked on the tunnel surface: station, coordinates,
+ * position on the section and the profiles there, with links to the assignments.
+ * @param {Object} props
+ * @param {Object} props.pick - Result of describeSurfacePoint
+ * @param {Object} props.chainage - Project chainage definition
+ * @param {Array} props.profiles - Profiles, for the names
+ * @param {Array} props.heightAssignments - Height points, the nearest one is linked
+ * @param {Function} props.onOpenAssignment - Called with (tab, assignment id)
+ * @param {Function} props.onClose - Clears the pick
+ */
+function SurfacePickInfo({ pick, chainage, profiles, heightAssignments = [], onOpenAssignment, onClose }) {
+  const f = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : '–')
+  const profileName = (id) => profiles.find(p => p.id === id)?.name || `#${id}`
+
+  const { bracket } = pick
+  const blending = bracket && bracket.prev.profileId !== bracket.next.profileId && bracket.t > 0 && bracket.t < 1
+  const nearestHeight = heightAssignments.reduce(
+    (best, h) => (!best || Math.abs(h.length - pick.length) < Math.abs(best.length - pick.length) ? h : best),
+    null,
+  )
+
+  return (
+    <div className="surface-pick">
+      <div className="surface-pick-header">
+        <h3>{formatLengthAsStation(pick.length, chainage)}</h3>
+        <button className="surface-pick-close" onClick={onClose} title="Clear the picked point">×</button>
+      </div>
+
+      <dl className="surface-pick-info">
+        <dt>Layer</dt>
+        <dd>{pick.layer}</dd>
+        <dt>Point</dt>
+        <dd>{f(pick.point.x)}, {f(pick.point.z)}, {f(pick.point.y)}</dd>
+        <dt>Offset</dt>
+        <dd>
+          {f(Math.abs(pick.local.x))} {pick.local.x < 0 ? 'left' : 'right'}, {f(pick.local.y)} up
+        </dd>
+        <dt>Angle</dt>
+        <dd>{f(pick.angle, 1)}° from crown, r = {f(pick.radius)}</dd>
+        <dt>Arc</dt>
+        <dd>{pick.arc === null ? '–' : `${f(pick.arc)} of ${f(pick.perimeter)} from crown`}</dd>
+        <dt>Profile</dt>
+        <dd>
+          {!bracket
+            ? '–'
+            : blending
+              ? `${profileName(bracket.prev.profileId)} → ${profileName(bracket.next.profileId)}, t = ${f(bracket.t)}`
+              : profileName((bracket.t === 1 ? bracket.next : bracket.prev).profileId)}
+        </dd>
+      </dl>
+
+      <div className="surface-pick-actions">
+        {bracket && (
+          <button onClick={() => onOpenAssignment('assignment', bracket.prev.id)}>
+            Assignment {formatLengthAsStation(bracket.prev.length, chainage)}
+          </button>
+        )}
+        {blending && (
+          <button onClick={() => onOpenAssignment('assignment', bracket.next.id)}>
+            Assignment {formatLengthAsStation(bracket.next.length, chainage)}
+          </button>
+        )}
+        {nearestHeight && (
+          <button onClick={() => onOpenAssignment('height', nearestHeight.id)}>
+            Height point {formatLengthAsStation(nearestHeight.length, chainage)}
+          </button>
+        )}
+      </div>
+      <p className="surface-pick-note">Point as easting, northing, height; angle clockwise looking ahead</p>
+    </div>
+  )
+}
+
+export default SurfacePickInfo
@@ -1,13 +1,142 @@
-import { useRef, useEffect, useMemo } from 'react'
+import { useRef, useEffect, useMemo, useState } from 'react'
 import * as THREE from 'three'
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { buildProfileSection3DRange, collectSampleLengths, computeAxisScale, __private__ } from '../utils/geometry'
+import { CSS2DObject, CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js'
+import { buildSectionFrameMap, collectSampleLengths, computeAxisTotalLength, getAxis3DPointsAtLength } from '../utils/geometry'
+import { buildTunnelMeshData, runTunnelMeshJob } from '../utils/tunnelMesh'
+import { getProfileLayerNames } from '../utils/profileLayers'
+import { getSectionAtLength } from '../utils/sectionCut'
+import { DEFAULT_FLY_THROUGH, getFlyThroughPose } from '../utils/flyThrough'
+import { SURFACE_COLOR_MODES, buildSurfaceColors } from '../utils/surfaceAttributes'
+import { buildAxisMarkers } from '../utils/annotations'
+import { describeSurfacePoint } from '../utils/surfacePick'
+import { MESH_EXPORT_FORMATS, getMeshOrigin, meshToGLB, meshToOBJ, meshToSTL } from '../utils/meshExport'
+import SectionInspector from './SectionInspector'
+import SurfacePickInfo from './SurfacePickInfo'
+import StationInput from './StationInput'
 import './TunnelViewer.css'
 
-function TunnelViewer({ axisData, profiles, profileAssignments, heightAssignments, invertY = true }) {
+const FRAME_MODE_LABELS = {
+  chord: 'Chord (per segment)',
+  vertical: 'Vertical section plane',
+  rmf: 'Rotation-minimising',
+}
+
+// Outer layers are drawn more transparent so the layers inside stay visible
+const LAYER_STYLES = {
+  'Inner lining': { color: 0x27ae60, opacity: 0.9 },
+  Excavation: { color: 0xa0522d, opacity: 0.3 },
+  'Primary support': { color: 0x95a5a6, opacity: 0.4 },
+  'Clearance envelope': { color: 0xf1c40f, opacity: 0.5 },
+}
+const EXTRA_LAYER_COLORS = [0x3498db, 0x9b59b6, 0xe67e22, 0x1abc9c, 0xe74c3c]
+
+const getLayerStyle = (name, index) =>
+  LAYER_STYLES[name] || { color: EXTRA_LAYER_COLORS[index % EXTRA_LAYER_COLORS.length], opacity: 0.5 }
+
+const toCssColor = color => `#${color.toString(16).padStart(6, '0')}`
+
+// A geometry point ({x: easting, y: height, z: northing}) in view coordinates, see toViewPositions
+const toViewVector = (p, origin, invertY) =>
+  new THREE.Vector3(p.x - origin[0], p.y - origin[2], (p.z - origin[1]) * (invertY ? -1 : 1))
+
+// The inverse of toViewVector
+const fromViewVector = (v, origin, invertY) =>
+  ({ x: v.x + origin[0], y: v.y + origin[2], z: v.z * (invertY ? -1 : 1) + origin[1] })
+
+// Legend numbers with about three significant digits (curvatures are small)
+const formatLegendValue = v => (Math.abs(v) >= 100 || v === 0 ? v.toFixed(0) : v.toPrecision(3))
+
+// Frees the GPU buffers of everything below `object` and removes the DOM nodes of labels
+const disposeObject = (object) => {
+  object.traverse((child) => {
+    child.geometry?.dispose()
+    ;[].concat(child.material || []).forEach(material => material.dispose())
+    if (child.isCSS2DObject) child.element.remove()
+  })
+}
+
+function TunnelViewer({ axisData, profiles, profileAssignments, heightAssignments, superelevation, frameMode = 'chord', setFrameMode, morphMethod = 'angle', clearanceResult = null, chainage, annotations = [], invertY = true, onOpenAssignment }) {
   const threeContainerRef = useRef(null)
+  const layerGroupsRef = useRef(new Map())
+  const [hiddenLayers, setHiddenLayers] = useState([])
+  const hiddenLayersRef = useRef(hiddenLayers)
+  hiddenLayersRef.current = hiddenLayers
+
+  const layerNames = useMemo(() => getProfileLayerNames(profiles), [profiles])
+
+  // Toggling a layer only changes visibility; the meshes are kept
+  useEffect(() => {
+    layerGroupsRef.current.forEach((group, name) => {
+      group.visible = !hiddenLayers.includes(name)
+    })
+  }, [hiddenLayers])
+
+  const toggleLayer = (name) => {
+    setHiddenLayers(hidden => (hidden.includes(name) ? hidden.filter(n => n !== name) : [...hidden, name]))
+  }
+
+  const [exportFormat, setExportFormat] = useState('glb')
+  const [exportCaps, setExportCaps] = useState(true)
+  const [exportLocalOrigin, setExportLocalOrigin] = useState(false)
+
+  // Visible layers in project coordinates, sampled finer than the view
+  const exportMesh = () => {
+    const layers = layerNames.filter(name => !hiddenLayers.includes(name))
+    const mesh = buildTunnelMeshData(axisData, heightAssignments, profileAssignments, profiles, {
+      layers,
+      caps: exportCaps,
+      superelevation,
+      frameMode,
+      morph: morphMethod,
+    })
+    const origin = getMeshOrigin(mesh)
+    const format = MESH_EXPORT_FORMATS.find(f => f.value === exportFormat) || MESH_EXPORT_FORMATS[0]
+    let data
+    if (format.value === 'obj') {
+      data = meshToOBJ(mesh, exportLocalOrigin ? origin : undefined)
+    } else if (format.value === 'stl') {
+      data = meshToSTL(mesh, exportLocalOrigin ? origin : undefined)
+    } else {
+      const colors = Object.fromEntries(layers.map((name) => {
+        const { color, opacity } = getLayerStyle(name, layerNames.indexOf(name))
+        return [name, [((color >> 16) & 255) / 255, ((color >> 8) & 255) / 255, (color & 255) / 255, opacity]]
+      }))
+      data = meshToGLB(mesh, { origin, localOrigin: exportLocalOrigin, colors })
+    }
+    const blob = new Blob([data], { type: format.type })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `tunnel.${format.extension}`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
 
-  // Basic 3D view of the tunnel using three.js
+  const sceneRef = useRef(null)
+  // Shared by all tunnel materials; only applied while the cut is on
+  const sectionPlaneRef = useRef(new THREE.Plane())
+  const [verticalExaggeration, setVerticalExaggeration] = useState(1)
+  const verticalExaggerationRef = useRef(verticalExaggeration)
+  verticalExaggerationRef.current = verticalExaggeration
+  // Heights only; plan and sections stay in true metres
+  useEffect(() => {
+    if (sceneRef.current) sceneRef.current.modelGroup.scale.y = verticalExaggeration
+  }, [verticalExaggeration])
+
+  // Fly-through state read by the render loop: {active, playing, length, reportedAt}
+  // plus the path settings, refreshed on every render
+  const flyRef = useRef({ active: false, playing: false, length: 0, reportedAt: 0 })
+  // Click handler for picking on the surface, refreshed on every render
+  const pickHandlerRef = useRef(null)
+  const [flyOn, setFlyOn] = useState(false)
+  const [flyPlaying, setFlyPlaying] = useState(false)
+  const [flyLength, setFlyLength] = useState(0)
+  const [flySettings, setFlySettings] = useState(DEFAULT_FLY_THROUGH)
+
+  // Scene, camera and render loop live as long as the viewer; meshes are swapped in
   useEffect(() => {
     if (!threeContainerRef.current) return
 
@@ -26,6 +155,12 @@ function TunnelViewer({ axisData, profiles, profileAssignments, heightAssignment
     container.innerHTML = ''
     container.appendChild(renderer.domElement)
 
+    // Station labels are HTML elements placed over the canvas
+    const labelRenderer = new CSS2DRenderer()
+    labelRenderer.setSize(width, height)
+    labelRenderer.domElement.className = 'viewer-labels'
+    container.appendChild(labelRenderer.domElement)
+
     const controls = new OrbitControls(camera, renderer.domElement)
     controls.enableDamping = true
 
@@ -36,127 +171,564 @@ function TunnelViewer({ axisData, profiles, profileAssignments, heightAssignment
     dirLight.position.set(200, 300, 100)
     scene.add(dirLight)
 
+    // Headlight for looking at the lining from inside; only lit during a fly-through
+    const headlight = new THREE.PointLight(0xfff4e0, 0, 150, 0)
+    camera.add(headlight)
+    scene.add(camera)
+
     // Simple ground grid
     const grid = new THREE.GridHelper(1000, 20, 0x555555, 0x333333)
     scene.add(grid)
 
-    // Build a 3D representation of the axis and tunnel
+    // The model is in true metres; vertical exaggeration only scales its height
+    const modelGroup = new THREE.Group()
+    modelGroup.scale.y = verticalExaggerationRef.current
     const axisGroup = new THREE.Group()
     const tunnelGroup = new THREE.Group()
+    modelGroup.add(axisGroup)
+    modelGroup.add(tunnelGroup)
+    scene.add(modelGroup)
+    const sectionGroup = new THREE.Group()
+    modelGroup.add(sectionGroup)
+    const markerGroup = new THREE.Group()
+    modelGroup.add(markerGroup)
+    const pickMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.3, 16, 12),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false }),
+    )
+    pickMarker.visible = false
+    pickMarker.renderOrder = 1
+    modelGroup.add(pickMarker)
+    sceneRef.current = { scene, camera, controls, renderer, labelRenderer, headlight, grid, modelGroup, axisGroup, tunnelGroup, sectionGroup, markerGroup, pickMarker }
 
-    // Compute axis scale for large coordinates (lat/long)
-    const axisScale = axisData && axisData.length > 0 
-      ? computeAxisScale(axisData, 1000) 
-      : 1
+    const onResize = () => {
+      const w = container.clientWidth || window.innerWidth
+      const h = container.clientHeight || height
+      camera.aspect = w / h
+      camera.updateProjectionMatrix()
+      renderer.setSize(w, h)
+      labelRenderer.setSize(w, h)
+    }
 
-    // Draw axis polyline (for reference)
-    if (axisData && axisData.length > 0) {
-      const axisMaterial = new THREE.LineBasicMaterial({ color: 0x2c3e50 })
-      const axisGeometry = new THREE.BufferGeometry()
-      const axisPoints3D = []
+    window.addEventListener('resize', onResize)
 
-      const yScale = invertY ? -1 : 1
-      axisData.forEach((segment, idx) => {
-        if (idx === 0) {
-          axisPoints3D.push(
-            new THREE.Vector3(segment.start.x * axisScale, 0, segment.start.y * axisScale * yScale)
-          )
+    // A click picks a point on the surface; dragging (orbiting) does not
+    let pointerDown = null
+    const onPointerDown = (e) => {
+      pointerDown = { x: e.clientX, y: e.clientY }
+    }
+    const onPointerUp = (e) => {
+      if (e.button === 0 && pointerDown && Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y) < 4) {
+        pickHandlerRef.current?.(e)
+      }
+      pointerDown = null
+    }
+    renderer.domElement.addEventListener('pointerdown', onPointerDown)
+    renderer.domElement.addEventListener('pointerup', onPointerUp)
+
+    // During a fly-through the camera follows the path and the orbit controls rest;
+    // the station is passed back to React a few times a second
+    const flyTo = (fly) => {
+      const path = fly.path
+      const pose = getFlyThroughPose(path.axisData, path.heightAssignments, fly.length, path)
+      if (!pose) return
+      const world = p => modelGroup.localToWorld(toViewVector(p, path.origin, path.invertY))
+      camera.position.copy(world(pose.eye))
+      camera.lookAt(world(pose.target))
+    }
+
+    let frame = null
+    const clock = new THREE.Clock()
+    const animate = () => {
+      const dt = Math.min(clock.getDelta(), 0.1)
+      const fly = flyRef.current
+      if (fly.active && fly.path) {
+        if (fly.playing) {
+          fly.length = Math.min(fly.path.totalLength, fly.length + fly.path.speed * dt)
+          const now = performance.now()
+          const atEnd = fly.length >= fly.path.totalLength
+          if (atEnd || now - fly.reportedAt > 100) {
+            fly.reportedAt = now
+            setFlyLength(fly.length)
+          }
+          if (atEnd) {
+            fly.playing = false
+            setFlyPlaying(false)
+          }
         }
-        axisPoints3D.push(
-          new THREE.Vector3(segment.end.x * axisScale, 0, segment.end.y * axisScale * yScale)
-        )
-      })
+        flyTo(fly)
+      } else {
+        controls.update()
+      }
+      renderer.render(scene, camera)
+      labelRenderer.render(scene, camera)
+      frame = requestAnimationFrame(animate)
+    }
+    animate()
 
-      axisGeometry.setFromPoints(axisPoints3D)
-      const axisLine = new THREE.Line(axisGeometry, axisMaterial)
-      axisGroup.add(axisLine)
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('resize', onResize)
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown)
+      renderer.domElement.removeEventListener('pointerup', onPointerUp)
+      disposeObject(scene)
+      layerGroupsRef.current.clear()
+      sceneRef.current = null
+      controls.dispose()
+      renderer.dispose()
+      container.innerHTML = ''
     }
+  }, [])
+
+  // Moves the camera to show the whole model and sizes the grid below it
+  const fitView = () => {
+    const view = sceneRef.current
+    if (!view) return
+    const box = new THREE.Box3().setFromObject(view.modelGroup)
+    if (box.isEmpty()) return
+    const { center, radius } = box.getBoundingSphere(new THREE.Sphere())
+    const size = Math.max(radius, 1)
+    const distance = (size / Math.sin(THREE.MathUtils.degToRad(view.camera.fov / 2))) * 1.1
+    view.camera.position.copy(center).add(new THREE.Vector3(0.6, 0.5, 0.8).normalize().multiplyScalar(distance))
+    view.camera.near = Math.max(0.01, distance / 1000)
+    view.camera.far = distance * 20
+    view.camera.updateProjectionMatrix()
+    view.controls.target.copy(center)
+    view.controls.update()
 
-    // Build tunnel meshes by sampling along the axis using the new geometry helpers
-    const sampleLengths = collectSampleLengths(axisData, heightAssignments, profileAssignments, { arcStep: 10, axisArcStep: 1 })
-  
+    // Grid of round cell size covering the plan extent, at the lowest point
+    const cell = 10 ** Math.ceil(Math.log10((size * 4) / 20))
+    const divisions = Math.ceil((size * 4) / cell)
+    view.scene.remove(view.grid)
+    disposeObject(view.grid)
+    view.grid = new THREE.GridHelper(divisions * cell, divisions, 0x555555, 0x333333)
+    view.grid.position.set(center.x, box.min.y, center.z)
+    view.scene.add(view.grid)
+  }
+
+  // Latest generated mesh of each layer in view coordinates: {positions, indices, ranges}
+  const layerDataRef = useRef(new Map())
+  // Vertex colours by layer name while colouring by attribute
+  const surfaceColorsRef = useRef(null)
+
+  // (Re)builds the three.js mesh of one layer from its generated data. Stretches
+  // that failed the clearance check are drawn in red on the checked layer.
+  const showLayer = (layerName) => {
+    const view = sceneRef.current
+    if (!view) return
+    const previous = layerGroupsRef.current.get(layerName)
+    if (previous) {
+      view.tunnelGroup.remove(previous)
+      disposeObject(previous)
+      layerGroupsRef.current.delete(layerName)
+    }
+    const layer = layerDataRef.current.get(layerName)
+    if (!layer) return
+
+    const style = getLayerStyle(layerName, layerNames.indexOf(layerName))
+    const colors = surfaceColorsRef.current?.get(layerName)
+    const colored = Boolean(colors) && colors.length === layer.positions.length
     const material = new THREE.MeshStandardMaterial({
-      color: 0x27ae60,
+      color: colored ? 0xffffff : style.color,
+      vertexColors: colored,
+      metalness: 0.1,
+      roughness: 0.7,
+      transparent: true,
+      opacity: style.opacity,
+      side: THREE.DoubleSide,
+      depthWrite: style.opacity > 0.5,
+      clippingPlanes: [sectionPlaneRef.current],
+    })
+    const failMaterial = new THREE.MeshStandardMaterial({
+      color: 0xe74c3c,
       metalness: 0.1,
       roughness: 0.7,
       transparent: true,
       opacity: 0.9,
       side: THREE.DoubleSide,
+      clippingPlanes: [sectionPlaneRef.current],
     })
+    // Ranges that only touch a stretch at an end pass; a single failing station
+    // marks the range(s) containing it
+    const isFailing = (a, b) =>
+      clearanceResult?.layer === layerName && clearanceResult.stretches.some(s => (
+        s.from === s.to ? a <= s.from && s.from <= b : a < s.to && b > s.from
+      ))
 
-    for (let i = 0; i < sampleLengths.length - 1; i++) {
-      const lenA = sampleLengths[i]
-      const lenB = sampleLengths[i + 1]
-      const lenC = i < sampleLengths.length - 2 ? sampleLengths[i + 2] : null
-      const section = buildProfileSection3DRange(
-        axisData,
-        heightAssignments,
-        profileAssignments,
-        profiles,
-        lenA,
-        lenB,
-        lenC,
-        { maxChord: 5, minArcSteps: 4 }
-      )
-
-      const { profile1Points, profile2Points } = section || {}
-      if (!profile1Points || !profile2Points) continue
-      if (profile1Points.length !== profile2Points.length || profile1Points.length < 3) continue
-
-      const radialCount = profile1Points.length
-      const positions = []
-      const indices = []
-
-      // Scale X and Z (from 2D axis), but not Y (height)
-      profile1Points.forEach((p) => positions.push(p.x * axisScale, p.y, invertY ? -p.z * axisScale : p.z * axisScale))
-      profile2Points.forEach((p) => positions.push(p.x * axisScale, p.y, invertY ? -p.z * axisScale : p.z * axisScale))
-
-      for (let i = 0; i < radialCount; i++) {
-        const nextI = (i + 1) % radialCount
-        const a = i
-        const b = radialCount + i
-        const c = radialCount + nextI
-        const d = nextI
-        indices.push(a, b, d)
-        indices.push(b, c, d)
-      }
+    // Triangles of failing stretches go into a second group with the red material
+    const passing = []
+    const failing = []
+    layer.ranges.forEach((range) => {
+      const target = isFailing(range.from, range.to) ? failing : passing
+      for (let i = range.start; i < range.start + range.count; i++) target.push(layer.indices[i])
+    })
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(layer.positions, 3))
+    if (colored) geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+    geometry.setIndex(passing.concat(failing))
+    geometry.addGroup(0, passing.length, 0)
+    geometry.addGroup(passing.length, failing.length, 1)
+    geometry.computeVertexNormals()
+
+    const layerGroup = new THREE.Group()
+    layerGroup.visible = !hiddenLayersRef.current.includes(layerName)
+    const mesh = new THREE.Mesh(geometry, [material, failMaterial])
+    mesh.userData.layer = layerName
+    layerGroup.add(mesh)
+    layerGroupsRef.current.set(layerName, layerGroup)
+    view.tunnelGroup.add(layerGroup)
+  }
+
+  // True metres around the rounded start of the axis, so survey coordinates keep
+  // their precision on the GPU
+  const origin = useMemo(() => {
+    if (!axisData?.length) return [0, 0, 0]
+    const start = getAxis3DPointsAtLength(axisData, heightAssignments, 0)
+    return [Math.round(start.x), Math.round(start.z), Math.round(start.y)]
+  }, [axisData, heightAssignments])
 
-      const geometry = new THREE.BufferGeometry()
-      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
-      geometry.setIndex(indices)
-      geometry.computeVertexNormals()
+  // The camera is framed again when the local origin moves (a different alignment)
+  const originKeyRef = useRef(null)
+  const needsFitRef = useRef(true)
 
-      const mesh = new THREE.Mesh(geometry, material)
-      tunnelGroup.add(mesh)
+  // Generation progress: {phase: 'preview' | 'final', value: 0–1}, or {error} when
+  // the generation failed, null when idle
+  const [meshProgress, setMeshProgress] = useState(null)
+
+  // Meshes are generated in a worker, a coarse preview first and then the full
+  // resolution. Changing any input terminates the running job and starts over;
+  // the previous meshes stay on screen until the new ones arrive.
+  useEffect(() => {
+    const view = sceneRef.current
+    if (!view) return
+
+    const originKey = origin.join(',')
+    if (originKey !== originKeyRef.current) {
+      originKeyRef.current = originKey
+      needsFitRef.current = true
     }
 
-    scene.add(axisGroup)
-    scene.add(tunnelGroup)
+    // Draw the 3D axis polyline (for reference)
+    disposeObject(view.axisGroup)
+    view.axisGroup.clear()
+    if (axisData && axisData.length > 0) {
+      const axisMaterial = new THREE.LineBasicMaterial({ color: 0x2c3e50 })
+      const axisGeometry = new THREE.BufferGeometry()
+      const axisPoints3D = []
 
-    const onResize = () => {
-      const w = container.clientWidth || window.innerWidth
-      const h = container.clientHeight || height
-      camera.aspect = w / h
-      camera.updateProjectionMatrix()
-      renderer.setSize(w, h)
+      // Sample along the axis so arcs and clothoids are drawn as curves, not chords
+      collectSampleLengths(axisData, heightAssignments, [], { axisArcStep: 1 }).forEach((len) => {
+        axisPoints3D.push(toViewVector(getAxis3DPointsAtLength(axisData, heightAssignments, len), origin, invertY))
+      })
+
+      axisGeometry.setFromPoints(axisPoints3D)
+      const axisLine = new THREE.Line(axisGeometry, axisMaterial)
+      view.axisGroup.add(axisLine)
     }
 
-    window.addEventListener('resize', onResize)
+    const job = {
+      axisData,
+      heightAssignments,
+      profileAssignments,
+      profiles,
+      options: { layers: layerNames, superelevation, frameMode, morph: morphMethod },
+      view: { origin, invertY },
+    }
 
-    const animate = () => {
-      controls.update()
-      renderer.render(scene, camera)
-      requestAnimationFrame(animate)
+    let received = new Set()
+    let cancelled = false
+    const onMessage = (message) => {
+      if (cancelled) return
+      if (message.type === 'progress') {
+        setMeshProgress({ phase: message.phase, value: message.value })
+      } else if (message.type === 'layer') {
+        layerDataRef.current.set(message.name, message)
+        received.add(message.name)
+        showLayer(message.name)
+      } else if (message.type === 'done') {
+        // Layers without triangles in this pass (e.g. removed ones) are cleared
+        ;[...layerDataRef.current.keys()].filter(name => !received.has(name)).forEach((name) => {
+          layerDataRef.current.delete(name)
+          showLayer(name)
+        })
+        received = new Set()
+        refreshColorsRef.current?.()
+        // Frame a new alignment once its preview is there
+        if (needsFitRef.current) {
+          needsFitRef.current = false
+          fitView()
+        }
+        if (message.phase === 'final') setMeshProgress(null)
+      } else if (message.type === 'error') {
+        setMeshProgress({ error: message.message || 'Unknown error' })
+      }
     }
-    animate()
 
+    setMeshProgress({ phase: 'preview', value: 0 })
+    if (typeof Worker === 'undefined') {
+      runTunnelMeshJob(job, onMessage)
+      return () => { cancelled = true }
+    }
+    const worker = new Worker(new URL('../utils/tunnelMesh.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => onMessage(event.data)
+    worker.onerror = (event) => onMessage({ type: 'error', message: event.message })
+    worker.postMessage(job)
     return () => {
-      window.removeEventListener('resize', onResize)
-      controls.dispose()
-      renderer.dispose()
-      container.innerHTML = ''
+      cancelled = true
+      worker.terminate()
+    }
+  }, [axisData, profiles, profileAssignments, heightAssignments, superelevation, frameMode, morphMethod, invertY, layerNames, origin])
+
+  // Surface colouring by attribute: vertex colours per layer, recomputed after each
+  // generation pass and whenever the mode or the clearance result changes. The
+  // colours are set on the existing meshes; only a new clearance result rebuilds
+  // them, to move the failing stretches into the red group.
+  const [colorMode, setColorMode] = useState('layer')
+  const [colorLegend, setColorLegend] = useState(null)
+  const refreshColorsRef = useRef(null)
+  refreshColorsRef.current = () => {
+    const mode = colorMode === 'clearance' && !clearanceResult ? 'layer' : colorMode
+    const result = buildSurfaceColors(mode, [...layerDataRef.current.values()], {
+      axisData,
+      heightAssignments,
+      profileAssignments,
+      profiles,
+      morph: morphMethod,
+      clearanceResult,
+    })
+    surfaceColorsRef.current = result?.colors || null
+    setColorLegend(result?.legend || null)
+
+    layerGroupsRef.current.forEach((group, name) => {
+      const mesh = group.children[0]
+      const [material] = mesh.material
+      const colors = surfaceColorsRef.current?.get(name)
+      const colored = Boolean(colors) && colors.length === mesh.geometry.attributes.position.array.length
+      if (colored) mesh.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+      else mesh.geometry.deleteAttribute('color')
+      if (material.vertexColors !== colored) {
+        material.vertexColors = colored
+        material.needsUpdate = true
+      }
+      material.color.set(colored ? 0xffffff : getLayerStyle(name, layerNames.indexOf(name)).color)
+    })
+  }
+
+  useEffect(() => {
+    refreshColorsRef.current()
+  }, [colorMode, clearanceResult])
+
+  useEffect(() => {
+    layerDataRef.current.forEach((_, name) => showLayer(name))
+  }, [clearanceResult])
+
+  // Cutting plane: the model beyond the station is clipped and the section there
+  // is outlined in 3D and shown in the inspector
+  const totalLength = useMemo(() => computeAxisTotalLength(axisData), [axisData])
+  // Rotation-minimising frames along the whole axis, so a station needs one step
+  const sectionFrames = useMemo(
+    () => buildSectionFrameMap(axisData, heightAssignments, { frameMode }),
+    [axisData, heightAssignments, frameMode],
+  )
+  const [sectionOn, setSectionOn] = useState(false)
+  const [sectionLength, setSectionLength] = useState(0)
+  const [sectionStep, setSectionStep] = useState(10)
+  const [sectionClip, setSectionClip] = useState(true)
+  const section = useMemo(() => (
+    sectionOn && profileAssignments.length
+      ? getSectionAtLength(axisData, heightAssignments, profileAssignments, profiles, Math.min(sectionLength, totalLength), {
+        layers: layerNames,
+        superelevation,
+        frameMode,
+        frames: sectionFrames,
+        morph: morphMethod,
+      })
+      : null
+  ), [sectionOn, sectionLength, totalLength, axisData, heightAssignments, profileAssignments, profiles, layerNames, superelevation, frameMode, sectionFrames, morphMethod])
+
+  const stepSection = (direction) => {
+    const step = Math.max(0.1, Number(sectionStep) || 0)
+    setSectionLength(len => Math.max(0, Math.min(totalLength, len + direction * step)))
+  }
+
+  useEffect(() => {
+    const view = sceneRef.current
+    if (!view) return
+    disposeObject(view.sectionGroup)
+    view.sectionGroup.clear()
+    view.renderer.localClippingEnabled = Boolean(section && sectionClip)
+    if (!section) return
+
+    section.layers.forEach((layer) => {
+      const geometry = new THREE.BufferGeometry().setFromPoints(layer.points3D.map(p => toViewVector(p, origin, invertY)))
+      view.sectionGroup.add(new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color: 0xffffff })))
+    })
+
+    // The plane through the section frame, in world space (after the vertical
+    // exaggeration); three.js clips the side its normal points away from
+    view.modelGroup.updateMatrixWorld()
+    const { center, frame } = section
+    const offset = (v) => ({ x: center.x + v.x, y: center.y + v.y, z: center.z + v.z })
+    const world = (p) => view.modelGroup.localToWorld(toViewVector(p, origin, invertY))
+    const plane = sectionPlaneRef.current
+    plane.setFromCoplanarPoints(world(center), world(offset(frame.xAxis)), world(offset(frame.yAxis)))
+    if (plane.distanceToPoint(world(offset(frame.direction))) > 0) plane.negate()
+  }, [section, sectionClip, origin, invertY, verticalExaggeration])
+
+  // Looks back at the cut face from a little ahead of it
+  const viewSection = () => {
+    const view = sceneRef.current
+    if (!view || !section) return
+    const { center, frame } = section
+    const size = Math.max(4, ...section.layers.map(l => Math.max(l.properties?.width || 0, l.properties?.height || 0)))
+    const world = (p) => view.modelGroup.localToWorld(toViewVector(p, origin, invertY))
+    const target = world(center)
+    const ahead = world({ x: center.x + frame.direction.x, y: center.y + frame.direction.y, z: center.z + frame.direction.z })
+      .sub(target)
+      .normalize()
+    view.camera.position.copy(target).addScaledVector(ahead, size * 2).add(new THREE.Vector3(0, size * 0.3, 0))
+    view.controls.target.copy(target)
+    view.controls.update()
+  }
+
+  // Station ticks, assignment and segment markers and annotations: a post above the
+  // axis with an HTML label on top, high enough to clear the tallest profile
+  const [markerOptions, setMarkerOptions] = useState({ stationInterval: 100, stations: true, assignments: true, segments: true, annotations: true })
+  const markers = useMemo(() => buildAxisMarkers(
+    { axisData, heightAssignments, profileAssignments, profiles, annotations, chainage },
+    { ...markerOptions, stationInterval: Number(markerOptions.stationInterval) || 0 },
+  ), [axisData, heightAssignments, profileAssignments, profiles, annotations, chainage, markerOptions])
+
+  useEffect(() => {
+    const view = sceneRef.current
+    if (!view) return
+    disposeObject(view.markerGroup)
+    view.markerGroup.clear()
+    if (!markers.length) return
+
+    const profileTop = Math.max(0, ...profiles.flatMap(p => (p.segments || []).flatMap(seg => [seg.start.y, seg.end.y])))
+    const postHeight = profileTop + 2
+    markers.forEach((marker) => {
+      const base = toViewVector(getAxis3DPointsAtLength(axisData, heightAssignments, marker.length), origin, invertY)
+      const top = base.clone().add(new THREE.Vector3(0, marker.kind === 'station' ? postHeight / 2 : postHeight, 0))
+      const geometry = new THREE.BufferGeometry().setFromPoints([base, top])
+      view.markerGroup.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: marker.color })))
+
+      const element = document.createElement('div')
+      element.className = `viewer-label viewer-label-${marker.kind}`
+      element.style.borderColor = marker.color
+      element.textContent = marker.label
+      const label = new CSS2DObject(element)
+      label.position.copy(top)
+      label.center.set(0.5, 1)
+      view.markerGroup.add(label)
+    })
+  }, [markers, axisData, heightAssignments, profiles, origin, invertY])
+
+  // Click-to-pick: the nearest visible surface under the pointer (not the part cut
+  // away by the section). Its station is interpolated from the ring stations of the
+  // hit triangle; the rest is worked out in the section there.
+  const [pickTarget, setPickTarget] = useState(null)
+  pickHandlerRef.current = (event) => {
+    const view = sceneRef.current
+    if (!view || flyRef.current.active) return
+    const rect = view.renderer.domElement.getBoundingClientRect()
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    )
+    const raycaster = new THREE.Raycaster()
+    raycaster.setFromCamera(pointer, view.camera)
+    const meshes = [...layerGroupsRef.current.values()].filter(group => group.visible).flatMap(group => group.children)
+    const clipped = view.renderer.localClippingEnabled
+    const hit = raycaster.intersectObjects(meshes, false)
+      .find(h => !clipped || sectionPlaneRef.current.distanceToPoint(h.point) >= 0)
+    const layer = hit && layerDataRef.current.get(hit.object.userData.layer)
+    if (!layer) {
+      setPickTarget(null)
+      return
     }
-  }, [axisData, profiles, profileAssignments, heightAssignments, invertY])
+    const { a, b, c } = hit.face
+    const { x, y, z } = hit.barycoord
+    setPickTarget({
+      point: fromViewVector(view.modelGroup.worldToLocal(hit.point.clone()), origin, invertY),
+      length: layer.stations[a] * x + layer.stations[b] * y + layer.stations[c] * z,
+      layer: layer.name,
+    })
+  }
+
+  // A changed design moves the surface away from the picked point
+  useEffect(() => {
+    setPickTarget(null)
+  }, [axisData, heightAssignments, profileAssignments, profiles, superelevation, frameMode, morphMethod])
+
+  const pick = useMemo(() => (
+    pickTarget
+      ? describeSurfacePoint(axisData, heightAssignments, profileAssignments, profiles, pickTarget, {
+        superelevation,
+        frameMode,
+        frames: sectionFrames,
+        morph: morphMethod,
+      })
+      : null
+  ), [pickTarget, axisData, heightAssignments, profileAssignments, profiles, superelevation, frameMode, sectionFrames, morphMethod])
+
+  useEffect(() => {
+    const view = sceneRef.current
+    if (!view) return
+    view.pickMarker.visible = Boolean(pickTarget)
+    if (pickTarget) view.pickMarker.position.copy(toViewVector(pickTarget.point, origin, invertY))
+  }, [pickTarget, origin, invertY])
+
+  // Fly-through: the camera travels along the axis at eye height
+  const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== '' ? Number(v) : fallback)
+  flyRef.current.path = {
+    axisData,
+    heightAssignments,
+    origin,
+    invertY,
+    totalLength,
+    eyeHeight: num(flySettings.eyeHeight, DEFAULT_FLY_THROUGH.eyeHeight),
+    lookAhead: num(flySettings.lookAhead, DEFAULT_FLY_THROUGH.lookAhead),
+    speed: Math.max(0, num(flySettings.speed, DEFAULT_FLY_THROUGH.speed)),
+  }
+  flyRef.current.playing = flyOn && flyPlaying
+
+  const scrubFly = (len) => {
+    const clamped = Math.max(0, Math.min(totalLength, len))
+    flyRef.current.length = clamped
+    setFlyLength(clamped)
+  }
+
+  const toggleFlyPlaying = () => {
+    // Playing again from the end starts over
+    if (!flyPlaying && flyRef.current.length >= totalLength) scrubFly(0)
+    setFlyPlaying(!flyPlaying)
+  }
+
+  // Entering the fly-through keeps the orbit view to return to afterwards
+  useEffect(() => {
+    const view = sceneRef.current
+    if (!view || !flyOn) return
+    const saved = { position: view.camera.position.clone(), target: view.controls.target.clone(), near: view.camera.near }
+    flyRef.current.active = true
+    view.controls.enabled = false
+    view.camera.near = 0.05
+    view.camera.updateProjectionMatrix()
+    view.headlight.intensity = 1.2
+    return () => {
+      flyRef.current.active = false
+      setFlyPlaying(false)
+      view.headlight.intensity = 0
+      view.camera.near = saved.near
+      view.camera.updateProjectionMatrix()
+      view.camera.position.copy(saved.position)
+      view.controls.target.copy(saved.target)
+      view.controls.enabled = true
+      view.controls.update()
+    }
+  }, [flyOn])
 
   return (
     <div className="tunnel-viewer">
@@ -166,13 +738,258 @@ function TunnelViewer({ axisData, profiles, profileAssignments, heightAssignment
           <span>Axis Segments: {axisData.length}</span>
           <span>Profiles: {profiles.length}</span>
           <span>Assignments: {profileAssignments.length}</span>
+          {meshProgress?.error && (
+            <span className="viewer-progress viewer-progress-error" title={meshProgress.error}>
+              Mesh generation failed: {meshProgress.error}
+            </span>
+          )}
+          {meshProgress && !meshProgress.error && (
+            <span className="viewer-progress">
+              {meshProgress.phase === 'preview' ? 'Preview' : 'Refining'} {Math.round(meshProgress.value * 100)}%
+              <span className="viewer-progress-bar">
+                <span style={{ width: `${Math.round(meshProgress.value * 100)}%` }} />
+              </span>
+            </span>
+          )}
+          {clearanceResult && (
+            <span>
+              Clearance: {clearanceResult.stretches.length
+                ? `${clearanceResult.stretches.length} failing stretch${clearanceResult.stretches.length > 1 ? 'es' : ''} (red)`
+                : 'OK'}
+            </span>
+          )}
+          <label className="viewer-option" title="Scales heights only; plan and sections stay in true metres">
+            Vertical ×{verticalExaggeration}
+            <input
+              type="range"
+              min="1"
+              max="10"
+              step="0.5"
+              value={verticalExaggeration}
+              onChange={(e) => setVerticalExaggeration(Number(e.target.value))}
+            />
+          </label>
+          <button className="viewer-fit" onClick={fitView}>Fit view</button>
+          <label className="viewer-option">
+            Colour by
+            <select value={colorMode} onChange={(e) => setColorMode(e.target.value)}>
+              {SURFACE_COLOR_MODES.map(m => (
+                <option key={m.value} value={m.value} disabled={m.value === 'clearance' && !clearanceResult}>{m.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="viewer-option">
+            Section frames
+            <select value={frameMode} onChange={(e) => setFrameMode?.(e.target.value)}>
+              {Object.entries(FRAME_MODE_LABELS).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {layerNames.length > 1 && layerNames.map((name, index) => (
+            <label key={name} className="viewer-option">
+              <input
+                type="checkbox"
+                checked={!hiddenLayers.includes(name)}
+                onChange={() => toggleLayer(name)}
+              />
+              <span
+                className="viewer-layer-swatch"
+                style={{ background: toCssColor(getLayerStyle(name, index).color) }}
+              />
+              {name}
+            </label>
+          ))}
         </div>
       </div>
 
+      <div className="viewer-toolbar">
+        <label className="viewer-option">
+          Export
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {MESH_EXPORT_FORMATS.map(f => (
+              <option key={f.value} value={f.value}>{f.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="viewer-option">
+          <input type="checkbox" checked={exportCaps} onChange={(e) => setExportCaps(e.target.checked)} />
+          Cap ends (watertight)
+        </label>
+        <label className="viewer-option" title="Subtract the rounded start of the axis from all coordinates">
+          <input type="checkbox" checked={exportLocalOrigin} onChange={(e) => setExportLocalOrigin(e.target.checked)} />
+          Local origin
+        </label>
+        <button onClick={exportMesh} disabled={!axisData.length || !profileAssignments.length}>Download</button>
+        <span className="viewer-toolbar-note">Visible layers and the axis, x = easting, y = northing, z = height (glTF: y up)</span>
+      </div>
+
+      <div className="viewer-toolbar">
+        <label className="viewer-option">
+          <input type="checkbox" checked={sectionOn} onChange={(e) => setSectionOn(e.target.checked)} disabled={!totalLength} />
+          Section
+        </label>
+        {sectionOn && (
+          <>
+            <input
+              className="viewer-section-slider"
+              type="range"
+              min="0"
+              max={totalLength}
+              step="0.1"
+              value={Math.min(sectionLength, totalLength)}
+              onChange={(e) => setSectionLength(Number(e.target.value))}
+            />
+            <StationInput
+              className="viewer-section-station"
+              value={Math.min(sectionLength, totalLength)}
+              chainage={chainage}
+              onChange={(len) => setSectionLength(Math.max(0, Math.min(totalLength, len)))}
+            />
+            <button onClick={() => stepSection(-1)} title="Previous station">◀</button>
+            <label className="viewer-option">
+              Step
+              <input
+                className="viewer-section-step"
+                type="number"
+                min="0.1"
+                step="any"
+                value={sectionStep}
+                onChange={(e) => setSectionStep(e.target.value)}
+              />
+              m
+            </label>
+            <button onClick={() => stepSection(1)} title="Next station">▶</button>
+            <label className="viewer-option">
+              <input type="checkbox" checked={sectionClip} onChange={(e) => setSectionClip(e.target.checked)} />
+              Cut away ahead
+            </label>
+            <button onClick={viewSection} disabled={!section}>Look at section</button>
+          </>
+        )}
+      </div>
+
+      <div className="viewer-toolbar">
+        <label className="viewer-option">
+          <input type="checkbox" checked={flyOn} onChange={(e) => setFlyOn(e.target.checked)} disabled={!totalLength} />
+          Fly-through
+        </label>
+        {flyOn && (
+          <>
+            <button onClick={toggleFlyPlaying} title={flyPlaying ? 'Pause' : 'Play'}>{flyPlaying ? '⏸' : '▶'}</button>
+            <input
+              className="viewer-section-slider"
+              type="range"
+              min="0"
+              max={totalLength}
+              step="0.1"
+              value={Math.min(flyLength, totalLength)}
+              onChange={(e) => scrubFly(Number(e.target.value))}
+            />
+            <StationInput
+              className="viewer-section-station"
+              value={Math.min(flyLength, totalLength)}
+              chainage={chainage}
+              onChange={scrubFly}
+            />
+            {[['speed', 'Speed', 'm/s'], ['eyeHeight', 'Eye height', 'm'], ['lookAhead', 'Look-ahead', 'm']].map(([field, label, unit]) => (
+              <label key={field} className="viewer-option">
+                {label}
+                <input
+                  className="viewer-section-step"
+                  type="number"
+                  step="any"
+                  value={flySettings[field]}
+                  onChange={(e) => setFlySettings(prev => ({ ...prev, [field]: e.target.value }))}
+                />
+                {unit}
+              </label>
+            ))}
+          </>
+        )}
+      </div>
+
+      <div className="viewer-toolbar">
+        <span className="viewer-toolbar-note">Labels</span>
+        <label className="viewer-option">
+          <input
+            type="checkbox"
+            checked={markerOptions.stations}
+            onChange={(e) => setMarkerOptions(prev => ({ ...prev, stations: e.target.checked }))}
+          />
+          Stations every
+          <input
+            className="viewer-section-step"
+            type="number"
+            min="0"
+            step="any"
+            value={markerOptions.stationInterval}
+            onChange={(e) => setMarkerOptions(prev => ({ ...prev, stationInterval: e.target.value }))}
+          />
+          m
+        </label>
+        {[['assignments', 'Assignments'], ['segments', 'Axis elements'], ['annotations', 'Annotations']].map(([field, label]) => (
+          <label key={field} className="viewer-option">
+            <input
+              type="checkbox"
+              checked={markerOptions[field]}
+              onChange={(e) => setMarkerOptions(prev => ({ ...prev, [field]: e.target.checked }))}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
       <div className="viewer-canvas">
         <div className="viewer-3d" ref={threeContainerRef}>
           <div className="viewer-3d-header">3D Tunnel View (three.js)</div>
         </div>
+        {colorLegend && (
+          <div className="viewer-color-legend">
+            <div className="viewer-color-legend-title">
+              {SURFACE_COLOR_MODES.find(m => m.value === colorMode)?.label}
+            </div>
+            {colorLegend.type === 'scale' ? (
+              <>
+                <div
+                  className="viewer-color-legend-ramp"
+                  style={{ background: `linear-gradient(to right, ${colorLegend.stops.join(', ')})` }}
+                />
+                <div className="viewer-color-legend-range">
+                  <span>{formatLegendValue(colorLegend.min)}</span>
+                  <span>{colorLegend.unit}</span>
+                  <span>{formatLegendValue(colorLegend.max)}</span>
+                </div>
+              </>
+            ) : (
+              colorLegend.items.map(item => (
+                <div key={item.label} className="viewer-color-legend-item">
+                  <span className="viewer-layer-swatch" style={{ background: item.color }} />
+                  {item.label}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+        {pick && (
+          <SurfacePickInfo
+            pick={pick}
+            chainage={chainage}
+            profiles={profiles}
+            heightAssignments={heightAssignments}
+            onOpenAssignment={(tab, id) => onOpenAssignment?.(tab, id)}
+            onClose={() => setPickTarget(null)}
+          />
+        )}
+        {section && (
+          <SectionInspector
+            section={section}
+            chainage={chainage}
+            profiles={profiles}
+            frameMode={frameMode}
+            getLayerColor={name => toCssColor(getLayerStyle(name, layerNames.indexOf(name)).color)}
+          />
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,86 @@
+// Station markers for the 3D view and user annotations (text notes attached to a
+// true length along the axis). Annotations are saved with the project and shown in
+// the 3D view as well as on the 2D axis views and the height graph.
+import { computeAxisTotalLength, getPositionAtLength, getSegmentLength } from './geometry'
+import { buildChainageRangeBoundaries, formatLengthAsStation } from './chainage'
+import { PROFILE_COLORS } from './colors'
+
+export const ANNOTATION_COLOR = '#e67e22'
+
+export const MARKER_COLORS = {
+  station: '#ecf0f1',
+  height: '#3498db',
+  segment: '#bdc3c7',
+  annotation: ANNOTATION_COLOR,
+}
+
+export function normalizeAnnotations(annotations) {
+  return (Array.isArray(annotations) ? annotations : [])
+    .map((a, i) => ({ id: a?.id ?? i + 1, length: Number(a?.length) || 0, text: typeof a?.text === 'string' ? a.text : '' }))
+    .sort((a, b) => a.length - b.length)
+}
+
+// Annotations as labelled points for the plan canvases (SegmentCanvas labels)
+export function getAnnotationLabels(annotations, axisData) {
+  if (!axisData?.length) return []
+  return normalizeAnnotations(annotations)
+    .filter(a => a.text)
+    .map((a) => {
+      const pos = getPositionAtLength(axisData, a.length)
+      return { id: `note-${a.id}`, x: pos.x, y: pos.y, text: a.text, color: ANNOTATION_COLOR }
+    })
+}
+
+function describeSegment(seg) {
+  if (seg.type === 'arc') return `Arc R ${Math.abs(Number(seg.radius) || 0).toFixed(1)}`
+  if (seg.type === 'clothoid') return `Clothoid L ${getSegmentLength(seg).toFixed(1)}`
+  return 'Line'
+}
+
+/**
+ * Markers along the axis: {kind, length, label, color}. options: {stationInterval
+ * (ticks where the station passes a multiple, 0 for none), stations, assignments,
+ * segments, annotations (booleans, default true)}. Kinds: 'station', 'profile',
+ * 'height', 'segment' (start of each axis element and the end) and 'annotation'.
+ */
+export function buildAxisMarkers({ axisData = [], heightAssignments = [], profileAssignments = [], profiles = [], annotations = [], chainage }, options = {}) {
+  const totalLength = computeAxisTotalLength(axisData)
+  if (!(totalLength > 0)) return []
+  const show = kind => options[kind] !== false
+  const inAxis = length => length >= 0 && length <= totalLength + 1e-6
+  const markers = []
+
+  if (show('stations') && options.stationInterval > 0) {
+    buildChainageRangeBoundaries(totalLength, chainage, options.stationInterval).forEach((length) => {
+      markers.push({ kind: 'station', length, label: formatLengthAsStation(length, chainage), color: MARKER_COLORS.station })
+    })
+  }
+  if (show('assignments')) {
+    profileAssignments.filter(a => inAxis(a.length)).forEach((a) => {
+      const index = profiles.findIndex(p => p.id === a.profileId)
+      markers.push({
+        kind: 'profile',
+        length: a.length,
+        label: index === -1 ? 'No profile' : profiles[index].name,
+        color: index === -1 ? MARKER_COLORS.segment : PROFILE_COLORS[index % PROFILE_COLORS.length],
+      })
+    })
+    heightAssignments.filter(h => inAxis(h.length)).forEach((h) => {
+      markers.push({ kind: 'height', length: h.length, label: `H ${(Number(h.height) || 0).toFixed(3)}`, color: MARKER_COLORS.height })
+    })
+  }
+  if (show('segments')) {
+    let length = 0
+    axisData.forEach((seg) => {
+      markers.push({ kind: 'segment', length, label: describeSegment(seg), color: MARKER_COLORS.segment })
+      length += getSegmentLength(seg)
+    })
+    markers.push({ kind: 'segment', length: totalLength, label: 'End', color: MARKER_COLORS.segment })
+  }
+  if (show('annotations')) {
+    normalizeAnnotations(annotations).filter(a => a.text && inAxis(a.length)).forEach((a) => {
+      markers.push({ kind: 'annotation', length: a.length, label: a.text, color: MARKER_COLORS.annotation })
+    })
+  }
+  return markers
+}
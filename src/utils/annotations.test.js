@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { buildAxisMarkers, getAnnotationLabels, normalizeAnnotations } from './annotations'
+
+const axis = [
+  { type: 'line', start: { x: 0, y: 0 }, end: { x: 100, y: 0 } },
+  { type: 'line', start: { x: 100, y: 0 }, end: { x: 100, y: 150 } },
+]
+
+describe('axis markers and annotations', () => {
+  it('marks stations, assignments, segments and notes', () => {
+    const markers = buildAxisMarkers({
+      axisData: axis,
+      heightAssignments: [{ length: 0, height: 10 }],
+      profileAssignments: [{ length: 20, profileId: 2 }],
+      profiles: [{ id: 1, name: 'A' }, { id: 2, name: 'B' }],
+      annotations: [{ id: 'n', length: 120, text: 'Cross passage' }, { id: 'e', length: 5, text: '' }],
+      chainage: { startStation: 1030 },
+    }, { stationInterval: 100 })
+
+    const byKind = kind => markers.filter(m => m.kind === kind).map(m => [m.length, m.label])
+    // Stations pass 1100 and 1200 at lengths 70 and 170, plus both ends
+    expect(byKind('station')).toEqual([[0, '1+030.000'], [70, '1+100.000'], [170, '1+200.000'], [250, '1+280.000']])
+    expect(byKind('profile')).toEqual([[20, 'B']])
+    expect(byKind('height')).toEqual([[0, 'H 10.000']])
+    expect(byKind('segment')).toEqual([[0, 'Line'], [100, 'Line'], [250, 'End']])
+    expect(byKind('annotation')).toEqual([[120, 'Cross passage']])
+  })
+
+  it('places notes on the plan', () => {
+    const annotations = normalizeAnnotations([{ id: 1, length: '120', text: 'Sump' }])
+    expect(annotations).toEqual([{ id: 1, length: 120, text: 'Sump' }])
+    const [label] = getAnnotationLabels(annotations, axis)
+    expect(label.x).toBeCloseTo(100, 9)
+    expect(label.y).toBeCloseTo(20, 9)
+    expect(label.text).toBe('Sump')
+  })
+})
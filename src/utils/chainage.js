@@ -0,0 +1,139 @@
+// Chainage (stationing) along the axis. Geometry always works in true length from
+// the start of the axis; these helpers convert between that length and the station
+// values shown to the user, honouring a start station and station equations.
+
+export const DEFAULT_CHAINAGE = {
+  startStation: 0,
+  // Each equation is a break where the back station is re-labelled as the ahead station
+  equations: [],
+  format: { groupDigits: 3, decimals: 3 },
+}
+
+export function normalizeChainage(chainage) {
+  const c = chainage || {}
+  return {
+    startStation: Number(c.startStation) || 0,
+    equations: Array.isArray(c.equations) ? c.equations : [],
+    format: { ...DEFAULT_CHAINAGE.format, ...(c.format || {}) },
+  }
+}
+
+/**
+ * Splits the axis into regions of continuous stationing. Each region starts at a
+ * true length with a given station. Equations are applied in order; an equation whose
+ * back station lies before the start of the current region is flagged invalid and skipped.
+ */
+export function buildChainageRegions(chainage) {
+  const { startStation, equations } = normalizeChainage(chainage)
+  const regions = [{ startLength: 0, startStation }]
+
+  equations.forEach((eq) => {
+    const back = Number(eq.backStation)
+    const ahead = Number(eq.aheadStation)
+    const current = regions[regions.length - 1]
+    if (!Number.isFinite(back) || !Number.isFinite(ahead) || back < current.startStation) {
+      regions[regions.length - 1] = { ...current, invalidEquations: [...(current.invalidEquations || []), eq.id] }
+      return
+    }
+    regions.push({
+      startLength: current.startLength + (back - current.startStation),
+      startStation: ahead,
+      backStation: back,
+      equationId: eq.id,
+    })
+  })
+
+  return regions
+}
+
+export function lengthToStation(length, chainage) {
+  const regions = buildChainageRegions(chainage)
+  let region = regions[0]
+  for (const r of regions) {
+    if (r.startLength <= length + 1e-9) region = r
+  }
+  return region.startStation + (length - region.startLength)
+}
+
+/**
+ * Converts a station back to true length. With a back equation (stations repeat)
+ * the first region containing the station wins.
+ */
+export function stationToLength(station, chainage) {
+  const regions = buildChainageRegions(chainage)
+  for (let i = 0; i < regions.length; i++) {
+    const r = regions[i]
+    const next = regions[i + 1]
+    const endStation = next ? r.startStation + (next.startLength - r.startLength) : Infinity
+    if (station >= r.startStation - 1e-9 && station <= endStation + 1e-9) {
+      return r.startLength + (station - r.startStation)
+    }
+  }
+  // Outside every region: extrapolate from the first one
+  return regions[0].startLength + (station - regions[0].startStation)
+}
+
+/**
+ * Formats a station value as e.g. "12+350.000" (groupDigits = 3) or "123+50.00"
+ * (groupDigits = 2). groupDigits = 0 prints the plain number.
+ */
+export function formatStation(station, format = DEFAULT_CHAINAGE.format) {
+  const { groupDigits, decimals } = { ...DEFAULT_CHAINAGE.format, ...(format || {}) }
+  if (!Number.isFinite(station)) return ''
+  const factor = Math.pow(10, decimals)
+  const rounded = Math.round(Math.abs(station) * factor) / factor
+  const sign = station < 0 && rounded > 0 ? '-' : ''
+  if (!groupDigits) return `${sign}${rounded.toFixed(decimals)}`
+
+  const group = Math.pow(10, groupDigits)
+  const major = Math.floor(rounded / group + 1e-12)
+  const minor = rounded - major * group
+  const width = groupDigits + (decimals > 0 ? decimals + 1 : 0)
+  return `${sign}${major}+${Math.max(0, minor).toFixed(decimals).padStart(width, '0')}`
+}
+
+// Parses "12+350.000", "-0+012.5" or a plain number into a station value. Returns
+// NaN if invalid, including a part after the "+" that does not fit in its group
+// (e.g. "12+1500" with groupDigits = 3).
+export function parseStation(text, format = DEFAULT_CHAINAGE.format) {
+  const str = String(text ?? '').trim().replace(/\s+/g, '')
+  if (!str) return NaN
+  if (!str.includes('+')) return Number(str)
+
+  const groupDigits = Number(format?.groupDigits ?? DEFAULT_CHAINAGE.format.groupDigits)
+  if (!Number.isInteger(groupDigits) || groupDigits < 0) return NaN
+  const match = str.match(/^(-?)(\d+)\+(\d*\.?\d*)$/)
+  if (!match) return NaN
+  const [, sign, major, minor] = match
+  const group = Math.pow(10, groupDigits)
+  const minorValue = Number(minor) || 0
+  if (minorValue >= group) return NaN
+  const value = Number(major) * group + minorValue
+  return sign ? -value : value
+}
+
+// Shorthand used by tables and markers: true length -> formatted station
+export function formatLengthAsStation(length, chainage) {
+  const c = normalizeChainage(chainage)
+  return formatStation(lengthToStation(Number(length) || 0, c), c.format)
+}
+
+/**
+ * Lengths where the stationing passes a multiple of step (e.g. every 100 m of
+ * station), plus the axis ends. Station equations start a new count.
+ */
+export function buildChainageRangeBoundaries(totalLength, chainage, step = 100) {
+  const boundaries = new Set([0, Number(totalLength.toFixed(6))])
+  if (!(step > 0)) return Array.from(boundaries).sort((a, b) => a - b)
+  const regions = buildChainageRegions(chainage)
+  regions.forEach((r, i) => {
+    const end = Math.min(totalLength, regions[i + 1] ? regions[i + 1].startLength : totalLength)
+    if (r.startLength >= totalLength) return
+    boundaries.add(Number(r.startLength.toFixed(6)))
+    const station = Math.floor(r.startStation / step + 1e-9) * step + step
+    for (let len = r.startLength + (station - r.startStation); len < end - 1e-9; len += step) {
+      boundaries.add(Number(len.toFixed(6)))
+    }
+  })
+  return Array.from(boundaries).sort((a, b) => a - b)
+}
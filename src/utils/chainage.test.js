@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildChainageRegions,
+  lengthToStation,
+  stationToLength,
+  formatStation,
+  parseStation,
+  formatLengthAsStation,
+  buildChainageRangeBoundaries,
+} from './chainage'
+
+describe('chainage helpers', () => {
+  it('offsets lengths by the start station', () => {
+    const chainage = { startStation: 12000 }
+    expect(lengthToStation(350, chainage)).toBe(12350)
+    expect(stationToLength(12350, chainage)).toBe(350)
+  })
+
+  it('applies ahead (gap) and back (overlap) station equations', () => {
+    const chainage = {
+      startStation: 1000,
+      equations: [
+        { id: 'a', backStation: 1200, aheadStation: 1250 },
+        { id: 'b', backStation: 1400, aheadStation: 1380 },
+      ],
+    }
+    const regions = buildChainageRegions(chainage)
+    expect(regions.map(r => r.startLength)).toEqual([0, 200, 350])
+
+    expect(lengthToStation(199, chainage)).toBe(1199)
+    expect(lengthToStation(200, chainage)).toBe(1250)
+    expect(lengthToStation(360, chainage)).toBe(1390)
+
+    expect(stationToLength(1260, chainage)).toBe(210)
+    // Station 1390 exists twice; the first occurrence wins
+    expect(stationToLength(1390, chainage)).toBe(340)
+    expect(stationToLength(1420, chainage)).toBe(390)
+  })
+
+  it('skips equations whose back station precedes the current region', () => {
+    const regions = buildChainageRegions({ startStation: 500, equations: [{ id: 'x', backStation: 100, aheadStation: 0 }] })
+    expect(regions.length).toBe(1)
+    expect(regions[0].invalidEquations).toEqual(['x'])
+  })
+
+  it('formats and parses stations', () => {
+    expect(formatStation(12350)).toBe('12+350.000')
+    expect(formatStation(5.5, { groupDigits: 3, decimals: 2 })).toBe('0+005.50')
+    expect(formatStation(12350, { groupDigits: 2, decimals: 2 })).toBe('123+50.00')
+    expect(formatStation(-12.5, { groupDigits: 3, decimals: 1 })).toBe('-0+012.5')
+    expect(formatStation(999.9996)).toBe('1+000.000')
+    expect(formatStation(42.25, { groupDigits: 0, decimals: 1 })).toBe('42.3')
+
+    expect(parseStation('12+350.000')).toBe(12350)
+    expect(parseStation('123+50', { groupDigits: 2 })).toBe(12350)
+    expect(parseStation('-0+012.5')).toBe(-12.5)
+    expect(parseStation('42.5')).toBe(42.5)
+    expect(parseStation('abc')).toBeNaN()
+    expect(parseStation('12+1500')).toBeNaN()
+    expect(parseStation('12+999.999')).toBe(12999.999)
+    expect(parseStation('123+150', { groupDigits: 2 })).toBeNaN()
+    expect(parseStation('12+0.5', { groupDigits: 0, decimals: 1 })).toBe(12.5)
+    expect(parseStation('12+5', { groupDigits: 0, decimals: 1 })).toBeNaN()
+  })
+
+  it('formats true lengths as stations', () => {
+    expect(formatLengthAsStation(350, { startStation: 12000 })).toBe('12+350.000')
+    expect(formatLengthAsStation(0, undefined)).toBe('0+000.000')
+  })
+  it('splits the axis where the stationing passes a multiple of the step', () => {
+    expect(buildChainageRangeBoundaries(100, { startStation: 950 }, 100)).toEqual([0, 50, 100])
+    expect(buildChainageRangeBoundaries(100, { startStation: 0, equations: [{ id: 'e', backStation: 30, aheadStation: 200 }] }, 50))
+      .toEqual([0, 30, 80, 100])
+  })
+})
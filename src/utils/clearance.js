@@ -0,0 +1,166 @@
+// Clearance gauge check. A gauge is a polygon in profile coordinates (x to the right,
+// y up) that has to fit inside the interpolated tunnel section at every station. In
+// curves the gauge is widened for the vehicle's swept path: the middle of the vehicle
+// cuts inward (centre throw) and its ends swing outward (end throw). The section and
+// the running surface roll together with the superelevation, so the gauge keeps its
+// place relative to the section and is checked in the section's own coordinates.
+import { collectSampleLengths, computeAxisTotalLength, createProfileMergeCache, getCurvatureAtLength, interpolateProfileAtLength } from './geometry'
+import { getProfileLayerNames } from './profileLayers'
+import { normalizeSuperelevation } from './superelevation'
+import { formatLengthAsStation } from './chainage'
+
+export const DEFAULT_CLEARANCE_GAUGE = {
+  points: [],
+  layer: '',
+  required: 0,
+  step: 1,
+  bogieCentres: 0,
+  vehicleLength: 0,
+}
+
+export function normalizeClearanceGauge(gauge) {
+  const g = gauge && typeof gauge === 'object' ? gauge : {}
+  const num = (v, fallback = 0) => (Number.isFinite(Number(v)) && v !== '' && v !== null ? Number(v) : fallback)
+  return {
+    points: (Array.isArray(g.points) ? g.points : []).map((p, i) => ({ id: p.id ?? i + 1, x: num(p.x), y: num(p.y) })),
+    layer: typeof g.layer === 'string' ? g.layer : '',
+    required: num(g.required),
+    step: Math.max(0.1, num(g.step, 1)),
+    bogieCentres: Math.max(0, num(g.bogieCentres)),
+    vehicleLength: Math.max(0, num(g.vehicleLength)),
+  }
+}
+
+/**
+ * Swept-path widening for a plan curvature: the centre throw a²/8R on the inside of
+ * the curve and the end throw (L² − a²)/8R on the outside, with a the bogie centres
+ * (or wheelbase) and L the vehicle length.
+ */
+export function getGaugeWidening(curvature, gauge) {
+  const k = Math.abs(Number(curvature) || 0)
+  const a = Number(gauge?.bogieCentres) || 0
+  const L = Number(gauge?.vehicleLength) || 0
+  return {
+    inner: (a * a * k) / 8,
+    outer: (Math.max(0, L * L - a * a) * k) / 8,
+  }
+}
+
+// Gauge polygon widened for the curvature. Left-hand curves (positive curvature)
+// have their inside on the left (negative x).
+export function buildGaugeAtCurvature(gauge, curvature = 0) {
+  const { inner, outer } = getGaugeWidening(curvature, gauge)
+  if (!inner && !outer) return gauge.points.map(p => ({ x: p.x, y: p.y }))
+  const leftShift = curvature > 0 ? inner : outer
+  const rightShift = curvature > 0 ? outer : inner
+  return gauge.points.map(p => ({
+    x: p.x < 0 ? p.x - leftShift : p.x > 0 ? p.x + rightShift : p.x,
+    y: p.y,
+  }))
+}
+
+function pointInPolygon(p, poly) {
+  let inside = false
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i]
+    const b = poly[j]
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside
+  }
+  return inside
+}
+
+function distanceToBoundary(p, poly) {
+  let best = Infinity
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i]
+    const b = poly[(i + 1) % poly.length]
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const len2 = dx * dx + dy * dy
+    const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0
+    best = Math.min(best, Math.hypot(p.x - a.x - dx * t, p.y - a.y - dy * t))
+  }
+  return best
+}
+
+/**
+ * Signed clearance between a gauge and a section (both polygons): the smallest gap
+ * when the gauge fits, otherwise minus the deepest intrusion (a gauge corner outside
+ * the section or a section corner inside the gauge). `at` is the gauge-side location.
+ */
+export function measureClearance(sectionPoints = [], gaugePoints = []) {
+  if (sectionPoints.length < 3 || gaugePoints.length < 3) return null
+  let gap = { clearance: Infinity, at: null }
+  let intrusion = { clearance: 0, at: null }
+  const consider = (p, d, inside) => {
+    if (inside) {
+      if (d < gap.clearance) gap = { clearance: d, at: { x: p.x, y: p.y } }
+    } else if (-d < intrusion.clearance) {
+      intrusion = { clearance: -d, at: { x: p.x, y: p.y } }
+    }
+  }
+  gaugePoints.forEach(p => consider(p, distanceToBoundary(p, sectionPoints), pointInPolygon(p, sectionPoints)))
+  sectionPoints.forEach(p => consider(p, distanceToBoundary(p, gaugePoints), !pointInPolygon(p, gaugePoints)))
+  return intrusion.at ? intrusion : gap
+}
+
+/**
+ * Checks the gauge along the whole axis against one profile layer (default: the
+ * first layer name, normally the inner lining). options: {superelevation, maxChord, morph}.
+ * Returns {layer, rows: [{length, clearance, at, ok}], stretches: [{from, to, min}], min}
+ * where stretches are runs of stations below the required clearance.
+ */
+export function checkClearance(axisData, heightAssignments, profileAssignments, profiles, gauge, options = {}) {
+  const g = normalizeClearanceGauge(gauge)
+  const layer = g.layer || getProfileLayerNames(profiles)[0] || ''
+  const result = { layer, rows: [], stretches: [], min: null }
+  const totalLength = computeAxisTotalLength(axisData)
+  if (totalLength <= 0 || g.points.length < 3 || !Array.isArray(profileAssignments) || !profileAssignments.length) return result
+
+  const superelevation = normalizeSuperelevation(options.superelevation)
+  const lengths = new Set(collectSampleLengths(axisData, heightAssignments, profileAssignments, { axisArcStep: g.step, superelevation }))
+  for (let len = 0; len < totalLength; len += g.step) lengths.add(Number(len.toFixed(6)))
+  const samples = Array.from(lengths).filter(l => l >= 0 && l <= totalLength + 1e-9).sort((a, b) => a - b)
+
+  const sampling = { maxChord: options.maxChord || 0.2, minArcSteps: 16, layer, morph: options.morph, mergeCache: createProfileMergeCache() }
+  samples.forEach((length) => {
+    const section = interpolateProfileAtLength(length, profileAssignments, profiles, sampling, true)
+    const gaugePoints = buildGaugeAtCurvature(g, getCurvatureAtLength(axisData, length))
+    const measured = section && section.length >= 3 ? measureClearance(section, gaugePoints) : null
+    // No section at all counts as a failure
+    const clearance = measured ? measured.clearance : -Infinity
+    result.rows.push({ length, clearance, at: measured?.at || null, ok: clearance >= g.required })
+  })
+
+  let open = null
+  result.rows.forEach((row) => {
+    if (!result.min || row.clearance < result.min.clearance) result.min = row
+    if (!row.ok) {
+      if (!open) {
+        open = { from: row.length, to: row.length, min: row.clearance }
+        result.stretches.push(open)
+      }
+      open.to = row.length
+      open.min = Math.min(open.min, row.clearance)
+    } else {
+      open = null
+    }
+  })
+  return result
+}
+
+export function clearanceToCSV(result, chainage) {
+  const num = (v) => (Number.isFinite(v) ? v.toFixed(4) : '')
+  const lines = [['Station', 'Length', 'Clearance', 'At X', 'At Y', 'OK'].join(',')]
+  result.rows.forEach((r) => {
+    lines.push([
+      formatLengthAsStation(r.length, chainage),
+      num(r.length),
+      r.clearance === -Infinity ? 'no section' : num(r.clearance),
+      num(r.at?.x),
+      num(r.at?.y),
+      r.ok ? 'yes' : 'no',
+    ].join(','))
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { buildGaugeAtCurvature, checkClearance, clearanceToCSV, getGaugeWidening, measureClearance, normalizeClearanceGauge } from './clearance'
+import { buildAxisSegments } from './geometry'
+
+const square = (h) => [{ x: -h, y: -h }, { x: h, y: -h }, { x: h, y: h }, { x: -h, y: h }]
+
+const box = (h) => [
+  { type: 'line', start: { x: -h, y: -h }, end: { x: h, y: -h } },
+  { type: 'line', start: { x: h, y: -h }, end: { x: h, y: h } },
+  { type: 'line', start: { x: h, y: h }, end: { x: -h, y: h } },
+  { type: 'line', start: { x: -h, y: h }, end: { x: -h, y: -h } },
+]
+
+describe('clearance', () => {
+  it('measures the gap or the deepest intrusion', () => {
+    expect(measureClearance(square(5), square(3)).clearance).toBeCloseTo(2, 9)
+    const wide = [{ x: -6, y: -3 }, { x: 6, y: -3 }, { x: 6, y: 3 }, { x: -6, y: 3 }]
+    expect(measureClearance(square(5), wide).clearance).toBeCloseTo(-1, 9)
+    // Corners outside count with their distance from the section
+    expect(measureClearance(square(5), square(6)).clearance).toBeCloseTo(-Math.SQRT2, 9)
+    // A section corner poking into the gauge
+    const notched = [{ x: -5, y: -5 }, { x: 5, y: -5 }, { x: 5, y: 5 }, { x: 0, y: 2 }, { x: -5, y: 5 }]
+    const m = measureClearance(notched, square(3))
+    expect(m.clearance).toBeCloseTo(-1, 9)
+    expect(m.at).toEqual({ x: 0, y: 2 })
+    expect(measureClearance([], square(1))).toBeNull()
+  })
+
+  it('widens the gauge on both sides of a curve', () => {
+    const gauge = normalizeClearanceGauge({ points: square(1), bogieCentres: 10, vehicleLength: 20 })
+    expect(getGaugeWidening(0.01, gauge)).toEqual({ inner: 0.125, outer: 0.375 })
+    // Left-hand curve: inside is on the left
+    const left = buildGaugeAtCurvature(gauge, 0.01)
+    expect(left[0].x).toBeCloseTo(-1.125, 9)
+    expect(left[1].x).toBeCloseTo(1.375, 9)
+    const right = buildGaugeAtCurvature(gauge, -0.01)
+    expect(right[0].x).toBeCloseTo(-1.375, 9)
+    expect(buildGaugeAtCurvature(gauge, 0)).toEqual(square(1))
+  })
+
+  it('flags the stretches where the widened gauge does not fit', () => {
+    // 100 m straight, then a left-hand curve of radius 50
+    const axis = buildAxisSegments([
+      { id: 1, x: 0, y: 0, type: 'line' },
+      { id: 2, x: 100, y: 0, type: 'line' },
+      { id: 3, x: 150, y: 50, type: 'arc', radius: 50 },
+    ])
+    const profiles = [{ id: 1, name: 'Box', points: [], segments: box(3) }]
+    const gauge = { points: square(2.9), step: 5, bogieCentres: 10, vehicleLength: 14 }
+    const result = checkClearance(axis, [], [{ length: 0, profileId: 1 }], profiles, gauge)
+
+    expect(result.layer).toBe('Inner lining')
+    const onStraight = result.rows.filter(r => r.length < 99)
+    onStraight.forEach(r => expect(r.clearance).toBeCloseTo(0.1, 9))
+    // Centre throw 100 / 400 = 0.25 (end throw 96 / 400 = 0.24) exceeds the 0.1 gap
+    expect(result.stretches).toHaveLength(1)
+    expect(result.stretches[0].from).toBeGreaterThan(99)
+    expect(result.stretches[0].min).toBeCloseTo(0.1 - 0.25, 6)
+    expect(result.min.clearance).toBeCloseTo(-0.15, 6)
+
+    const csv = clearanceToCSV(result, undefined).split('\n')
+    expect(csv[0]).toBe('Station,Length,Clearance,At X,At Y,OK')
+    expect(csv).toHaveLength(result.rows.length + 1)
+
+    // A required clearance fails the straight as well
+    const strict = checkClearance(axis, [], [{ length: 0, profileId: 1 }], profiles, { ...gauge, required: 0.2 })
+    expect(strict.stretches).toHaveLength(1)
+    expect(strict.stretches[0].from).toBe(0)
+  })
+
+  it('fails stations without a section in the checked layer', () => {
+    const axis = buildAxisSegments([{ id: 1, x: 0, y: 0, type: 'line' }, { id: 2, x: 20, y: 0, type: 'line' }])
+    const profiles = [{ id: 1, name: 'Box', points: [], segments: box(3) }]
+    const result = checkClearance(axis, [], [{ length: 0, profileId: 1 }], profiles, { points: square(1), layer: 'Clearance envelope', step: 10 })
+    expect(result.rows.every(r => r.clearance === -Infinity && !r.ok)).toBe(true)
+    expect(result.stretches).toEqual([{ from: 0, to: 20, min: -Infinity }])
+  })
+})
@@ -0,0 +1,4 @@
+// Colours shared by the 2D and 3D views
+
+// One colour per profile, by its index in the profile list
+export const PROFILE_COLORS = ['#27ae60', '#3498db', '#9b59b6', '#e67e22', '#16a085', '#2c3e50', '#d35400']
@@ -0,0 +1,46 @@
+// Camera path of the viewer's fly-through. The eye rides `eyeHeight` above the 3D
+// axis and looks at the mean of the axis points over the look-ahead distance (at
+// eye height), which turns the view gradually into curves instead of snapping to
+// the tangent. Past the end of the axis the path continues along its end tangent.
+import { computeAxisTotalLength, getAxis3DPointsAtLength } from './geometry'
+
+export const DEFAULT_FLY_THROUGH = { eyeHeight: 1.7, speed: 10, lookAhead: 20 }
+
+const LOOK_AHEAD_SAMPLES = 8
+
+function getPathPoint(axisData, heightAssignments, length, totalLength) {
+  if (length <= totalLength) return getAxis3DPointsAtLength(axisData, heightAssignments, length)
+  const end = getAxis3DPointsAtLength(axisData, heightAssignments, totalLength)
+  const before = getAxis3DPointsAtLength(axisData, heightAssignments, Math.max(0, totalLength - Math.min(1, totalLength)))
+  // Axis lengths are measured in plan
+  const d = Math.hypot(end.x - before.x, end.z - before.z) || 1
+  const k = (length - totalLength) / d
+  return { x: end.x + (end.x - before.x) * k, y: end.y + (end.y - before.y) * k, z: end.z + (end.z - before.z) * k }
+}
+
+/**
+ * Camera pose at `length` ({x: easting, y: height, z: northing} points).
+ * options: {eyeHeight, lookAhead, totalLength (to skip recomputing it)}.
+ * Returns {length (clamped), eye, target} or null without an axis.
+ */
+export function getFlyThroughPose(axisData, heightAssignments, length, options = {}) {
+  const totalLength = options.totalLength ?? computeAxisTotalLength(axisData)
+  if (!(totalLength > 0)) return null
+  const eyeHeight = Number(options.eyeHeight ?? DEFAULT_FLY_THROUGH.eyeHeight) || 0
+  const lookAhead = Math.max(0.5, Number(options.lookAhead ?? DEFAULT_FLY_THROUGH.lookAhead) || 0)
+  const len = Math.max(0, Math.min(length, totalLength))
+
+  const eye = getPathPoint(axisData, heightAssignments, len, totalLength)
+  const target = { x: 0, y: 0, z: 0 }
+  for (let k = 1; k <= LOOK_AHEAD_SAMPLES; k++) {
+    const p = getPathPoint(axisData, heightAssignments, len + (lookAhead * k) / LOOK_AHEAD_SAMPLES, totalLength)
+    target.x += p.x / LOOK_AHEAD_SAMPLES
+    target.y += p.y / LOOK_AHEAD_SAMPLES
+    target.z += p.z / LOOK_AHEAD_SAMPLES
+  }
+  return {
+    length: len,
+    eye: { ...eye, y: eye.y + eyeHeight },
+    target: { ...target, y: target.y + eyeHeight },
+  }
+}
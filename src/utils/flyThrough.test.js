@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { getFlyThroughPose } from './flyThrough'
+import { northAxis as axis } from './testGeometry'
+
+// Rising 10 m over 100 m
+const heights = [{ length: 0, height: 50 }, { length: 100, height: 60 }]
+
+describe('fly-through', () => {
+  it('looks ahead along the axis at eye height', () => {
+    const pose = getFlyThroughPose(axis, heights, 10, { eyeHeight: 2, lookAhead: 16 })
+    expect(pose.eye.x).toBeCloseTo(1000, 9)
+    expect(pose.eye.z).toBeCloseTo(2010, 9)
+    expect(pose.eye.y).toBeCloseTo(53, 6)
+    // Mean of the points 2, 4, … 16 m ahead
+    expect(pose.target.z).toBeCloseTo(2019, 6)
+    expect(pose.target.y).toBeCloseTo(53.9, 6)
+  })
+
+  it('keeps looking along the end tangent at the end of the axis', () => {
+    const pose = getFlyThroughPose(axis, heights, 250, { eyeHeight: 0, lookAhead: 16 })
+    expect(pose.length).toBe(100)
+    expect(pose.eye.z).toBeCloseTo(2100, 9)
+    expect(pose.target.z).toBeCloseTo(2109, 6)
+    expect(pose.target.y).toBeCloseTo(60.9, 6)
+  })
+
+  it('turns gradually into a curve', () => {
+    // Left-hand quarter circle of radius 50 from (0, 0) heading east
+    const curve = [{ type: 'arc', start: { x: 0, y: 0 }, end: { x: 50, y: 50 }, radius: 50 }]
+    const pose = getFlyThroughPose(curve, [], 0, { eyeHeight: 0, lookAhead: 20 })
+    const sideways = Math.atan2(pose.target.z, pose.target.x)
+    // Between the tangent (east) and the chord to the look-ahead point
+    expect(sideways).toBeGreaterThan(0)
+    expect(sideways).toBeLessThan(20 / 50 / 2)
+  })
+})
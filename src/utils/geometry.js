@@ -1,3 +1,8 @@
+import { getHeightAtLength, getGradeAtLength } from './verticalAlignment'
+import { getRollAngleAtLength, normalizeSuperelevation } from './superelevation'
+import { selectProfileLayer } from './profileLayers'
+import { getTransitionFactor, getTransitionSampleLengths } from './profileTransitions'
+
 export function computeAxisScale(axisData, targetSize = 1000) {
   if (!axisData || axisData.length === 0) return 1
   
@@ -23,7 +28,9 @@ export function computeAxisScale(axisData, targetSize = 1000) {
   return targetSize / maxRange
 }
 
-export function calculateArcCenter(start, end, radius) {
+// The centre lies left of the chord for positive radii and right for negative ones;
+// largeArc moves it to the other side so the sweep exceeds 180°.
+export function calculateArcCenter(start, end, radius, largeArc = false) {
   const R = Math.abs(radius)
   if (!R) return null
 
@@ -43,7 +50,7 @@ export function calculateArcCenter(start, end, radius) {
   const perpX = -dy / dist
   const perpY = dx / dist
 
-  const sign = radius >= 0 ? 1 : -1
+  const sign = (radius >= 0) !== Boolean(largeArc) ? 1 : -1
 
   return {
     x: midX + sign * h * perpX,
@@ -51,102 +58,458 @@ export function calculateArcCenter(start, end, radius) {
   }
 }
 
-export function generateArcPath(start, end, radius) {
-  const center = calculateArcCenter(start, end, radius)
-  if (!center) return ''
+export function generateArcPath(start, end, radius, largeArc = false) {
+  const arc = getArcGeometry({ start, end, radius, largeArc })
+  if (!arc) return ''
 
-  const startAngle = Math.atan2(start.y - center.y, start.x - center.x)
-  const endAngle = Math.atan2(end.y - center.y, end.x - center.x)
+  const largeArcFlag = Math.abs(arc.sweep) > Math.PI ? 1 : 0
+  const sweepFlag = radius >= 0 ? 0 : 1
 
-  let angleDiff = endAngle - startAngle
-  // Positive radius => counterclockwise, negative => clockwise
-  if (radius >= 0) {
-    if (angleDiff < 0) angleDiff += 2 * Math.PI
-  } else {
-    if (angleDiff > 0) angleDiff -= 2 * Math.PI
+  return `M ${start.x} ${start.y} A ${arc.R} ${arc.R} 0 ${largeArcFlag} ${sweepFlag} ${end.x} ${end.y}`
+}
+
+/**
+ * Resolves an arc segment {start, end, radius, largeArc?} to its centre, radius,
+ * start angle and signed sweep. Positive radius runs counterclockwise, negative
+ * clockwise; largeArc selects the sweep beyond 180°. Every arc consumer goes
+ * through this so lengths, positions and drawings agree.
+ * Returns null if the radius is too small for the chord.
+ */
+export function getArcGeometry(seg) {
+  if (!seg || !seg.radius) return null
+  const center = calculateArcCenter(seg.start, seg.end, seg.radius, seg.largeArc)
+  if (!center) return null
+
+  const R = Math.abs(seg.radius)
+  const startAngle = Math.atan2(seg.start.y - center.y, seg.start.x - center.x)
+  const endAngle = Math.atan2(seg.end.y - center.y, seg.end.x - center.x)
+  let sweep = endAngle - startAngle
+  if (seg.radius > 0 && sweep < 0) sweep += 2 * Math.PI
+  if (seg.radius < 0 && sweep > 0) sweep -= 2 * Math.PI
+
+  return { center, R, startAngle, sweep, length: Math.abs(sweep) * R }
+}
+
+// Length of a single axis segment. Arcs that cannot be built fall back to their chord.
+export function getSegmentLength(seg) {
+  if (seg.type === 'clothoid') return seg.length || 0
+  if (seg.type === 'arc') {
+    const arc = getArcGeometry(seg)
+    if (arc) return arc.length
   }
+  return Math.hypot(seg.end.x - seg.start.x, seg.end.y - seg.start.y)
+}
 
-  const largeArcFlag = Math.abs(angleDiff) > Math.PI ? 1 : 0
-  const sweepFlag = radius >= 0 ? 0 : 1
-  const R = Math.abs(radius)
+// Point at distance s from the start of a single axis segment
+export function getSegmentPointAt(seg, s) {
+  if (seg.type === 'clothoid') return clothoidPointAt(seg, s)
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  if (arc) {
+    const t = arc.length === 0 ? 0 : s / arc.length
+    const ang = arc.startAngle + arc.sweep * t
+    return { x: arc.center.x + arc.R * Math.cos(ang), y: arc.center.y + arc.R * Math.sin(ang) }
+  }
+  const dx = seg.end.x - seg.start.x
+  const dy = seg.end.y - seg.start.y
+  const L = Math.hypot(dx, dy)
+  const t = L === 0 ? 0 : s / L
+  return { x: seg.start.x + dx * t, y: seg.start.y + dy * t }
+}
+
+// Converts a (possibly blank) radius to a signed curvature. Blank or zero means straight.
+export function radiusToCurvature(radius) {
+  const r = Number(radius)
+  if (radius === '' || radius === null || radius === undefined || !Number.isFinite(r) || r === 0) return 0
+  return 1 / r
+}
+
+// Clothoid length from either an explicit length or the A-parameter (A² = L / |k1 - k0|)
+export function computeClothoidLength({ length, A, startRadius, endRadius } = {}) {
+  const L = Number(length)
+  if (length !== '' && length !== undefined && Number.isFinite(L) && L > 0) return L
+  const a = Number(A)
+  if (A === '' || A === undefined || !Number.isFinite(a) || a <= 0) return 0
+  const dk = Math.abs(radiusToCurvature(endRadius) - radiusToCurvature(startRadius))
+  return a * a * dk
+}
+
+function clothoidHeadingAt(seg, s) {
+  const k0 = seg.startCurvature || 0
+  const k1 = seg.endCurvature || 0
+  const L = seg.length || 0
+  if (!L) return seg.startHeading || 0
+  return (seg.startHeading || 0) + k0 * s + ((k1 - k0) * s * s) / (2 * L)
+}
+
+// 5-point Gauss-Legendre nodes/weights on [-1, 1]
+const GAUSS_NODES = [0, -0.5384693101056831, 0.5384693101056831, -0.906179845938664, 0.906179845938664]
+const GAUSS_WEIGHTS = [0.5688888888888889, 0.47862867049936647, 0.47862867049936647, 0.23692688505618908, 0.23692688505618908]
+
+// Position on a clothoid (curvature varying linearly with length) at distance s from its start
+export function clothoidPointAt(seg, s) {
+  const dist = Math.max(0, Math.min(s, seg.length || 0))
+  if (!dist) return { x: seg.start.x, y: seg.start.y }
+
+  const steps = Math.max(4, Math.ceil(dist / 5))
+  const h = dist / steps
+  let x = seg.start.x
+  let y = seg.start.y
+  for (let i = 0; i < steps; i++) {
+    const mid = (i + 0.5) * h
+    for (let j = 0; j < GAUSS_NODES.length; j++) {
+      const theta = clothoidHeadingAt(seg, mid + GAUSS_NODES[j] * h / 2)
+      x += GAUSS_WEIGHTS[j] * Math.cos(theta) * h / 2
+      y += GAUSS_WEIGHTS[j] * Math.sin(theta) * h / 2
+    }
+  }
+  return { x, y }
+}
+
+export function sampleClothoidPoints(seg, step = 1) {
+  const L = seg.length || 0
+  const steps = Math.max(1, Math.ceil(L / Math.max(0.1, step)))
+  const pts = [{ x: seg.start.x, y: seg.start.y }]
+  for (let i = 1; i <= steps; i++) {
+    pts.push(clothoidPointAt(seg, (L * i) / steps))
+  }
+  return pts
+}
+
+// Heading (radians, counterclockwise from +x) of the axis at the end of a segment
+export function getSegmentEndHeading(seg) {
+  if (!seg) return 0
+  return getSegmentHeadingAt(seg, getSegmentLength(seg))
+}
+
+// Heading of the axis at distance s from the start of a single segment
+export function getSegmentHeadingAt(seg, s) {
+  if (!seg) return 0
+  if (seg.type === 'clothoid') return clothoidHeadingAt(seg, Math.max(0, Math.min(s, seg.length || 0)))
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  if (arc) {
+    const t = arc.length === 0 ? 0 : Math.max(0, Math.min(1, s / arc.length))
+    return arc.startAngle + arc.sweep * t + (arc.sweep > 0 ? Math.PI / 2 : -Math.PI / 2)
+  }
+  return Math.atan2(seg.end.y - seg.start.y, seg.end.x - seg.start.x)
+}
+
+// Axis and profile points stored before arcs carried an explicit largeArc flag were
+// always resolved to the minor sweep, so they are migrated to largeArc: false.
+export function migrateArcPoints(points) {
+  if (!Array.isArray(points)) return []
+  return points.map(p => (p && p.type === 'arc' && p.largeArc === undefined ? { ...p, largeArc: false } : p))
+}
+
+// Builds axis segments from the editor point list. Each point (after the first) defines
+// the segment type from the previous point. Clothoids start tangent to the previous
+// segment and compute their own end point, which becomes the start of the next segment.
+export function buildAxisSegments(points = []) {
+  const segments = []
+  if (!points || points.length < 2) return segments
+
+  let start = { x: points[0].x, y: points[0].y }
+  for (let i = 1; i < points.length; i++) {
+    const curr = points[i]
+    const segType = curr.type || 'line'
+
+    if (segType === 'clothoid') {
+      const length = computeClothoidLength({
+        length: curr.length,
+        A: curr.clothoidA,
+        startRadius: curr.startRadius,
+        endRadius: curr.radius,
+      })
+      if (!length) continue
+      const prevSeg = segments[segments.length - 1]
+      const seg = {
+        type: 'clothoid',
+        start: { x: Number(start.x) || 0, y: Number(start.y) || 0 },
+        startHeading: prevSeg ? getSegmentEndHeading(prevSeg) : 0,
+        length,
+        startCurvature: radiusToCurvature(curr.startRadius),
+        endCurvature: radiusToCurvature(curr.radius),
+      }
+      seg.end = clothoidPointAt(seg, length)
+      segments.push(seg)
+      start = seg.end
+      continue
+    }
 
-  return `M ${start.x} ${start.y} A ${R} ${R} 0 ${largeArcFlag} ${sweepFlag} ${end.x} ${end.y}`
+    const end = { x: curr.x, y: curr.y }
+    if (segType === 'arc' && curr.radius && Number(curr.radius) !== 0) {
+      segments.push({ type: 'arc', start, end, radius: Number(curr.radius), largeArc: Boolean(curr.largeArc) })
+    } else {
+      segments.push({ type: 'line', start, end })
+    }
+    start = end
+  }
+
+  return segments
+}
+
+// Local end coordinates of a spiral from a tangent (curvature 0) to radius R over length L.
+// x runs along the tangent, y is the (positive) offset towards the curve centre.
+function spiralLocalEnd(R, L) {
+  if (!L) return { x: 0, y: 0, theta: 0 }
+  const seg = { start: { x: 0, y: 0 }, startHeading: 0, length: L, startCurvature: 0, endCurvature: 1 / R }
+  const end = clothoidPointAt(seg, L)
+  return { x: end.x, y: end.y, theta: L / (2 * R) }
+}
+
+/**
+ * Solves a horizontal alignment defined by points of intersection (PI method).
+ * The first and last entries are the start and end of the axis; every PI in
+ * between may carry a radius and optional entry/exit spiral lengths.
+ * Returns axis editor points (consumable by buildAxisSegments), per-PI
+ * curve elements and warnings for curves that cannot be fitted.
+ */
+export function buildPIAlignment(pis = []) {
+  const result = { points: [], elements: [], warnings: [] }
+  const list = (pis || []).map(p => ({ ...p, x: Number(p.x) || 0, y: Number(p.y) || 0 }))
+  if (list.length < 2) return result
+
+  // Tangent lengths back (T1) and ahead (T2) of each PI
+  const curves = list.map((pi, i) => {
+    const base = { id: pi.id, index: i, T1: 0, T2: 0, deflection: 0 }
+    if (i === 0 || i === list.length - 1) return base
+    const prev = list[i - 1]
+    const next = list[i + 1]
+    const inLen = Math.hypot(pi.x - prev.x, pi.y - prev.y)
+    const outLen = Math.hypot(next.x - pi.x, next.y - pi.y)
+    if (!inLen || !outLen) return base
+    const u = { x: (pi.x - prev.x) / inLen, y: (pi.y - prev.y) / inLen }
+    const v = { x: (next.x - pi.x) / outLen, y: (next.y - pi.y) / outLen }
+    const deflection = Math.atan2(u.x * v.y - u.y * v.x, u.x * v.x + u.y * v.y)
+    const R = Math.abs(Number(pi.radius) || 0)
+    if (!R || Math.abs(deflection) < 1e-9) return { ...base, deflection }
+
+    const side = deflection > 0 ? 1 : -1
+    const L1 = Math.max(0, Number(pi.spiralIn) || 0)
+    const L2 = Math.max(0, Number(pi.spiralOut) || 0)
+    const s1 = spiralLocalEnd(R, L1)
+    const s2 = spiralLocalEnd(R, L2)
+    const arcAngle = Math.abs(deflection) - s1.theta - s2.theta
+    if (arcAngle < -1e-9) {
+      result.warnings.push(`PI ${i + 1}: spirals are too long for the deflection angle`)
+      return { ...base, deflection }
+    }
+
+    // Circle shift from each tangent (p) and spiral start offset along the tangent (k)
+    const p1 = s1.y - R * (1 - Math.cos(s1.theta))
+    const p2 = s2.y - R * (1 - Math.cos(s2.theta))
+    const k1 = s1.x - R * Math.sin(s1.theta)
+    const k2 = s2.x - R * Math.sin(s2.theta)
+
+    // Centre relative to the PI: distance R + p1 from the back tangent, R + p2 from the ahead tangent
+    const nu = { x: -u.y * side, y: u.x * side }
+    const nv = { x: -v.y * side, y: v.x * side }
+    const det = nu.x * nv.y - nu.y * nv.x
+    const c = {
+      x: ((R + p1) * nv.y - (R + p2) * nu.y) / det,
+      y: ((R + p2) * nu.x - (R + p1) * nv.x) / det,
+    }
+    const foot1 = { x: c.x - (R + p1) * nu.x, y: c.y - (R + p1) * nu.y }
+    const foot2 = { x: c.x - (R + p2) * nv.x, y: c.y - (R + p2) * nv.y }
+    const T1 = -(foot1.x * u.x + foot1.y * u.y) + k1
+    const T2 = foot2.x * v.x + foot2.y * v.y + k2
+
+    const ts = { x: pi.x - T1 * u.x, y: pi.y - T1 * u.y }
+    const st = { x: pi.x + T2 * v.x, y: pi.y + T2 * v.y }
+    const cs = { x: st.x - s2.x * v.x + s2.y * nv.x, y: st.y - s2.x * v.y + s2.y * nv.y }
+
+    return {
+      ...base,
+      deflection,
+      radius: side * R,
+      spiralIn: L1,
+      spiralOut: L2,
+      T1,
+      T2,
+      ts,
+      st,
+      cs,
+      arcLength: arcAngle * R,
+      center: { x: pi.x + c.x, y: pi.y + c.y },
+    }
+  })
+
+  for (let i = 0; i < list.length - 1; i++) {
+    const dist = Math.hypot(list[i + 1].x - list[i].x, list[i + 1].y - list[i].y)
+    if (curves[i].T2 + curves[i + 1].T1 > dist + 1e-6) {
+      result.warnings.push(`Curves at PI ${i + 1} and PI ${i + 2} overlap`)
+    }
+  }
+
+  const points = [{ id: `${list[0].id}`, x: list[0].x, y: list[0].y }]
+  curves.slice(1, -1).forEach((curve) => {
+    const pi = list[curve.index]
+    if (!curve.ts) {
+      points.push({ id: `${pi.id}`, x: pi.x, y: pi.y, type: 'line' })
+      return
+    }
+    points.push({ id: `${pi.id}-ts`, x: curve.ts.x, y: curve.ts.y, type: 'line' })
+    if (curve.spiralIn) {
+      points.push({ id: `${pi.id}-sc`, type: 'clothoid', startRadius: '', radius: curve.radius, length: curve.spiralIn })
+    }
+    if (curve.arcLength > 1e-9) {
+      points.push({ id: `${pi.id}-cs`, x: curve.cs.x, y: curve.cs.y, type: 'arc', radius: curve.radius, largeArc: false })
+    }
+    if (curve.spiralOut) {
+      points.push({ id: `${pi.id}-st`, type: 'clothoid', startRadius: curve.radius, radius: '', length: curve.spiralOut })
+    }
+  })
+  const last = list[list.length - 1]
+  points.push({ id: `${last.id}`, x: last.x, y: last.y, type: 'line' })
+
+  result.points = points
+  result.elements = curves.slice(1, -1)
+  return result
 }
 
 export function getPositionAtLength(axisData, len) {
   if (!axisData || axisData.length === 0) return { x: 0, y: 0 }
   let remaining = len
   for (let seg of axisData) {
-    if (seg.type === 'line') {
-      const dx = seg.end.x - seg.start.x
-      const dy = seg.end.y - seg.start.y
-      const L = Math.hypot(dx, dy)
-      if (remaining <= L) {
-        const t = L === 0 ? 0 : remaining / L
-        return { x: seg.start.x + dx * t, y: seg.start.y + dy * t }
-      }
-      remaining -= L
-    } else if (seg.type === 'arc' && seg.radius) {
-      const center = calculateArcCenter(seg.start, seg.end, seg.radius)
-      if (!center) continue
-      const R = Math.abs(seg.radius)
-      let startA = Math.atan2(seg.start.y - center.y, seg.start.x - center.x)
-      let endA = Math.atan2(seg.end.y - center.y, seg.end.x - center.x)
-      let angleDiff = endA - startA
-      if (seg.radius > 0 && angleDiff < 0) angleDiff += 2 * Math.PI
-      if (seg.radius < 0 && angleDiff > 0) angleDiff -= 2 * Math.PI
-      const arcLen = Math.abs(angleDiff) * R
-      if (remaining <= arcLen) {
-        const t = arcLen === 0 ? 0 : remaining / arcLen
-        const ang = startA + angleDiff * t
-        return { x: center.x + R * Math.cos(ang), y: center.y + R * Math.sin(ang) }
-      }
-      remaining -= arcLen
-    }
+    const L = getSegmentLength(seg)
+    if (remaining <= L) return getSegmentPointAt(seg, remaining)
+    remaining -= L
   }
   const last = axisData[axisData.length - 1]
   return { x: last?.end?.x || 0, y: last?.end?.y || 0 }
 }
 
+// Plan heading of the axis at a length (the incoming heading at segment joints)
+export function getHeadingAtLength(axisData, len) {
+  if (!axisData || axisData.length === 0) return 0
+  let remaining = Math.max(0, len)
+  for (let seg of axisData) {
+    const L = getSegmentLength(seg)
+    if (remaining <= L) return getSegmentHeadingAt(seg, remaining)
+    remaining -= L
+  }
+  return getSegmentEndHeading(axisData[axisData.length - 1])
+}
 
-function computeAxisTotalLength(axisData = []) {
-  return (axisData || []).reduce((sum, seg) => {
-    if (seg.type === 'line') {
-      const dx = seg.end.x - seg.start.x
-      const dy = seg.end.y - seg.start.y
-      return sum + Math.hypot(dx, dy)
-    }
-    if (seg.type === 'arc' && seg.radius) {
-      const dx = seg.end.x - seg.start.x
-      const dy = seg.end.y - seg.start.y
-      const chord = Math.hypot(dx, dy)
-      if (chord === 0) return sum
-      const angle = 2 * Math.asin(Math.min(1, chord / (2 * Math.abs(seg.radius))))
-      return sum + Math.abs(seg.radius) * angle
-    }
-    return sum
-  }, 0)
+// Signed plan curvature at a distance along one segment (positive = turning left)
+export function getSegmentCurvatureAt(seg, s) {
+  if (!seg) return 0
+  if (seg.type === 'clothoid') {
+    const L = seg.length || 0
+    const t = L ? Math.max(0, Math.min(1, s / L)) : 0
+    return (seg.startCurvature || 0) + ((seg.endCurvature || 0) - (seg.startCurvature || 0)) * t
+  }
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  return arc ? Math.sign(arc.sweep) / arc.R : 0
 }
 
-function getHeightAtLength(heightAssignments = [], len = 0) {
-  if (!Array.isArray(heightAssignments) || heightAssignments.length === 0) return 0
-  const sorted = [...heightAssignments].sort((a, b) => a.length - b.length)
-  let chosen = sorted[0]
-  let current = null;
-  for (let i = 1; i < sorted.length; i++) {
-    if (sorted[i].length <= len + 1e-6) {
-      chosen = sorted[i]
+export function getCurvatureAtLength(axisData, len) {
+  if (!axisData || axisData.length === 0) return 0
+  let remaining = Math.max(0, len)
+  for (let seg of axisData) {
+    const L = getSegmentLength(seg)
+    if (remaining <= L) return getSegmentCurvatureAt(seg, remaining)
+    remaining -= L
+  }
+  const last = axisData[axisData.length - 1]
+  return getSegmentCurvatureAt(last, getSegmentLength(last))
+}
+
+export function computeAxisTotalLength(axisData = []) {
+  return (axisData || []).reduce((sum, seg) => sum + getSegmentLength(seg), 0)
+}
+
+// Closest point on a single segment to pt: distance s along the segment and the foot point
+function projectPointOnSegment(seg, pt) {
+  const L = getSegmentLength(seg)
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+
+  if (arc) {
+    const ang = Math.atan2(pt.y - arc.center.y, pt.x - arc.center.x)
+    // Angle from the arc start in the direction of travel, in [0, 2π)
+    let rel = (ang - arc.startAngle) * Math.sign(arc.sweep)
+    rel = ((rel % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+    const span = Math.abs(arc.sweep)
+    let s
+    if (rel <= span) {
+      s = rel * arc.R
     } else {
-      current = sorted[i]
-      break
+      // Outside the sweep: snap to the nearer end
+      const toStart = Math.hypot(pt.x - seg.start.x, pt.y - seg.start.y)
+      const toEnd = Math.hypot(pt.x - seg.end.x, pt.y - seg.end.y)
+      s = toStart <= toEnd ? 0 : L
     }
+    return { s, point: getSegmentPointAt(seg, s) }
   }
-  
-  if (chosen.length >= len || current === null) {
-    return Number(chosen?.height) || 0
+
+  if (seg.type === 'clothoid') {
+    // Coarse search then golden-section refinement
+    const steps = Math.max(8, Math.min(2000, Math.ceil(L)))
+    const distAt = (s) => {
+      const p = clothoidPointAt(seg, s)
+      return Math.hypot(pt.x - p.x, pt.y - p.y)
+    }
+    let bestI = 0
+    let bestD = Infinity
+    for (let i = 0; i <= steps; i++) {
+      const d = distAt((L * i) / steps)
+      if (d < bestD) {
+        bestD = d
+        bestI = i
+      }
+    }
+    let a = (L * Math.max(0, bestI - 1)) / steps
+    let b = (L * Math.min(steps, bestI + 1)) / steps
+    const g = (Math.sqrt(5) - 1) / 2
+    for (let k = 0; k < 60 && b - a > 1e-9; k++) {
+      const c = b - g * (b - a)
+      const d = a + g * (b - a)
+      if (distAt(c) < distAt(d)) b = d
+      else a = c
+    }
+    const s = (a + b) / 2
+    return { s, point: clothoidPointAt(seg, s) }
   }
 
-  return (len - chosen.length) / (current.length - chosen.length) * (current.height - chosen.height) + chosen.height;
+  const dx = seg.end.x - seg.start.x
+  const dy = seg.end.y - seg.start.y
+  const lenSq = dx * dx + dy * dy
+  const t = lenSq ? Math.max(0, Math.min(1, ((pt.x - seg.start.x) * dx + (pt.y - seg.start.y) * dy) / lenSq)) : 0
+  return { s: t * L, point: { x: seg.start.x + dx * t, y: seg.start.y + dy * t } }
+}
+
+/**
+ * Projects a plan point {x, y} (optionally with elevation z) onto the axis.
+ * Returns the true length of the nearest axis point, the foot point, the signed
+ * lateral offset (positive = left of the direction of travel), the axis heading
+ * there and, when z is given, the vertical offset above the 3D axis.
+ */
+export function projectPointOnAxis(axisData, heightAssignments, point) {
+  if (!axisData || axisData.length === 0 || !point) return null
+  const pt = { x: Number(point.x) || 0, y: Number(point.y) || 0 }
+
+  let best = null
+  let cum = 0
+  axisData.forEach((seg, index) => {
+    const { s, point: foot } = projectPointOnSegment(seg, pt)
+    const distance = Math.hypot(pt.x - foot.x, pt.y - foot.y)
+    if (!best || distance < best.distance - 1e-9) {
+      best = { length: cum + s, foot, distance, segmentIndex: index, heading: getSegmentHeadingAt(seg, s) }
+    }
+    cum += getSegmentLength(seg)
+  })
+
+  const tx = Math.cos(best.heading)
+  const ty = Math.sin(best.heading)
+  const cross = tx * (pt.y - best.foot.y) - ty * (pt.x - best.foot.x)
+  const axisHeight = getHeightAtLength(heightAssignments, best.length)
+  const hasZ = point.z !== undefined && point.z !== null && point.z !== '' && Number.isFinite(Number(point.z))
+
+  return {
+    ...best,
+    offset: cross >= 0 ? best.distance : -best.distance,
+    axisHeight,
+    verticalOffset: hasZ ? Number(point.z) - axisHeight : null,
+  }
 }
 
 export function getAxis3DPointsAtLength(axisData, heightAssignments, length) {
@@ -181,8 +544,8 @@ export function buildPerpendicularAxes(p1, p2) {
   const dir = normalizeVec3({ x: p2.x - p1.x, y: p2.y - p1.y, z: p2.z - p1.z })
   const globalX = { x: 1, y: 0, z: 0 }
 
-  const projLen = dot(globalX, dir)
-  if (projLen < 1e-6) {
+  // Only a (near) vertical direction has no horizontal perpendicular
+  if (Math.hypot(dir.x, dir.z) < 1e-6) {
     let xAxis = globalX;
     let yAxis = normalizeVec3(cross(dir, globalX));
     if (yAxis.y < 0) {
@@ -206,13 +569,167 @@ export function buildPerpendicularAxes(p1, p2) {
   return { xAxis, yAxis, direction: dir }
 }
 
+// Section frame modes: 'chord' builds each frame from the chord to the next sample,
+// 'vertical' keeps the section plane perpendicular to the horizontal alignment and
+// 'rmf' carries a rotation-minimising frame along the whole 3D axis.
+export const FRAME_MODES = ['chord', 'vertical', 'rmf']
+
+// Unit 3D tangent of the axis (plan heading plus longitudinal grade)
+function getAxisTangent3D(axisData, heightAssignments, length) {
+  const h = getHeadingAtLength(axisData, length)
+  return normalizeVec3({ x: Math.cos(h), y: getGradeAtLength(heightAssignments, length), z: Math.sin(h) })
+}
+
+// Vertical section plane: x to the right of the plan direction, y straight up
+function verticalPlaneFrame(axisData, length) {
+  const h = getHeadingAtLength(axisData, length)
+  return {
+    xAxis: { x: Math.sin(h), y: 0, z: -Math.cos(h) },
+    yAxis: { x: 0, y: 1, z: 0 },
+    direction: { x: Math.cos(h), y: 0, z: Math.sin(h) },
+  }
+}
+
+// One double-reflection step: carries the frame {pos, t, r} (axis point, tangent and
+// x axis) at the previous length on to `len`; without a previous frame it starts level
+function transportFrame(axisData, heightAssignments, prev, len) {
+  const pos = getAxis3DPointsAtLength(axisData, heightAssignments, len)
+  const t = getAxisTangent3D(axisData, heightAssignments, len)
+  let r
+  if (!prev) {
+    r = verticalPlaneFrame(axisData, len).xAxis
+  } else {
+    const v1 = { x: pos.x - prev.pos.x, y: pos.y - prev.pos.y, z: pos.z - prev.pos.z }
+    const c1 = dot(v1, v1)
+    let rL = prev.r
+    let tL = prev.t
+    if (c1 > 1e-12) {
+      const kr = (2 / c1) * dot(v1, prev.r)
+      const kt = (2 / c1) * dot(v1, prev.t)
+      rL = { x: prev.r.x - kr * v1.x, y: prev.r.y - kr * v1.y, z: prev.r.z - kr * v1.z }
+      tL = { x: prev.t.x - kt * v1.x, y: prev.t.y - kt * v1.y, z: prev.t.z - kt * v1.z }
+    }
+    const v2 = { x: t.x - tL.x, y: t.y - tL.y, z: t.z - tL.z }
+    const c2 = dot(v2, v2)
+    r = rL
+    if (c2 > 1e-12) {
+      const k = (2 / c2) * dot(v2, rL)
+      r = { x: rL.x - k * v2.x, y: rL.y - k * v2.y, z: rL.z - k * v2.z }
+    }
+  }
+  // Keep r exactly in the normal plane against numerical drift
+  const d = dot(r, t)
+  r = normalizeVec3({ x: r.x - d * t.x, y: r.y - d * t.y, z: r.z - d * t.z })
+  return { pos, t, r }
+}
+
+const toFrame = ({ t, r }) => ({ xAxis: r, yAxis: normalizeVec3(cross(t, r)), direction: t })
+
+/**
+ * Rotation-minimising frames at the given (ascending) lengths, by the double
+ * reflection method. The first frame starts level (x horizontal, to the right) and
+ * the following ones are transported along the 3D axis without twisting.
+ * Returns a Map from length to {xAxis, yAxis, direction}.
+ */
+export function buildRotationMinimisingFrames(axisData, heightAssignments, lengths = []) {
+  const frames = new Map()
+  let prev = null
+  lengths.forEach((len) => {
+    prev = transportFrame(axisData, heightAssignments, prev, len)
+    frames.set(len, toFrame(prev))
+  })
+  return frames
+}
+
+/**
+ * Frames to pass as options.frames to getSectionFrameAtLength (and the section
+ * functions using it): the RMF frames at the axis samples, built once per axis,
+ * heights and frame mode. Null for the other modes, which need none.
+ */
+export function buildSectionFrameMap(axisData, heightAssignments, options = {}) {
+  if (options.frameMode !== 'rmf' || !axisData?.length) return null
+  const lengths = collectSampleLengths(axisData, heightAssignments, [], { axisArcStep: options.axisArcStep || 1 })
+  return buildRotationMinimisingFrames(axisData, heightAssignments, lengths)
+}
+
+// Sorted lengths of a frame map, for finding the sample before a station
+const frameLengthsCache = new WeakMap()
+
+function findFrameBefore(frames, length) {
+  if (!frameLengthsCache.has(frames)) frameLengthsCache.set(frames, [...frames.keys()].sort((a, b) => a - b))
+  const lengths = frameLengthsCache.get(frames)
+  let lo = 0
+  let hi = lengths.length - 1
+  let found = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (lengths[mid] < length) {
+      found = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return found === -1 ? null : lengths[found]
+}
+
+// Section frame at a length for the 'vertical' and 'rmf' modes. RMF frames come
+// from options.frames (see buildSectionFrameMap): a station between samples is
+// carried on from the sample before it. Without them the frames are transported
+// from the start of the axis, which gets slow on long axes.
+export function getSectionFrameAtLength(axisData, heightAssignments, length, options = {}) {
+  if (options.frameMode === 'rmf') {
+    const cached = options.frames?.get(length)
+    if (cached) return cached
+    const before = options.frames ? findFrameBefore(options.frames, length) : null
+    if (before !== null) {
+      const { xAxis, direction } = options.frames.get(before)
+      const prev = { pos: getAxis3DPointsAtLength(axisData, heightAssignments, before), t: direction, r: xAxis }
+      return toFrame(transportFrame(axisData, heightAssignments, prev, length))
+    }
+    const lengths = collectSampleLengths(axisData, heightAssignments, [], { axisArcStep: options.axisArcStep || 1 })
+      .filter(l => l < length)
+    lengths.push(length)
+    return buildRotationMinimisingFrames(axisData, heightAssignments, lengths).get(length)
+  }
+  return verticalPlaneFrame(axisData, length)
+}
+
+// Rolls a section frame about its direction (positive = the profile's +x side goes up)
+export function rollFrame(frame, angle = 0) {
+  if (!angle) return frame
+  const { xAxis, yAxis } = frame
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return {
+    ...frame,
+    xAxis: {
+      x: xAxis.x * cos + yAxis.x * sin,
+      y: xAxis.y * cos + yAxis.y * sin,
+      z: xAxis.z * cos + yAxis.z * sin,
+    },
+    yAxis: {
+      x: yAxis.x * cos - xAxis.x * sin,
+      y: yAxis.y * cos - xAxis.y * sin,
+      z: yAxis.z * cos - xAxis.z * sin,
+    },
+  }
+}
+
 export function sampleProfilePoints(profile, options = {}) {
+  return sampleProfileOutline(profile, options).points
+}
+
+// Sampled outline plus the sample index of every segment start/end (vertex i is
+// the start of segment i), so profile points can be located on the samples.
+function sampleProfileOutline(profile, options = {}) {
   const segments = profile?.segments || []
-  if (!segments.length) return []
+  if (!segments.length) return { points: [], vertexIndex: [] }
 
   const maxChord = options.maxChord || 5
   const minArcSteps = options.minArcSteps || 4
   const pts = []
+  const vertexIndex = [0]
 
   segments.forEach((seg, idx) => {
     if (idx === 0) {
@@ -221,31 +738,25 @@ export function sampleProfilePoints(profile, options = {}) {
 
     if (seg.type === 'line' || !seg.radius) {
       pts.push({ x: seg.end.x, y: seg.end.y })
+      vertexIndex.push(pts.length - 1)
       return
     }
 
-    const center = calculateArcCenter(seg.start, seg.end, seg.radius)
-    if (!center) {
+    const arc = getArcGeometry(seg)
+    if (!arc) {
       pts.push({ x: seg.end.x, y: seg.end.y })
+      vertexIndex.push(pts.length - 1)
       return
     }
 
-    const R = Math.abs(seg.radius)
-    let startA = Math.atan2(seg.start.y - center.y, seg.start.x - center.x)
-    let endA = Math.atan2(seg.end.y - center.y, seg.end.x - center.x)
-    let angleDiff = endA - startA
-
-    if (seg.radius > 0 && angleDiff < 0) angleDiff += 2 * Math.PI
-    if (seg.radius < 0 && angleDiff > 0) angleDiff -= 2 * Math.PI
-
-    const arcLength = Math.abs(angleDiff) * R
-    const steps = Math.max(minArcSteps, Math.ceil(arcLength / Math.max(0.1, maxChord)))
+    const steps = Math.max(minArcSteps, Math.ceil(arc.length / Math.max(0.1, maxChord)))
 
     for (let i = 1; i <= steps; i++) {
       const t = i / steps
-      const ang = startA + angleDiff * t
-      pts.push({ x: center.x + R * Math.cos(ang), y: center.y + R * Math.sin(ang) })
+      const ang = arc.startAngle + arc.sweep * t
+      pts.push({ x: arc.center.x + arc.R * Math.cos(ang), y: arc.center.y + arc.R * Math.sin(ang) })
     }
+    vertexIndex.push(pts.length - 1)
   })
 
   if (pts.length > 1) {
@@ -255,7 +766,7 @@ export function sampleProfilePoints(profile, options = {}) {
     if (gap > 1e-6) pts.push({ ...first })
   }
 
-  return pts
+  return { points: pts, vertexIndex }
 }
 
 function raySegmentIntersection(origin, dir, a, b) {
@@ -356,11 +867,164 @@ export function mergeProfilesByAngle(profile1, profile2, options = {}) {
   return merged
 }
 
+// How points of two profiles are paired for a transition: 'angle' casts rays from
+// the centroids (only valid for star-shaped profiles), 'arcLength' walks both
+// outlines by normalised arc length between named anchor points.
+export const MORPH_METHODS = ['angle', 'arcLength']
+
+// Closed counterclockwise outline parameterised by arc length, with the arc-length
+// positions of the profile points that carry an anchor name
+function buildArcLengthOutline(profile, options = {}) {
+  const { points, vertexIndex } = sampleProfileOutline(profile, options)
+  if (points.length < 3) return null
+  const pts = [...points]
+  if (Math.hypot(pts[0].x - pts[pts.length - 1].x, pts[0].y - pts[pts.length - 1].y) > 1e-9) pts.push({ ...pts[0] })
+
+  let area = 0
+  for (let i = 0; i < pts.length - 1; i++) area += pts[i].x * pts[i + 1].y - pts[i + 1].x * pts[i].y
+  const cum = [0]
+  for (let i = 1; i < pts.length; i++) cum.push(cum[i - 1] + Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y))
+  const total = cum[cum.length - 1]
+  if (total < 1e-9) return null
+
+  const wrap = (v) => {
+    const w = ((v % total) + total) % total
+    return total - w < 1e-9 ? 0 : w
+  }
+  const anchors = []
+  ;(profile.points || []).forEach((pt, i) => {
+    const name = typeof pt.anchor === 'string' ? pt.anchor.trim() : ''
+    if (!name || vertexIndex[i] === undefined || anchors.some(a => a.name === name)) return
+    anchors.push({ name, s: cum[vertexIndex[i]] })
+  })
+
+  if (area >= 0) return { pts, cum, total, anchors: anchors.map(a => ({ ...a, s: wrap(a.s) })) }
+  // Clockwise outline: walk it backwards
+  return {
+    pts: [...pts].reverse(),
+    cum: cum.map(c => total - c).reverse(),
+    total,
+    anchors: anchors.map(a => ({ ...a, s: wrap(total - a.s) })),
+  }
+}
+
+function pointAtArcLength(outline, s) {
+  const { pts, cum, total } = outline
+  const v = ((s % total) + total) % total
+  let lo = 0
+  let hi = cum.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (cum[mid] <= v) lo = mid
+    else hi = mid
+  }
+  const span = cum[hi] - cum[lo]
+  const t = span > 0 ? (v - cum[lo]) / span : 0
+  return { x: pts[lo].x + (pts[hi].x - pts[lo].x) * t, y: pts[lo].y + (pts[hi].y - pts[lo].y) * t }
+}
+
+// Arc length of the lowest point (the invert centre of most tunnel profiles)
+function lowestPointArcLength(outline) {
+  const cx = outline.pts.reduce((sum, p) => sum + p.x, 0) / outline.pts.length
+  let best = 0
+  outline.pts.forEach((p, i) => {
+    const b = outline.pts[best]
+    if (p.y < b.y - 1e-6 || (Math.abs(p.y - b.y) <= 1e-6 && Math.abs(p.x - cx) < Math.abs(b.x - cx))) best = i
+  })
+  return outline.cum[best]
+}
+
+/**
+ * Pairs the outlines of two closed profiles by normalised arc length. Anchor names
+ * present on both profiles (in the same order around the outline) are matched
+ * exactly and the outline is split at them; without common anchors both outlines
+ * start at their lowest point. Every sample of either profile gets a partner, so
+ * both shapes are reproduced exactly at the ends of the transition.
+ * Returns [{point1, point2}] around the outline, closed like sampleProfilePoints.
+ */
+export function mergeProfilesByArcLength(profile1, profile2, options = {}) {
+  const o1 = buildArcLengthOutline(profile1, options)
+  const o2 = buildArcLengthOutline(profile2, options)
+  if (!o1 || !o2) return []
+
+  // Common anchors in a consistent cyclic order
+  const common = []
+  o1.anchors.slice().sort((a, b) => a.s - b.s).forEach((a1) => {
+    const a2 = o2.anchors.find(a => a.name === a1.name)
+    if (!a2) return
+    if (common.length) {
+      const rel = (s) => (s - common[0].s2 + o2.total) % o2.total
+      if (rel(a2.s) <= rel(common[common.length - 1].s2)) return
+    }
+    common.push({ s1: a1.s, s2: a2.s })
+  })
+  if (!common.length) common.push({ s1: lowestPointArcLength(o1), s2: lowestPointArcLength(o2) })
+
+  const merged = []
+  common.forEach((from, j) => {
+    const to = common[(j + 1) % common.length]
+    const len1 = common.length === 1 ? o1.total : (to.s1 - from.s1 + o1.total) % o1.total
+    const len2 = common.length === 1 ? o2.total : (to.s2 - from.s2 + o2.total) % o2.total
+    const params = new Set([0])
+    const collect = (outline, start, len) => {
+      if (len <= 0) return
+      outline.cum.forEach((c) => {
+        const t = ((c - start + outline.total) % outline.total) / len
+        if (t > 1e-9 && t < 1 - 1e-9) params.add(Number(t.toFixed(9)))
+      })
+    }
+    collect(o1, from.s1, len1)
+    collect(o2, from.s2, len2)
+    Array.from(params).sort((a, b) => a - b).forEach((t) => {
+      merged.push({ point1: pointAtArcLength(o1, from.s1 + t * len1), point2: pointAtArcLength(o2, from.s2 + t * len2) })
+    })
+  })
+  merged.push({ point1: { ...merged[0].point1 }, point2: { ...merged[0].point2 } })
+  return merged
+}
+
+function segmentsCross(a, b, c, d) {
+  const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x)
+  const d1 = orient(c, d, a)
+  const d2 = orient(c, d, b)
+  const d3 = orient(a, b, c)
+  const d4 = orient(a, b, d)
+  return ((d1 > 1e-12 && d2 < -1e-12) || (d1 < -1e-12 && d2 > 1e-12)) &&
+    ((d3 > 1e-12 && d4 < -1e-12) || (d3 < -1e-12 && d4 > 1e-12))
+}
+
+// True if any two non-adjacent edges of the closed polygon cross
+export function polygonSelfIntersects(points = []) {
+  const pts = points.length > 1 && points[0].x === points[points.length - 1].x && points[0].y === points[points.length - 1].y
+    ? points.slice(0, -1)
+    : points
+  const n = pts.length
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue
+      if (segmentsCross(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) return true
+    }
+  }
+  return false
+}
+
+// Blend factors at which the transition between two profiles self-intersects
+export function findTransitionSelfIntersections(profile1, profile2, options = {}, factors = [0.25, 0.5, 0.75]) {
+  const merged = options.morph === 'arcLength' ? mergeProfilesByArcLength(profile1, profile2, options) : mergeProfilesByAngle(profile1, profile2, options)
+  if (!merged.length) return []
+  return factors.filter(t => polygonSelfIntersects(merged.map(({ point1, point2 }) => ({
+    x: point1.x * (1 - t) + point2.x * t,
+    y: point1.y * (1 - t) + point2.y * t,
+  }))))
+}
+
 function findProfile(profiles = [], id) {
   return (profiles || []).find(p => p.id === id) || null
 }
 
-export function interpolateProfileAtLength(length, profileAssignments, profiles, options = {}, isStart = true) {
+// Assignments on either side of a length and the blend factor between them. At an
+// assignment, isStart picks the range that starts there rather than the one ending there.
+export function findProfileBracket(length, profileAssignments, isStart = true) {
   if (!Array.isArray(profileAssignments) || profileAssignments.length === 0) return null
 
   const sorted = [...profileAssignments].sort((a, b) => a.length - b.length)
@@ -371,12 +1035,17 @@ export function interpolateProfileAtLength(length, profileAssignments, profiles,
   let prev = sorted[0]
   let next = sorted[sorted.length - 1]
   for (let i = 0; i < sorted.length - 1; i++) {
-    if (sorted[i].length <= length && length <= sorted[i + 1].length) {
+    // Exactly at an assignment the range starting there wins
+    const inside = isStart ? length < sorted[i + 1].length : length <= sorted[i + 1].length
+    if (sorted[i].length <= length && inside) {
       prev = sorted[i]
       next = sorted[i + 1]
       break
     }
   }
+  if (isStart && length >= sorted[sorted.length - 1].length) {
+    prev = next = sorted[sorted.length - 1]
+  }
 
   if (length < sorted[0].length - 1e-9) {
     prev = next = sorted[0]
@@ -384,17 +1053,55 @@ export function interpolateProfileAtLength(length, profileAssignments, profiles,
   if (length > sorted[sorted.length - 1].length + 1e-9) {
     prev = next = sorted[sorted.length - 1]
   }
-  
+
+  // The assignment's interpolation mode shapes the blend factor
+  const t = prev.length === next.length ? 0 : getTransitionFactor(prev, length - prev.length, next.length - prev.length)
+  return { prev, next, t }
+}
+
+// Cache for interpolateProfileAtLength (options.mergeCache): keeps sampled outlines
+// and point pairs per profile pair and layer. Only valid while the profiles and the
+// sampling options stay the same, so make a new one for every build.
+export function createProfileMergeCache() {
+  return new Map()
+}
+
+// options.layer picks a named profile layer; profiles without it yield no section.
+// options.morph picks how points are paired in transitions (see MORPH_METHODS).
+export function interpolateProfileAtLength(length, profileAssignments, profiles, options = {}, isStart = true) {
+  const bracket = findProfileBracket(length, profileAssignments, isStart)
+  if (!bracket) return null
+  const { prev, next, t } = bracket
+  const cache = options.mergeCache
+  const single = prev.length === next.length || prev.profileId === next.profileId
+  const key = `${options.layer || ''}|${prev.profileId}|${single ? '' : next.profileId}`
+  if (cache?.has(key)) {
+    const cached = cache.get(key)
+    if (!cached || single) return cached
+    return blendMergedPoints(cached, t)
+  }
+  if (options.layer) profiles = selectProfileLayer(profiles, options.layer)
+
   const p1 = findProfile(profiles, prev.profileId)
   const p2 = findProfile(profiles, next.profileId)
-  if (!p1 || !p2) return null
-  
-  if (prev.length === next.length || prev.profileId === next.profileId) return sampleProfilePoints(p1, options)
+  if (!p1 || !p2) {
+    cache?.set(key, null)
+    return null
+  }
+
+  if (single) {
+    const points = sampleProfilePoints(p1, options)
+    cache?.set(key, points)
+    return points
+  }
 
-  const t = Math.max(0, Math.min(1, (length - prev.length) / (next.length - prev.length)))
-  const merged = mergeProfilesByAngle(p1, p2, options)
+  const merged = options.morph === 'arcLength' ? mergeProfilesByArcLength(p1, p2, options) : mergeProfilesByAngle(p1, p2, options)
+  cache?.set(key, merged.length ? merged : null)
   if (!merged.length) return null
+  return blendMergedPoints(merged, t)
+}
 
+function blendMergedPoints(merged, t) {
   return merged.map(({ point1, point2 }) => ({
     x: point1.x * (1 - t) + point2.x * t,
     y: point1.y * (1 - t) + point2.y * t,
@@ -414,22 +1121,46 @@ export function buildProfileSection3DRange(axisData, heightAssignments, profileA
   }
   if (profileA.length !== profileB.length) return null
 
-  const frame = buildPerpendicularAxes(centerA, centerB)
-  const frame1 = centerC ? buildPerpendicularAxes(centerB, centerC) : null
+  // Superelevation rolls each frame about the pivot (profile coordinates)
+  const superelevation = normalizeSuperelevation(options.superelevation)
+  const { pivot } = superelevation
+  const rollA = getRollAngleAtLength(superelevation, lengthA)
+  const rollB = getRollAngleAtLength(superelevation, lengthB)
+
+  let baseFrame
+  let baseFrame1
+  if (options.frameMode === 'vertical' || options.frameMode === 'rmf') {
+    baseFrame = getSectionFrameAtLength(axisData, heightAssignments, lengthA, options)
+    baseFrame1 = getSectionFrameAtLength(axisData, heightAssignments, lengthB, options)
+  } else {
+    baseFrame = buildPerpendicularAxes(centerA, centerB)
+    baseFrame1 = centerC ? buildPerpendicularAxes(centerB, centerC) : baseFrame
+  }
+  const frame = rollFrame(baseFrame, rollA)
+  const frame1 = rollFrame(baseFrame1, rollB)
 
-  const projectProfile = (center, pts, frame) => {
+  const projectProfile = (center, pts, baseFrame, frame) => {
     const { xAxis, yAxis } = frame
-    return pts.map((pt) => ({
-      x: center.x + xAxis.x * pt.x + yAxis.x * pt.y,
-      y: center.y + xAxis.y * pt.x + yAxis.y * pt.y,
-      z: center.z + xAxis.z * pt.x + yAxis.z * pt.y,
-    }))
+    const origin = {
+      x: center.x + baseFrame.xAxis.x * pivot.x + baseFrame.yAxis.x * pivot.y,
+      y: center.y + baseFrame.xAxis.y * pivot.x + baseFrame.yAxis.y * pivot.y,
+      z: center.z + baseFrame.xAxis.z * pivot.x + baseFrame.yAxis.z * pivot.y,
+    }
+    return pts.map((pt) => {
+      const px = pt.x - pivot.x
+      const py = pt.y - pivot.y
+      return {
+        x: origin.x + xAxis.x * px + yAxis.x * py,
+        y: origin.y + xAxis.y * px + yAxis.y * py,
+        z: origin.z + xAxis.z * px + yAxis.z * py,
+      }
+    })
   }
 
   return {
-    frame: { ...frame, centerA, centerB },
-    profile1Points: projectProfile(centerA, profileA, frame),
-    profile2Points: projectProfile(centerB, profileB, frame1 ? frame1 : frame),
+    frame: { ...frame, centerA, centerB, rollA, rollB },
+    profile1Points: projectProfile(centerA, profileA, baseFrame, frame),
+    profile2Points: projectProfile(centerB, profileB, baseFrame1, frame1),
   }
 }
 
@@ -442,34 +1173,21 @@ export function collectSampleLengths(axisData, heightAssignments, profileAssignm
   const axisArr = Array.isArray(axisData) ? axisData : []
   axisArr.forEach((seg) => {
     lengths.add(Number(cum.toFixed(6)))
-    if (seg.type === 'line') {
-      const dx = seg.end.x - seg.start.x
-      const dy = seg.end.y - seg.start.y
-      const L = Math.hypot(dx, dy)
-      cum += L
-      lengths.add(Number(cum.toFixed(6)))
-    } else if (seg.type === 'arc' && seg.radius) {
-      const center = calculateArcCenter(seg.start, seg.end, seg.radius)
-      if (!center) return
-      const R = Math.abs(seg.radius)
-      let startA = Math.atan2(seg.start.y - center.y, seg.start.x - center.x)
-      let endA = Math.atan2(seg.end.y - center.y, seg.end.x - center.x)
-      let angleDiff = endA - startA
-      if (seg.radius > 0 && angleDiff < 0) angleDiff += 2 * Math.PI
-      if (seg.radius < 0 && angleDiff > 0) angleDiff -= 2 * Math.PI
-      const arcLen = Math.abs(angleDiff) * R
-      const steps = Math.max(1, Math.ceil(arcLen / Math.max(1, axisArcStep)))
-      for (let i = 1; i < steps; i++) {
-        const frac = i / steps
-        lengths.add(Number((cum + arcLen * frac).toFixed(6)))
-      }
-      cum += arcLen
-      lengths.add(Number(cum.toFixed(6)))
+    const L = getSegmentLength(seg)
+    // Straight segments only need their end points; curves are subdivided
+    const curved = seg.type === 'clothoid' || (seg.type === 'arc' && getArcGeometry(seg))
+    const steps = curved ? Math.max(1, Math.ceil(L / Math.max(1, axisArcStep))) : 1
+    for (let i = 1; i < steps; i++) {
+      lengths.add(Number((cum + (L * i) / steps).toFixed(6)))
     }
+    cum += L
+    lengths.add(Number(cum.toFixed(6)))
   })
 
   ;(heightAssignments || []).forEach(h => lengths.add(Number((h.length || 0).toFixed(6))))
   ;(profileAssignments || []).forEach(p => lengths.add(Number((p.length || 0).toFixed(6))))
+  getTransitionSampleLengths(profileAssignments || []).forEach(len => lengths.add(Number(len.toFixed(6))))
+  ;(options.superelevation?.rows || []).forEach(r => lengths.add(Number((Number(r.length) || 0).toFixed(6))))
 
   const total = computeAxisTotalLength(axisData)
   lengths.add(0)
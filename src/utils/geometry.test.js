@@ -9,6 +9,27 @@ import {
   buildProfileSection3DRange,
   collectSampleLengths,
   compute2DCentroid,
+  buildAxisSegments,
+  computeClothoidLength,
+  clothoidPointAt,
+  getSegmentEndHeading,
+  getPositionAtLength,
+  buildPIAlignment,
+  getArcGeometry,
+  generateArcPath,
+  migrateArcPoints,
+  projectPointOnAxis,
+  getSegmentHeadingAt,
+  rollFrame,
+  buildRotationMinimisingFrames,
+  buildSectionFrameMap,
+  getSectionFrameAtLength,
+  getHeadingAtLength,
+  mergeProfilesByArcLength,
+  polygonSelfIntersects,
+  findTransitionSelfIntersections,
+  findProfileBracket,
+  createProfileMergeCache,
   __private__,
 } from './geometry'
 
@@ -328,6 +349,396 @@ describe('geometry helpers', () => {
     expect(res.length).toBeGreaterThan(6)
   })
 
+  it('computes clothoid length from A-parameter', () => {
+    expect(computeClothoidLength({ A: 100, startRadius: '', endRadius: 200 })).toBeCloseTo(50)
+    expect(computeClothoidLength({ length: 80, A: 100, endRadius: 200 })).toBe(80)
+    expect(computeClothoidLength({ A: 100, startRadius: 200, endRadius: 200 })).toBe(0)
+  })
+
+  it('evaluates a unit clothoid against Fresnel integrals', () => {
+    const seg = { type: 'clothoid', start: { x: 0, y: 0 }, startHeading: 0, length: 1, startCurvature: 0, endCurvature: 1 }
+    const end = clothoidPointAt(seg, 1)
+    // x = ∫cos(s²/2), y = ∫sin(s²/2) over [0, 1]
+    expect(end.x).toBeCloseTo(0.975288, 5)
+    expect(end.y).toBeCloseTo(0.163714, 5)
+    expect(getSegmentEndHeading(seg)).toBeCloseTo(0.5)
+  })
+
+  it('builds tangent-continuous clothoid segments from axis points', () => {
+    const points = [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 100, y: 0, type: 'line' },
+      { id: 3, type: 'clothoid', startRadius: '', radius: 200, length: 50 },
+      { id: 4, x: 0, y: 0, type: 'line' },
+    ]
+    const segs = buildAxisSegments(points)
+    expect(segs.map(s => s.type)).toEqual(['line', 'clothoid', 'line'])
+    expect(segs[1].start).toEqual({ x: 100, y: 0 })
+    expect(segs[1].startHeading).toBeCloseTo(0)
+    // Next segment starts at the computed clothoid end
+    expect(segs[2].start).toEqual(segs[1].end)
+    // Heading change of a clothoid from straight to R is L / 2R
+    expect(getSegmentEndHeading(segs[1])).toBeCloseTo(50 / 400)
+    expect(segs[1].end.x).toBeGreaterThan(145)
+    expect(segs[1].end.y).toBeGreaterThan(0)
+  })
+
+  it('measures and samples clothoids along the axis', () => {
+    const segs = buildAxisSegments([
+      { id: 1, x: 0, y: 0 },
+      { id: 2, type: 'clothoid', radius: -100, length: 40 },
+    ])
+    expect(__private__.computeAxisTotalLength(segs)).toBeCloseTo(40)
+    const mid = getPositionAtLength(segs, 20)
+    expect(mid).toEqual(clothoidPointAt(segs[0], 20))
+    // Negative end radius turns clockwise
+    expect(mid.y).toBeLessThan(0)
+    const lengths = collectSampleLengths(segs, [], [], { axisArcStep: 5 })
+    expect(lengths).toEqual([0, 5, 10, 15, 20, 25, 30, 35, 40])
+  })
+
+  it('fits a circular curve at a PI with tangent length R·tan(Δ/2)', () => {
+    const pis = [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 200, y: 0, radius: 100 },
+      { id: 3, x: 200, y: 200 },
+    ]
+    const { points, elements, warnings } = buildPIAlignment(pis)
+    expect(warnings).toEqual([])
+    expect(elements[0].T1).toBeCloseTo(100)
+    expect(elements[0].T2).toBeCloseTo(100)
+    expect(elements[0].radius).toBe(100)
+    expect(points.map(p => p.type || 'start')).toEqual(['start', 'line', 'arc', 'line'])
+    expect(points[1].x).toBeCloseTo(100)
+    expect(points[2].x).toBeCloseTo(200)
+    expect(points[2].y).toBeCloseTo(100)
+
+    const segs = buildAxisSegments(points)
+    expect(getSegmentEndHeading(segs[1])).toBeCloseTo(Math.PI / 2)
+    expect(__private__.computeAxisTotalLength(segs)).toBeCloseTo(100 + Math.PI * 50 + 100)
+  })
+
+  it('fits spiral-curve-spiral at a PI and stays tangent to both legs', () => {
+    const pis = [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 500, y: 0, radius: -300, spiralIn: 60, spiralOut: 40 },
+      { id: 3, x: 800, y: -400 },
+    ]
+    const { points, elements, warnings } = buildPIAlignment(pis)
+    expect(warnings).toEqual([])
+    expect(elements[0].deflection).toBeLessThan(0)
+    expect(points.map(p => p.type || 'start')).toEqual(['start', 'line', 'clothoid', 'arc', 'clothoid', 'line'])
+
+    const segs = buildAxisSegments(points)
+    const outDir = Math.atan2(-400, 300)
+    const spiralOut = segs[3]
+    expect(getSegmentEndHeading(segs[0])).toBeCloseTo(0)
+    expect(getSegmentEndHeading(segs[1])).toBeCloseTo(getSegmentEndHeading(segs[0]) - 60 / 600, 6)
+    expect(getSegmentEndHeading(spiralOut)).toBeCloseTo(outDir, 6)
+    // End of the exit spiral lies on the ahead tangent at distance T2 from the PI
+    expect(spiralOut.end.x).toBeCloseTo(500 + elements[0].T2 * 0.6, 4)
+    expect(spiralOut.end.y).toBeCloseTo(-elements[0].T2 * 0.8, 4)
+  })
+
+  it('warns when adjacent curves overlap', () => {
+    const pis = [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 100, y: 0, radius: 500 },
+      { id: 3, x: 100, y: 100, radius: 500 },
+      { id: 4, x: 200, y: 100 },
+    ]
+    expect(buildPIAlignment(pis).warnings.length).toBeGreaterThan(0)
+  })
+
+  it('resolves minor and major arcs consistently across length, position and drawing', () => {
+    const start = { x: 0, y: 0 }
+    const end = { x: 10, y: 0 }
+    const minor = { type: 'arc', start, end, radius: 10 }
+    const major = { type: 'arc', start, end, radius: 10, largeArc: true }
+
+    const minorSweep = 2 * Math.asin(0.5)
+    expect(getArcGeometry(minor).sweep).toBeCloseTo(minorSweep)
+    expect(getArcGeometry(major).sweep).toBeCloseTo(2 * Math.PI - minorSweep)
+
+    const majorLen = 10 * (2 * Math.PI - minorSweep)
+    expect(__private__.computeAxisTotalLength([major])).toBeCloseTo(majorLen)
+    expect(getPositionAtLength([major], majorLen).x).toBeCloseTo(10)
+    // Counterclockwise major arc from (0,0) to (10,0) bulges below the chord
+    expect(getPositionAtLength([major], majorLen / 2).y).toBeCloseTo(-10 - 10 * Math.cos(minorSweep / 2))
+
+    const lengths = collectSampleLengths([major], [], [], { axisArcStep: 1 })
+    expect(lengths[lengths.length - 1]).toBeCloseTo(majorLen, 5)
+
+    expect(generateArcPath(start, end, 10)).toContain('A 10 10 0 0 0')
+    expect(generateArcPath(start, end, 10, true)).toContain('A 10 10 0 1 0')
+    expect(generateArcPath(start, end, -10, true)).toContain('A 10 10 0 1 1')
+
+    const pts = sampleProfilePoints({ segments: [major] }, { maxChord: 1, minArcSteps: 4 })
+    expect(Math.min(...pts.map(p => p.y))).toBeLessThan(-15)
+  })
+
+  it('treats an arc whose radius is too small for its chord as the chord everywhere', () => {
+    const bad = { type: 'arc', start: { x: 0, y: 0 }, end: { x: 10, y: 0 }, radius: 2 }
+    expect(__private__.computeAxisTotalLength([bad])).toBeCloseTo(10)
+    expect(getPositionAtLength([bad], 5)).toEqual({ x: 5, y: 0 })
+  })
+
+  it('migrates stored arc points to an explicit minor arc', () => {
+    const migrated = migrateArcPoints([
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 5, y: 5, type: 'arc', radius: 5 },
+      { id: 3, x: 10, y: 0, type: 'arc', radius: 5, largeArc: true },
+    ])
+    expect(migrated[0]).toEqual({ id: 1, x: 0, y: 0 })
+    expect(migrated[1].largeArc).toBe(false)
+    expect(migrated[2].largeArc).toBe(true)
+    const segs = buildAxisSegments(migrated)
+    expect(segs[1].largeArc).toBe(true)
+  })
+
+  it('projects points onto lines and arcs with signed offsets', () => {
+    const axis = buildAxisSegments([
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 100, y: 0, type: 'line' },
+      { id: 3, x: 200, y: 100, type: 'arc', radius: 100 },
+    ])
+    const heights = [{ length: 0, height: 10 }, { length: 100, height: 20 }]
+
+    const onLine = projectPointOnAxis(axis, heights, { x: 40, y: -3, z: 18 })
+    expect(onLine.length).toBeCloseTo(40)
+    expect(onLine.offset).toBeCloseTo(-3)
+    expect(onLine.verticalOffset).toBeCloseTo(18 - 14)
+
+    // Arc centre is (100, 100); a point at the centre side is left of the axis
+    const p = { x: 100 + 90 * Math.sin(Math.PI / 6), y: 100 - 90 * Math.cos(Math.PI / 6) }
+    const onArc = projectPointOnAxis(axis, heights, p)
+    expect(onArc.segmentIndex).toBe(1)
+    expect(onArc.length).toBeCloseTo(100 + 100 * Math.PI / 6)
+    expect(onArc.offset).toBeCloseTo(10)
+    expect(onArc.verticalOffset).toBeNull()
+  })
+
+  it('projects points onto clothoids and round-trips with getPositionAtLength', () => {
+    const axis = buildAxisSegments([
+      { id: 1, x: 0, y: 0 },
+      { id: 2, type: 'clothoid', radius: 50, length: 60 },
+    ])
+    const base = getPositionAtLength(axis, 35)
+    const heading = getSegmentHeadingAt(axis[0], 35)
+    const pt = { x: base.x - 2 * Math.sin(heading), y: base.y + 2 * Math.cos(heading) }
+    const res = projectPointOnAxis(axis, [], pt)
+    expect(res.length).toBeCloseTo(35, 4)
+    expect(res.offset).toBeCloseTo(2, 4)
+  })
+
+  it('rolls section frames by the superelevation about the pivot', () => {
+    const axis = [{ type: 'line', start: { x: 0, y: 0 }, end: { x: 20, y: 0 } }]
+    const profile = {
+      id: 'P',
+      segments: [
+        { type: 'line', start: { x: -2, y: 0 }, end: { x: 2, y: 0 } },
+        { type: 'line', start: { x: 2, y: 0 }, end: { x: 2, y: 3 } },
+        { type: 'line', start: { x: 2, y: 3 }, end: { x: -2, y: 3 } },
+        { type: 'line', start: { x: -2, y: 3 }, end: { x: -2, y: 0 } },
+      ],
+    }
+    const assignments = [{ length: 0, profileId: 'P' }]
+    const superelevation = { pivot: { x: 0, y: 3 }, rows: [{ length: 0, crossfall: 0 }, { length: 10, crossfall: 10 }] }
+
+    const flat = buildProfileSection3DRange(axis, [], assignments, [profile], 10, 11, 12)
+    const rolled = buildProfileSection3DRange(axis, [], assignments, [profile], 10, 11, 12, { superelevation })
+    const angle = Math.atan(0.1)
+    expect(rolled.frame.rollA).toBeCloseTo(angle)
+
+    // Along +x the profile's +x (right) side lies at -z
+    flat.profile1Points.forEach((p, i) => {
+      const q = rolled.profile1Points[i]
+      const dx = -p.z
+      const dy = p.y - 3
+      expect(q.x).toBeCloseTo(p.x)
+      expect(q.z).toBeCloseTo(-(dx * Math.cos(angle) - dy * Math.sin(angle)))
+      expect(q.y).toBeCloseTo(3 + dx * Math.sin(angle) + dy * Math.cos(angle))
+    })
+
+    const frame = rollFrame(buildPerpendicularAxes({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), angle)
+    expect(frame.xAxis.y).toBeCloseTo(Math.sin(angle))
+    expect(frame.xAxis.x * frame.yAxis.x + frame.xAxis.y * frame.yAxis.y + frame.xAxis.z * frame.yAxis.z).toBeCloseTo(0)
+  })
+
+  it('builds chord frames perpendicular to westward directions', () => {
+    const dir = { x: -3, y: 1, z: 2 }
+    const { xAxis, yAxis } = buildPerpendicularAxes({ x: 0, y: 0, z: 0 }, dir)
+    expect(Math.abs(xAxis.x * dir.x + xAxis.y * dir.y + xAxis.z * dir.z)).toBeLessThan(1e-9)
+    expect(Math.abs(yAxis.x * dir.x + yAxis.y * dir.y + yAxis.z * dir.z)).toBeLessThan(1e-9)
+    expect(xAxis.y).toBeCloseTo(0)
+    expect(yAxis.y).toBeGreaterThan(0)
+  })
+
+  it('keeps vertical-plane sections upright on a graded axis', () => {
+    const axis = [{ type: 'line', start: { x: 0, y: 0 }, end: { x: 0, y: 100 } }]
+    const heights = [{ length: 0, height: 0 }, { length: 100, height: 30 }]
+    expect(getHeadingAtLength(axis, 50)).toBeCloseTo(Math.PI / 2)
+    const frame = getSectionFrameAtLength(axis, heights, 50, { frameMode: 'vertical' })
+    expect(frame.yAxis).toEqual({ x: 0, y: 1, z: 0 })
+    // Heading +y in plan: the right side is +x
+    expect(frame.xAxis.x).toBeCloseTo(1)
+    expect(frame.xAxis.z).toBeCloseTo(0)
+
+    const profile = { id: 'P', segments: [{ type: 'line', start: { x: -1, y: 2 }, end: { x: 1, y: -2 } }] }
+    const res = buildProfileSection3DRange(axis, heights, [{ length: 0, profileId: 'P' }], [profile], 50, 60, 70, { frameMode: 'vertical' })
+    res.profile1Points.forEach(p => expect(p.z).toBeCloseTo(50))
+  })
+
+  it('transports rotation-minimising frames without twist', () => {
+    const axis = buildAxisSegments([
+      { id: 1, x: 0, y: 0, type: 'line' },
+      { id: 2, x: 0, y: 50, type: 'line' },
+      { id: 3, x: 50, y: 100, type: 'arc', radius: -50 },
+    ])
+    const total = __private__.computeAxisTotalLength(axis)
+    const lengths = collectSampleLengths(axis, [], [], { axisArcStep: 1 })
+
+    // Flat axis: frames stay level, as in the vertical-plane mode
+    const flat = buildRotationMinimisingFrames(axis, [], lengths)
+    lengths.forEach((len) => {
+      const f = flat.get(len)
+      expect(f.yAxis.y).toBeCloseTo(1, 6)
+      const v = getSectionFrameAtLength(axis, [], len, { frameMode: 'vertical' })
+      expect(f.xAxis.x).toBeCloseTo(v.xAxis.x, 6)
+      expect(f.xAxis.z).toBeCloseTo(v.xAxis.z, 6)
+    })
+
+    // Graded curve: frames stay orthonormal and change smoothly
+    const heights = [{ length: 0, height: 0 }, { length: total, height: 40 }]
+    const frames = buildRotationMinimisingFrames(axis, heights, lengths)
+    let prev = null
+    lengths.forEach((len) => {
+      const { xAxis, yAxis, direction } = frames.get(len)
+      const d = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z
+      expect(Math.abs(d(xAxis, direction))).toBeLessThan(1e-9)
+      expect(Math.abs(d(yAxis, direction))).toBeLessThan(1e-9)
+      expect(Math.abs(d(xAxis, yAxis))).toBeLessThan(1e-9)
+      if (prev) expect(d(prev, xAxis)).toBeGreaterThan(0.99)
+      prev = xAxis
+    })
+
+    const last = lengths[lengths.length - 1]
+    const computed = getSectionFrameAtLength(axis, heights, last, { frameMode: 'rmf' })
+    expect(computed.xAxis.x).toBeCloseTo(frames.get(last).xAxis.x, 6)
+    expect(computed.xAxis.y).toBeCloseTo(frames.get(last).xAxis.y, 6)
+
+    // Between samples the precomputed map gives the same frame as transporting from the start
+    const map = buildSectionFrameMap(axis, heights, { frameMode: 'rmf' })
+    expect(buildSectionFrameMap(axis, heights, { frameMode: 'vertical' })).toBeNull()
+    ;[0, 12.34, total / 2 + 0.5, total].forEach((len) => {
+      const fromMap = getSectionFrameAtLength(axis, heights, len, { frameMode: 'rmf', frames: map })
+      const fromStart = getSectionFrameAtLength(axis, heights, len, { frameMode: 'rmf' })
+      ;['xAxis', 'yAxis', 'direction'].forEach((key) => {
+        expect(fromMap[key].x).toBeCloseTo(fromStart[key].x, 12)
+        expect(fromMap[key].y).toBeCloseTo(fromStart[key].y, 12)
+        expect(fromMap[key].z).toBeCloseTo(fromStart[key].z, 12)
+      })
+    })
+  })
+
+  it('starts the next range exactly at an assignment', () => {
+    const assignments = [{ length: 0, profileId: 1 }, { length: 10, profileId: 2 }, { length: 20, profileId: 3 }]
+    const atStart = findProfileBracket(10, assignments, true)
+    expect([atStart.prev.profileId, atStart.next.profileId, atStart.t]).toEqual([2, 3, 0])
+    const atEnd = findProfileBracket(10, assignments, false)
+    expect([atEnd.prev.profileId, atEnd.next.profileId]).toEqual([1, 2])
+    const last = findProfileBracket(20, assignments, true)
+    expect([last.prev.profileId, last.next.profileId]).toEqual([3, 3])
+  })
+
+  it('reuses point pairs from a merge cache', () => {
+    const square = (h) => [
+      { type: 'line', start: { x: -h, y: -h }, end: { x: h, y: -h } },
+      { type: 'line', start: { x: h, y: -h }, end: { x: h, y: h } },
+      { type: 'line', start: { x: h, y: h }, end: { x: -h, y: h } },
+      { type: 'line', start: { x: -h, y: h }, end: { x: -h, y: -h } },
+    ]
+    const profiles = [{ id: 1, segments: square(1) }, { id: 2, segments: square(2) }]
+    const assignments = [{ length: 0, profileId: 1 }, { length: 10, profileId: 2 }]
+    const mergeCache = createProfileMergeCache()
+    ;[2.5, 5, 7.5].forEach((len) => {
+      expect(interpolateProfileAtLength(len, assignments, profiles, { mergeCache })).toEqual(interpolateProfileAtLength(len, assignments, profiles))
+    })
+    expect(mergeCache.size).toBe(1)
+  })
+
+  describe('arc-length morphing', () => {
+    const fromPoints = (pts) => ({
+      points: pts,
+      segments: pts.slice(1).map((pt, i) => ({ type: 'line', start: { x: pts[i].x, y: pts[i].y }, end: { x: pt.x, y: pt.y } })),
+    })
+    const squarePts = (h, anchors = []) => [
+      { x: -h, y: -h, anchor: anchors[0] },
+      { x: h, y: -h, anchor: anchors[1] },
+      { x: h, y: h, anchor: anchors[2] },
+      { x: -h, y: h, anchor: anchors[3] },
+      { x: -h, y: -h },
+    ]
+    // Square with a deep notch from the invert up past the centre
+    const notched = fromPoints([
+      { x: -4, y: -4 }, { x: -1, y: -4 }, { x: -1, y: 1 }, { x: 1, y: 1 }, { x: 1, y: -4 },
+      { x: 4, y: -4 }, { x: 4, y: 4 }, { x: -4, y: 4 }, { x: -4, y: -4 },
+    ])
+
+    it('reproduces both outlines at the ends of the transition', () => {
+      const a = fromPoints(squarePts(4))
+      const merged = mergeProfilesByArcLength(notched, a, { maxChord: 0.5 })
+      const ring1 = merged.map(m => m.point1)
+      // Every notch vertex is kept on the profile 1 side
+      notched.points.forEach(v => expect(ring1.some(p => roughly(p.x, v.x) && roughly(p.y, v.y))).toBe(true))
+      expect(merged[0]).toEqual(merged[merged.length - 1])
+    })
+
+    it('keeps transitions between concave profiles free of self-intersections', () => {
+      const square = fromPoints(squarePts(4))
+      expect(findTransitionSelfIntersections(notched, square, { morph: 'arcLength', maxChord: 0.5 })).toEqual([])
+      expect(polygonSelfIntersects([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 1 }])).toBe(true)
+      expect(polygonSelfIntersects(sampleProfilePoints(notched))).toBe(false)
+    })
+
+    it('matches named anchors and ignores the direction of travel', () => {
+      const names = ['Left invert', 'Right invert', 'Right crown', 'Left crown']
+      const small = fromPoints(squarePts(1, names))
+      // Same square traversed clockwise, starting at another corner
+      const bigPts = [
+        { x: 3, y: 3, anchor: 'Right crown' },
+        { x: 3, y: -3, anchor: 'Right invert' },
+        { x: -3, y: -3, anchor: 'Left invert' },
+        { x: -3, y: 3, anchor: 'Left crown' },
+        { x: 3, y: 3 },
+      ]
+      const merged = mergeProfilesByArcLength(small, fromPoints(bigPts))
+      merged.forEach(({ point1, point2 }) => {
+        // Corresponding points are scaled copies of each other
+        expect(point2.x).toBeCloseTo(point1.x * 3, 9)
+        expect(point2.y).toBeCloseTo(point1.y * 3, 9)
+      })
+
+      // Anchors are honoured even where plain arc length would pair differently
+      const skewed = fromPoints(squarePts(1, ['A', 'B', 'C', 'D']))
+      const shifted = fromPoints([
+        { x: -1, y: -1, anchor: 'A' }, { x: 0, y: -1, anchor: 'B' }, { x: 1, y: -1 },
+        { x: 1, y: 1, anchor: 'C' }, { x: -1, y: 1, anchor: 'D' }, { x: -1, y: -1 },
+      ])
+      const pairs = mergeProfilesByArcLength(skewed, shifted)
+      const atB = pairs.find(m => roughly(m.point1.x, 1) && roughly(m.point1.y, -1))
+      expect(atB.point2).toEqual({ x: 0, y: -1 })
+    })
+
+    it('is selected with the morph option', () => {
+      const assignments = [{ length: 0, profileId: 1 }, { length: 10, profileId: 2 }]
+      const profiles = [{ id: 1, ...notched }, { id: 2, ...fromPoints(squarePts(4)) }]
+      const mid = interpolateProfileAtLength(5, assignments, profiles, { morph: 'arcLength', maxChord: 0.5 })
+      expect(mid.length).toBe(mergeProfilesByArcLength(profiles[0], profiles[1], { maxChord: 0.5 }).length)
+      expect(polygonSelfIntersects(mid)).toBe(false)
+    })
+  })
+
   // Note: mismatch scenario now allowed due to interpolation tolerances
 })
 
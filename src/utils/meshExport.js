@@ -0,0 +1,198 @@
+// Tunnel surface export in real project coordinates (x = easting, y = northing,
+// z = height; see buildTunnelMeshData). OBJ and STL are written in these
+// coordinates (z up); glTF is y-up, so its root node turns the model and carries
+// the origin in double precision.
+
+export const MESH_EXPORT_FORMATS = [
+  { value: 'glb', label: 'glTF (.glb)', extension: 'glb', type: 'model/gltf-binary' },
+  { value: 'obj', label: 'OBJ', extension: 'obj', type: 'text/plain' },
+  { value: 'stl', label: 'STL (binary)', extension: 'stl', type: 'model/stl' },
+]
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+
+// Whole metres near the start of the axis, to keep single-precision formats accurate
+export function getMeshOrigin(mesh) {
+  const source = mesh.axis.length ? mesh.axis : mesh.layers[0]?.positions || []
+  return source.length >= 3 ? [Math.round(source[0]), Math.round(source[1]), Math.round(source[2])] : [0, 0, 0]
+}
+
+const formatNumber = (v) => String(Number(v.toFixed(6)))
+
+/**
+ * Wavefront OBJ text: one object per layer and the axis as a polyline. Coordinates
+ * are reduced by `origin` ([x, y, z]) when given.
+ */
+export function meshToOBJ(mesh, origin = [0, 0, 0]) {
+  const lines = ['# Tunnel surface, x = easting, y = northing, z = height']
+  let offset = 1
+  const writeVertices = (positions) => {
+    for (let i = 0; i < positions.length; i += 3) {
+      lines.push(`v ${formatNumber(positions[i] - origin[0])} ${formatNumber(positions[i + 1] - origin[1])} ${formatNumber(positions[i + 2] - origin[2])}`)
+    }
+  }
+  mesh.layers.forEach((layer) => {
+    lines.push(`o ${layer.name.replace(/\s+/g, '_')}`)
+    writeVertices(layer.positions)
+    for (let i = 0; i < layer.indices.length; i += 3) {
+      lines.push(`f ${layer.indices[i] + offset} ${layer.indices[i + 1] + offset} ${layer.indices[i + 2] + offset}`)
+    }
+    offset += layer.positions.length / 3
+  })
+  if (mesh.axis.length >= 6) {
+    lines.push('o Axis')
+    writeVertices(mesh.axis)
+    const count = mesh.axis.length / 3
+    lines.push(`l ${Array.from({ length: count }, (_, i) => i + offset).join(' ')}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Binary STL of all layers (the axis has no surface and is left out). STL stores
+ * single-precision floats, so large coordinates should be reduced by `origin`.
+ */
+export function meshToSTL(mesh, origin = [0, 0, 0]) {
+  const triangleCount = mesh.layers.reduce((sum, layer) => sum + layer.indices.length / 3, 0)
+  const buffer = new ArrayBuffer(84 + triangleCount * 50)
+  const view = new DataView(buffer)
+  const header = 'Tunnel surface, x = easting, y = northing, z = height'
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i))
+  view.setUint32(80, triangleCount, true)
+
+  let offset = 84
+  mesh.layers.forEach(({ positions, indices }) => {
+    const vertex = (i) => [positions[i * 3] - origin[0], positions[i * 3 + 1] - origin[1], positions[i * 3 + 2] - origin[2]]
+    for (let t = 0; t < indices.length; t += 3) {
+      const a = vertex(indices[t])
+      const b = vertex(indices[t + 1])
+      const c = vertex(indices[t + 2])
+      const n = cross(sub(b, a), sub(c, a))
+      const length = Math.hypot(...n) || 1
+      ;[n.map(v => v / length), a, b, c].forEach((v) => {
+        v.forEach((component) => {
+          view.setFloat32(offset, component, true)
+          offset += 4
+        })
+      })
+      view.setUint16(offset, 0, true)
+      offset += 2
+    }
+  })
+  return buffer
+}
+
+/**
+ * Binary glTF with one mesh per layer and the axis as a line strip. Vertices are
+ * stored relative to `origin`; unless `localOrigin` is set the root node moves them
+ * back to project coordinates and turns z-up into glTF's y-up.
+ * colors: optional {[layerName]: [r, g, b, a]} (0–1).
+ */
+export function meshToGLB(mesh, { origin = getMeshOrigin(mesh), localOrigin = false, colors = {} } = {}) {
+  const chunks = []
+  let byteLength = 0
+  const bufferViews = []
+  const accessors = []
+
+  const addAccessor = (array, type, componentType, target, withBounds) => {
+    const bytes = new Uint8Array(array.buffer)
+    chunks.push({ bytes, offset: byteLength })
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target })
+    byteLength += Math.ceil(bytes.length / 4) * 4
+    const accessor = { bufferView: bufferViews.length - 1, componentType, count: array.length / (type === 'VEC3' ? 3 : 1), type }
+    if (withBounds) {
+      const min = [Infinity, Infinity, Infinity]
+      const max = [-Infinity, -Infinity, -Infinity]
+      for (let i = 0; i < array.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+          min[k] = Math.min(min[k], array[i + k])
+          max[k] = Math.max(max[k], array[i + k])
+        }
+      }
+      Object.assign(accessor, { min, max })
+    }
+    accessors.push(accessor)
+    return accessors.length - 1
+  }
+  const relative = (positions) => Float32Array.from(positions, (v, i) => v - origin[i % 3])
+
+  const materials = []
+  const meshes = []
+  const nodes = [{ name: 'Tunnel', children: [] }]
+  const addMaterial = (name, color) => {
+    const rgba = color || [0.6, 0.6, 0.6, 1]
+    materials.push({
+      name,
+      pbrMetallicRoughness: { baseColorFactor: rgba, metallicFactor: 0.1, roughnessFactor: 0.7 },
+      doubleSided: true,
+      ...(rgba[3] < 1 ? { alphaMode: 'BLEND' } : {}),
+    })
+    return materials.length - 1
+  }
+  const addNode = (name, primitive) => {
+    meshes.push({ name, primitives: [primitive] })
+    nodes.push({ name, mesh: meshes.length - 1 })
+    nodes[0].children.push(nodes.length - 1)
+  }
+
+  mesh.layers.forEach((layer) => {
+    addNode(layer.name, {
+      attributes: { POSITION: addAccessor(relative(layer.positions), 'VEC3', 5126, 34962, true) },
+      indices: addAccessor(Uint32Array.from(layer.indices), 'SCALAR', 5125, 34963, false),
+      material: addMaterial(layer.name, colors[layer.name]),
+      mode: 4,
+    })
+  })
+  if (mesh.axis.length >= 6) {
+    addNode('Axis', {
+      attributes: { POSITION: addAccessor(relative(mesh.axis), 'VEC3', 5126, 34962, true) },
+      material: addMaterial('Axis', [0.17, 0.24, 0.31, 1]),
+      mode: 3,
+    })
+  }
+
+  // z-up to y-up is a -90° turn about x: (x, y, z) -> (x, z, -y)
+  nodes[0].rotation = [-Math.SQRT1_2, 0, 0, Math.SQRT1_2]
+  if (!localOrigin) nodes[0].translation = [origin[0], origin[2], -origin[1]]
+
+  const json = {
+    asset: { version: '2.0', generator: 'Tunnel Designer' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes,
+    meshes,
+    materials,
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength }],
+  }
+  if (!meshes.length) {
+    delete json.meshes
+    delete json.materials
+    delete json.accessors
+    delete json.bufferViews
+    delete json.buffers
+  }
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json))
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4
+  const binLength = byteLength
+  const total = 12 + 8 + jsonLength + (binLength ? 8 + binLength : 0)
+  const out = new Uint8Array(total)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, 0x46546c67, true) // 'glTF'
+  view.setUint32(4, 2, true)
+  view.setUint32(8, total, true)
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, 0x4e4f534a, true) // 'JSON'
+  out.set(jsonBytes, 20)
+  out.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength)
+  if (binLength) {
+    const binStart = 20 + jsonLength
+    view.setUint32(binStart, binLength, true)
+    view.setUint32(binStart + 4, 0x004e4942, true) // 'BIN'
+    chunks.forEach(({ bytes, offset }) => out.set(bytes, binStart + 8 + offset))
+  }
+  return out.buffer
+}
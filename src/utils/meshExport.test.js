@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { getMeshOrigin, meshToGLB, meshToOBJ, meshToSTL } from './meshExport'
+import { buildTunnelMeshData } from './tunnelMesh'
+import { circle, farStraight as straight } from './testGeometry'
+
+describe('mesh export', () => {
+  it('writes OBJ, STL and GLB', () => {
+    const profiles = [{ id: 1, name: 'Circle', points: [], segments: circle(2) }]
+    const mesh = buildTunnelMeshData(straight, [], [{ length: 0, profileId: 1 }], profiles)
+    const layer = mesh.layers[0]
+    const triangles = layer.indices.length / 3
+    const origin = getMeshOrigin(mesh)
+
+    const obj = meshToOBJ(mesh, origin).split('\n')
+    expect(obj.filter(l => l.startsWith('f ')).length).toBe(triangles)
+    expect(obj.filter(l => l.startsWith('v ')).length).toBe((layer.positions.length + mesh.axis.length) / 3)
+    expect(obj).toContain('v 0 0 0')
+
+    const stl = new DataView(meshToSTL(mesh, origin))
+    expect(stl.byteLength).toBe(84 + triangles * 50)
+    expect(stl.getUint32(80, true)).toBe(triangles)
+
+    const glb = new DataView(meshToGLB(mesh))
+    expect(glb.getUint32(0, true)).toBe(0x46546c67)
+    const jsonLength = glb.getUint32(12, true)
+    const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb.buffer, 20, jsonLength)))
+    expect(json.nodes[0].translation).toEqual([500000, 0, -5200000])
+    expect(json.meshes.map(m => m.name)).toEqual(['Inner lining', 'Axis'])
+    expect(json.accessors[json.meshes[0].primitives[0].indices].count).toBe(layer.indices.length)
+    expect(glb.getUint32(20 + jsonLength, true)).toBe(json.buffers[0].byteLength)
+  })
+})
@@ -0,0 +1,45 @@
+// Profile layers. A profile's own points/segments are its primary layer (by default
+// the inner lining surface); further contours such as the excavation line or the
+// clearance envelope live in profile.layers. Layers are matched across profiles by
+// name, so "Excavation" of one profile blends into "Excavation" of the next.
+
+export const PRIMARY_LAYER_ID = 'primary'
+export const DEFAULT_PRIMARY_LAYER_NAME = 'Inner lining'
+export const STANDARD_LAYER_NAMES = ['Excavation', 'Primary support', 'Inner lining', 'Clearance envelope']
+
+// All layers of a profile, primary first: [{id, name, points, segments, primary}]
+export function getProfileLayers(profile) {
+  if (!profile) return []
+  return [
+    {
+      id: PRIMARY_LAYER_ID,
+      name: profile.layerName || DEFAULT_PRIMARY_LAYER_NAME,
+      points: profile.points || [],
+      segments: profile.segments || [],
+      primary: true,
+    },
+    ...(Array.isArray(profile.layers) ? profile.layers : []).map(l => ({ ...l, primary: false })),
+  ]
+}
+
+// Distinct layer names over all profiles, in first-seen order
+export function getProfileLayerNames(profiles = []) {
+  const names = []
+  ;(profiles || []).forEach((p) => {
+    getProfileLayers(p).forEach((l) => {
+      if (!names.includes(l.name)) names.push(l.name)
+    })
+  })
+  return names
+}
+
+/**
+ * The profiles reduced to one layer: each keeps its id but takes the points and
+ * segments of the layer with that name (empty when it has no such layer).
+ */
+export function selectProfileLayer(profiles = [], layerName) {
+  return (profiles || []).map((p) => {
+    const layer = getProfileLayers(p).find(l => l.name === layerName)
+    return { ...p, points: layer ? layer.points : [], segments: layer ? layer.segments : [] }
+  })
+}
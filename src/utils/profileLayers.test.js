@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { getProfileLayers, getProfileLayerNames, selectProfileLayer } from './profileLayers'
+import { interpolateProfileAtLength } from './geometry'
+
+const square = (h) => [
+  { type: 'line', start: { x: -h, y: -h }, end: { x: h, y: -h } },
+  { type: 'line', start: { x: h, y: -h }, end: { x: h, y: h } },
+  { type: 'line', start: { x: h, y: h }, end: { x: -h, y: h } },
+  { type: 'line', start: { x: -h, y: h }, end: { x: -h, y: -h } },
+]
+
+const profiles = [
+  { id: 1, name: 'A', points: [], segments: square(1), layers: [{ id: 'l1', name: 'Excavation', points: [], segments: square(2) }] },
+  { id: 2, name: 'B', layerName: 'Primary support', points: [], segments: square(3), layers: [{ id: 'l2', name: 'Excavation', points: [], segments: square(4) }] },
+  { id: 3, name: 'C', points: [], segments: square(5) },
+]
+
+describe('profile layers', () => {
+  it('lists the primary layer first and names across profiles', () => {
+    const layers = getProfileLayers(profiles[0])
+    expect(layers.map(l => l.name)).toEqual(['Inner lining', 'Excavation'])
+    expect(layers[0].primary).toBe(true)
+    expect(layers[0].segments).toBe(profiles[0].segments)
+    expect(getProfileLayerNames(profiles)).toEqual(['Inner lining', 'Excavation', 'Primary support'])
+  })
+
+  it('selects a layer by name and leaves profiles without it empty', () => {
+    const selected = selectProfileLayer(profiles, 'Excavation')
+    expect(selected.map(p => p.id)).toEqual([1, 2, 3])
+    expect(selected[1].segments).toBe(profiles[1].layers[0].segments)
+    expect(selected[2].segments).toEqual([])
+  })
+
+  it('interpolates a layer between profiles that share it', () => {
+    const assignments = [{ length: 0, profileId: 1 }, { length: 10, profileId: 2 }, { length: 20, profileId: 3 }]
+    const excavation = [{ id: 1, segments: square(2) }, { id: 2, segments: square(4) }]
+    const inner = [{ id: 1, segments: square(1) }, { id: 2, segments: square(3) }]
+    expect(interpolateProfileAtLength(5, assignments, profiles, { layer: 'Excavation' }))
+      .toEqual(interpolateProfileAtLength(5, assignments, excavation, {}))
+    expect(interpolateProfileAtLength(5, assignments, profiles, {}))
+      .toEqual(interpolateProfileAtLength(5, assignments, inner, {}))
+
+    // The last profile has no excavation layer, so neither that range nor its own section exists
+    expect(interpolateProfileAtLength(15, assignments, profiles, { layer: 'Excavation' }) || []).toEqual([])
+    expect(interpolateProfileAtLength(20, assignments, profiles, { layer: 'Excavation' }) || []).toEqual([])
+  })
+})
@@ -0,0 +1,220 @@
+// Offset contours: a profile outline moved outward by a thickness, e.g. the
+// excavation line around the inner lining. Lines are shifted along their normal and
+// arcs keep their centre with the radius grown or shrunk by the thickness; the
+// offset pieces are then re-trimmed to meet again at the joints.
+import { getArcGeometry, sampleProfilePoints } from './geometry'
+import { getProfileLayers } from './profileLayers'
+
+const TOL = 1e-6
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y })
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+
+// Line or circle element of a segment; arcs that cannot be built are their chord
+function toElement(seg) {
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  if (arc) return { type: 'arc', center: arc.center, R: arc.R, ccw: seg.radius > 0, sweep: arc.sweep, start: seg.start, end: seg.end }
+  return { type: 'line', start: seg.start, end: seg.end }
+}
+
+// Counterclockwise outlines have their outside on the right
+function isCounterclockwise(segments) {
+  const pts = sampleProfilePoints({ segments }, { maxChord: 0.5, minArcSteps: 8 })
+  let area = 0
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i]
+    const b = pts[(i + 1) % pts.length]
+    area += a.x * b.y - b.x * a.y
+  }
+  return area >= 0
+}
+
+function offsetElement(el, d, side) {
+  if (el.type === 'arc') {
+    // Moving right of a counterclockwise arc moves away from its centre
+    const R = el.R + d * side * (el.ccw ? 1 : -1)
+    if (!(R > TOL)) return null
+    const scale = (p) => ({ x: el.center.x + ((p.x - el.center.x) * R) / el.R, y: el.center.y + ((p.y - el.center.y) * R) / el.R })
+    return { ...el, R, start: scale(el.start), end: scale(el.end) }
+  }
+  const L = dist(el.start, el.end)
+  if (L < TOL) return null
+  const dir = { x: (el.end.x - el.start.x) / L, y: (el.end.y - el.start.y) / L }
+  const n = { x: dir.y * d * side, y: -dir.x * d * side }
+  return { ...el, dir, start: { x: el.start.x + n.x, y: el.start.y + n.y }, end: { x: el.end.x + n.x, y: el.end.y + n.y } }
+}
+
+function lineDir(el) {
+  if (el.dir) return el.dir
+  const L = dist(el.start, el.end)
+  return { x: (el.end.x - el.start.x) / L, y: (el.end.y - el.start.y) / L }
+}
+
+// Intersections of the (unbounded) lines and full circles of two elements
+function intersectElements(a, b) {
+  if (a.type === 'line' && b.type === 'line') {
+    const u = lineDir(a)
+    const v = lineDir(b)
+    const det = u.x * v.y - u.y * v.x
+    if (Math.abs(det) < 1e-12) return []
+    const w = sub(b.start, a.start)
+    const s = (w.x * v.y - w.y * v.x) / det
+    return [{ x: a.start.x + u.x * s, y: a.start.y + u.y * s }]
+  }
+  if (a.type === 'arc' && b.type === 'arc') {
+    const d = dist(a.center, b.center)
+    if (d < TOL || d > a.R + b.R || d < Math.abs(a.R - b.R)) return []
+    const along = (a.R * a.R - b.R * b.R + d * d) / (2 * d)
+    const h = Math.sqrt(Math.max(0, a.R * a.R - along * along))
+    const ex = (b.center.x - a.center.x) / d
+    const ey = (b.center.y - a.center.y) / d
+    const mx = a.center.x + ex * along
+    const my = a.center.y + ey * along
+    return [{ x: mx - ey * h, y: my + ex * h }, { x: mx + ey * h, y: my - ex * h }]
+  }
+  const line = a.type === 'line' ? a : b
+  const circle = a.type === 'line' ? b : a
+  const u = lineDir(line)
+  const f = sub(line.start, circle.center)
+  const half = u.x * f.x + u.y * f.y
+  const disc = half * half - (f.x * f.x + f.y * f.y - circle.R * circle.R)
+  if (disc < 0) return []
+  const root = Math.sqrt(disc)
+  return [-half - root, -half + root].map(s => ({ x: line.start.x + u.x * s, y: line.start.y + u.y * s }))
+}
+
+// Where two consecutive offset pieces meet: their own ends when those already
+// coincide (tangent joints), else the intersection nearest to them, else null
+function joinPoint(a, b) {
+  if (dist(a.end, b.start) < TOL) return { ...a.end }
+  const mid = { x: (a.end.x + b.start.x) / 2, y: (a.end.y + b.start.y) / 2 }
+  const gap = dist(a.end, b.start)
+  const candidates = intersectElements(a, b).filter(p => dist(p, mid) < gap * 10 + TOL)
+  if (!candidates.length) return null
+  return candidates.reduce((best, p) => (dist(p, mid) < dist(best, mid) ? p : best))
+}
+
+function arcSweep(el) {
+  const a0 = Math.atan2(el.start.y - el.center.y, el.start.x - el.center.x)
+  const a1 = Math.atan2(el.end.y - el.center.y, el.end.x - el.center.x)
+  let sweep = a1 - a0
+  if (el.ccw && sweep < 0) sweep += 2 * Math.PI
+  if (!el.ccw && sweep > 0) sweep -= 2 * Math.PI
+  return sweep
+}
+
+/**
+ * Offsets a profile outline. thickness is the default offset (positive outward,
+ * negative inward); overrides[i], when set, replaces it for segment i. Where the
+ * offset pieces of a joint no longer meet (e.g. different thicknesses on parallel
+ * segments), they are connected with a straight line.
+ * sourcePoints, when given, pass their anchor names on to the offset points.
+ * Returns {points, segments, errors} with points in the profile editor's form.
+ */
+export function offsetProfileSegments(segments = [], thickness = 0, overrides = [], sourcePoints = []) {
+  if (!Array.isArray(segments) || segments.length === 0) return { points: [], segments: [], errors: ['The source contour has no segments'] }
+  const side = isCounterclockwise(segments) ? 1 : -1
+  const closed = dist(segments[0].start, segments[segments.length - 1].end) < TOL
+  const errors = []
+
+  const pieces = []
+  segments.forEach((seg, i) => {
+    const override = overrides[i]
+    const d = override === '' || override === undefined || override === null ? Number(thickness) : Number(override)
+    if (!Number.isFinite(d)) {
+      errors.push(`Segment ${i + 1}: thickness is not a number`)
+      return
+    }
+    const el = toElement(seg)
+    const piece = offsetElement(el, d, side)
+    if (!piece) {
+      if (el.type === 'arc') errors.push(`Segment ${i + 1}: the arc radius would drop to zero`)
+      return
+    }
+    pieces.push({ ...piece, index: i })
+  })
+  if (errors.length) return { points: [], segments: [], errors }
+
+  // Trim (or bridge) every joint
+  const result = []
+  pieces.forEach((piece, i) => {
+    const prev = i > 0 ? result[result.length - 1] : null
+    if (prev) {
+      const joint = joinPoint(prev, piece)
+      if (joint) {
+        prev.end = joint
+        piece.start = { ...joint }
+      } else {
+        result.push({ type: 'line', start: { ...prev.end }, end: { ...piece.start }, bridge: true })
+      }
+    }
+    result.push(piece)
+  })
+  if (closed && result.length > 1) {
+    const last = result[result.length - 1]
+    const joint = joinPoint(last, result[0])
+    if (joint) {
+      last.end = joint
+      result[0].start = { ...joint }
+    } else {
+      result.push({ type: 'line', start: { ...last.end }, end: { ...result[0].start }, bridge: true })
+    }
+  }
+
+  // Trimming must not turn a piece around
+  result.forEach((piece) => {
+    if (piece.bridge) return
+    if (piece.type === 'line') {
+      const len = (piece.end.x - piece.start.x) * piece.dir.x + (piece.end.y - piece.start.y) * piece.dir.y
+      if (len < -TOL) errors.push(`Segment ${piece.index + 1} vanishes at this thickness`)
+    } else if (Math.abs(arcSweep(piece) - piece.sweep) > Math.PI) {
+      errors.push(`Segment ${piece.index + 1} vanishes at this thickness`)
+    }
+  })
+  if (errors.length) return { points: [], segments: [], errors }
+
+  const round = (v) => Number(v.toFixed(9))
+  const roundPoint = (p) => ({ x: round(p.x), y: round(p.y) })
+  const outSegments = result.map((piece) => {
+    const start = roundPoint(piece.start)
+    const end = roundPoint(piece.end)
+    if (piece.type === 'arc') {
+      const radius = round(piece.ccw ? piece.R : -piece.R)
+      return { type: 'arc', start, end, radius, largeArc: Math.abs(arcSweep(piece)) > Math.PI }
+    }
+    return { type: 'line', start, end }
+  })
+  // Piece i ends where source segment i ends, i.e. at source point i + 1
+  const anchorOf = (i) => sourcePoints?.[i]?.anchor || ''
+  const points = [
+    { id: 1, ...outSegments[0].start, type: 'line', radius: '', largeArc: false, anchor: result[0].bridge ? '' : anchorOf(result[0].index) },
+    ...outSegments.map((seg, i) => ({
+      id: i + 2,
+      ...seg.end,
+      type: seg.type,
+      radius: seg.type === 'arc' ? seg.radius : '',
+      largeArc: seg.type === 'arc' ? seg.largeArc : false,
+      anchor: result[i].bridge ? '' : anchorOf(result[i].index + 1),
+    })),
+  ]
+  return { points, segments: outSegments, errors: [] }
+}
+
+/**
+ * Regenerates the layers of a profile that are linked offsets of another layer
+ * (layer.offset = {sourceLayerId, thickness, overrides}). Layers keep their last
+ * geometry while the offset is invalid or the source is missing.
+ */
+export function refreshOffsetLayers(profile) {
+  if (!profile || !Array.isArray(profile.layers) || !profile.layers.some(l => l.offset)) return profile
+  let current = profile
+  profile.layers.forEach((layer) => {
+    if (!layer.offset) return
+    const source = getProfileLayers(current).find(l => l.id === layer.offset.sourceLayerId)
+    if (!source || source.id === layer.id) return
+    const { points, segments, errors } = offsetProfileSegments(source.segments, layer.offset.thickness, layer.offset.overrides, source.points)
+    if (errors.length) return
+    current = { ...current, layers: current.layers.map(l => (l.id === layer.id ? { ...l, points, segments } : l)) }
+  })
+  return current
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { offsetProfileSegments, refreshOffsetLayers } from './profileOffset'
+import { buildTemplatePoints } from './profileTemplates'
+import { computeProfileProperties } from './sectionProperties'
+import { sampleProfilePoints } from './geometry'
+
+const toSegments = (points) => points.slice(1).map((pt, i) => {
+  const prev = points[i]
+  return pt.type === 'arc'
+    ? { type: 'arc', start: { x: prev.x, y: prev.y }, end: { x: pt.x, y: pt.y }, radius: pt.radius, largeArc: Boolean(pt.largeArc) }
+    : { type: 'line', start: { x: prev.x, y: prev.y }, end: { x: pt.x, y: pt.y } }
+})
+
+const square = (h) => toSegments([
+  { x: -h, y: -h }, { x: h, y: -h }, { x: h, y: h }, { x: -h, y: h }, { x: -h, y: -h },
+])
+
+// Distance from a point to a polyline
+const distanceToOutline = (p, pts) => Math.min(...pts.slice(1).map((b, i) => {
+  const a = pts[i]
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy || 1)))
+  return Math.hypot(p.x - a.x - dx * t, p.y - a.y - dy * t)
+}))
+
+describe('profile offset', () => {
+  it('grows arc radii and keeps the centres', () => {
+    const { points } = buildTemplatePoints('circular', { radius: 4, springlineOffset: 1 })
+    const result = offsetProfileSegments(toSegments(points), 0.5)
+    expect(result.errors).toEqual([])
+    expect(result.segments.map(s => s.radius)).toEqual([4.5, 4.5, 4.5, 4.5])
+    sampleProfilePoints({ segments: result.segments }, { maxChord: 0.5 })
+      .forEach(p => expect(Math.hypot(p.x, p.y - 1)).toBeCloseTo(4.5, 9))
+    // Editor points rebuild the same segments
+    expect(toSegments(result.points)).toEqual(result.segments)
+  })
+
+  it('carries anchor names over to the offset points', () => {
+    const { points } = buildTemplatePoints('circular', { radius: 4, springlineOffset: 1 })
+    const result = offsetProfileSegments(toSegments(points), 0.5, [], points)
+    expect(result.points.map(p => p.anchor)).toEqual(['Right springline', 'Crown', 'Left springline', 'Invert', ''])
+    expect(result.points[2]).toMatchObject({ x: -4.5, y: 1 })
+  })
+
+  it('mitres line corners for either direction of travel', () => {
+    const ccw = offsetProfileSegments(square(2), 1)
+    expect(computeProfileProperties(ccw.segments).area).toBeCloseTo(36, 9)
+    expect(ccw.points[0]).toMatchObject({ x: -3, y: -3 })
+
+    const cw = offsetProfileSegments(square(2).map(s => ({ ...s, start: s.end, end: s.start })).reverse(), 1)
+    expect(computeProfileProperties(cw.segments).area).toBeCloseTo(36, 9)
+
+    const inward = offsetProfileSegments(square(2), -0.5)
+    expect(computeProfileProperties(inward.segments).area).toBeCloseTo(9, 9)
+  })
+
+  it('applies per-segment thicknesses', () => {
+    const { segments, errors } = offsetProfileSegments(square(2), 1, ['', 2])
+    expect(errors).toEqual([])
+    // The right side (segment 2) moves out by 2, the others by 1
+    const props = computeProfileProperties(segments)
+    expect(props.bounds).toEqual({ minX: -3, maxX: 4, minY: -3, maxY: 3 })
+  })
+
+  it('keeps a horseshoe at the lining thickness from the original', () => {
+    const { points } = buildTemplatePoints('horseshoe', { radius: 5, sideRadius: 10, wallHeight: 4, invertRadius: 15, springlineOffset: 2 })
+    const inner = toSegments(points)
+    const { segments, errors } = offsetProfileSegments(inner, 0.4)
+    expect(errors).toEqual([])
+    expect(segments).toHaveLength(6)
+    const innerPts = sampleProfilePoints({ segments: inner }, { maxChord: 0.02 })
+    sampleProfilePoints({ segments }, { maxChord: 0.25 }).forEach((p) => {
+      expect(distanceToOutline(p, innerPts)).toBeGreaterThan(0.4 - 1e-3)
+    })
+    // Away from the invert corners the offset is exact
+    expect(distanceToOutline(segments[0].start, innerPts)).toBeCloseTo(0.4, 3)
+    expect(segments[0].radius).toBeCloseTo(5.4, 9)
+    expect(segments[3].radius).toBeCloseTo(15.4, 9)
+  })
+
+  it('reports offsets that collapse the outline', () => {
+    const { points } = buildTemplatePoints('circular', { radius: 4 })
+    expect(offsetProfileSegments(toSegments(points), -5).errors[0]).toMatch(/radius would drop to zero/)
+    expect(offsetProfileSegments(square(1), -1.5).errors[0]).toMatch(/vanishes/)
+    expect(offsetProfileSegments([], 1).errors).toHaveLength(1)
+  })
+
+  it('regenerates linked offset layers from their source', () => {
+    const profile = {
+      id: 1,
+      points: [],
+      segments: square(2),
+      layers: [
+        { id: 'exc', name: 'Excavation', points: [], segments: [], offset: { sourceLayerId: 'primary', thickness: 1, overrides: [] } },
+        { id: 'free', name: 'Clearance envelope', points: [], segments: square(1) },
+      ],
+    }
+    const refreshed = refreshOffsetLayers(profile)
+    expect(computeProfileProperties(refreshed.layers[0].segments).area).toBeCloseTo(36, 9)
+    expect(refreshed.layers[1]).toBe(profile.layers[1])
+
+    // Invalid offsets keep the last geometry
+    const broken = { ...refreshed, layers: [{ ...refreshed.layers[0], offset: { sourceLayerId: 'primary', thickness: -3 } }] }
+    expect(refreshOffsetLayers(broken).layers[0].segments).toBe(refreshed.layers[0].segments)
+  })
+})
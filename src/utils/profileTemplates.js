@@ -0,0 +1,187 @@
+// Parametric profile templates. Each template turns a few parameters into the same
+// point list the profile editor uses (first point, then line/arc points), traversed
+// counterclockwise so every arc has a positive radius. Crown, springlines, invert
+// corners and invert are marked as anchors for arc-length transitions; the crown and
+// invert arcs are split on the centre line to carry them. Profile coordinates have x to
+// the right and y up; the springline offset is the height of the springline above
+// the profile origin (the axis).
+
+const param = (key, label, defaultValue, options = {}) => ({ key, label, default: defaultValue, ...options })
+
+// Lowest point of an invert between (±halfWidth, y): a sagging arc of the given
+// radius, or the flat line when the radius is blank
+const invertBottom = (halfWidth, y, radius) => (
+  radius === '' ? y : y + Math.sqrt(radius * radius - halfWidth * halfWidth) - radius
+)
+
+// Anchor names for arc-length transitions; templates mark their points with these
+export const STANDARD_ANCHOR_NAMES = [
+  'Crown',
+  'Left springline',
+  'Right springline',
+  'Left shoulder',
+  'Right shoulder',
+  'Left invert corner',
+  'Right invert corner',
+  'Invert',
+]
+
+export const PROFILE_TEMPLATES = {
+  circular: {
+    label: 'Circular',
+    params: [
+      param('radius', 'Inner radius', 5),
+      param('springlineOffset', 'Springline offset', 0),
+    ],
+    build: ({ radius: R, springlineOffset: s }) => {
+      if (!(R > 0)) return { errors: ['Inner radius must be positive'] }
+      return {
+        points: [
+          { x: R, y: s, anchor: 'Right springline' },
+          { x: 0, y: s + R, radius: R, anchor: 'Crown' },
+          { x: -R, y: s, radius: R, anchor: 'Left springline' },
+          { x: 0, y: s - R, radius: R, anchor: 'Invert' },
+          { x: R, y: s, radius: R },
+        ],
+      }
+    },
+  },
+  horseshoe: {
+    label: 'Horseshoe',
+    params: [
+      param('radius', 'Crown radius', 5),
+      param('sideRadius', 'Side wall radius', 10),
+      param('wallHeight', 'Wall height', 4),
+      param('invertRadius', 'Invert radius', 15, { optional: true }),
+      param('springlineOffset', 'Springline offset', 0),
+    ],
+    build: ({ radius: R, sideRadius: Rs, wallHeight: H, invertRadius: Ri, springlineOffset: s }) => {
+      const errors = []
+      if (!(R > 0)) errors.push('Crown radius must be positive')
+      if (!(Rs >= R)) errors.push('Side wall radius must be at least the crown radius')
+      if (!(H > 0) || !(H < Rs)) errors.push('Wall height must be positive and below the side wall radius')
+      if (errors.length) return { errors }
+      // Side walls are centred on the springline on the opposite side
+      const xf = R - Rs + Math.sqrt(Rs * Rs - H * H)
+      if (!(xf > 0)) return { errors: ['Side walls meet above the invert – reduce the wall height'] }
+      if (Ri !== '' && !(Ri >= xf)) return { errors: [`Invert radius must be at least ${xf.toFixed(3)}`] }
+      return {
+        points: [
+          { x: R, y: s, anchor: 'Right springline' },
+          { x: 0, y: s + R, radius: R, anchor: 'Crown' },
+          { x: -R, y: s, radius: R, anchor: 'Left springline' },
+          { x: -xf, y: s - H, radius: Rs, anchor: 'Left invert corner' },
+          { x: 0, y: invertBottom(xf, s - H, Ri), radius: Ri, anchor: 'Invert' },
+          { x: xf, y: s - H, radius: Ri, anchor: 'Right invert corner' },
+          { x: R, y: s, radius: Rs },
+        ],
+      }
+    },
+  },
+  dShape: {
+    label: 'D-shape',
+    params: [
+      param('width', 'Width', 10),
+      param('wallHeight', 'Wall height', 4),
+      param('springlineOffset', 'Springline offset', 0),
+    ],
+    build: ({ width: W, wallHeight: H, springlineOffset: s }) => {
+      const errors = []
+      if (!(W > 0)) errors.push('Width must be positive')
+      if (!(H >= 0)) errors.push('Wall height must not be negative')
+      if (errors.length) return { errors }
+      const R = W / 2
+      return {
+        points: [
+          { x: R, y: s, anchor: 'Right springline' },
+          { x: 0, y: s + R, radius: R, anchor: 'Crown' },
+          { x: -R, y: s, radius: R, anchor: 'Left springline' },
+          { x: -R, y: s - H, anchor: 'Left invert corner' },
+          { x: 0, y: s - H, anchor: 'Invert' },
+          { x: R, y: s - H, anchor: 'Right invert corner' },
+          { x: R, y: s },
+        ],
+      }
+    },
+  },
+  multiCentre: {
+    label: 'Multi-centre',
+    params: [
+      param('width', 'Width', 12),
+      param('crownRadius', 'Crown radius', 8),
+      param('shoulderRadius', 'Shoulder radius', 4),
+      param('wallHeight', 'Wall height', 3),
+      param('invertRadius', 'Invert radius', '', { optional: true }),
+      param('springlineOffset', 'Springline offset', 0),
+    ],
+    build: ({ width: W, crownRadius: Rc, shoulderRadius: Rsh, wallHeight: H, invertRadius: Ri, springlineOffset: s }) => {
+      const errors = []
+      const half = W / 2
+      if (!(W > 0)) errors.push('Width must be positive')
+      if (!(Rsh > 0) || !(Rsh < half)) errors.push('Shoulder radius must be positive and below half the width')
+      if (!(Rc > half)) errors.push('Crown radius must exceed half the width')
+      if (!(H >= 0)) errors.push('Wall height must not be negative')
+      if (Ri !== '' && !(Ri >= half)) errors.push('Invert radius must be at least half the width')
+      if (errors.length) return { errors }
+      // Shoulders are centred on the springline; the crown is tangent to both
+      const cx = half - Rsh
+      const d = Math.sqrt((Rc - Rsh) ** 2 - cx * cx)
+      const tx = (cx * Rc) / (Rc - Rsh)
+      const ty = s - d + (d * Rc) / (Rc - Rsh)
+      return {
+        points: [
+          { x: half, y: s, anchor: 'Right springline' },
+          { x: tx, y: ty, radius: Rsh, anchor: 'Right shoulder' },
+          { x: 0, y: s - d + Rc, radius: Rc, anchor: 'Crown' },
+          { x: -tx, y: ty, radius: Rc, anchor: 'Left shoulder' },
+          { x: -half, y: s, radius: Rsh, anchor: 'Left springline' },
+          { x: -half, y: s - H, anchor: 'Left invert corner' },
+          { x: 0, y: invertBottom(half, s - H, Ri), radius: Ri, anchor: 'Invert' },
+          { x: half, y: s - H, radius: Ri, anchor: 'Right invert corner' },
+          { x: half, y: s },
+        ],
+      }
+    },
+  },
+}
+
+export function getDefaultTemplateParams(type) {
+  const template = PROFILE_TEMPLATES[type]
+  if (!template) return {}
+  return Object.fromEntries(template.params.map(p => [p.key, p.default]))
+}
+
+/**
+ * Builds editor points for a template. Returns {points, errors}; on invalid
+ * parameters points is empty and errors says why.
+ */
+export function buildTemplatePoints(type, params = {}) {
+  const template = PROFILE_TEMPLATES[type]
+  if (!template) return { points: [], errors: [`Unknown template "${type}"`] }
+
+  const values = {}
+  template.params.forEach((p) => {
+    const raw = params[p.key] ?? p.default
+    values[p.key] = raw === '' || raw === null ? (p.optional ? '' : NaN) : Number(raw)
+  })
+
+  const { points = [], errors = [] } = template.build(values)
+  if (errors.length) return { points: [], errors }
+
+  const round = (v) => Number(v.toFixed(9))
+  return {
+    points: points.map((pt, i) => {
+      const isArc = i > 0 && pt.radius !== undefined && pt.radius !== ''
+      return {
+        id: i + 1,
+        x: round(pt.x),
+        y: round(pt.y),
+        type: isArc ? 'arc' : 'line',
+        radius: isArc ? pt.radius : '',
+        largeArc: false,
+        anchor: pt.anchor || '',
+      }
+    }),
+    errors: [],
+  }
+}
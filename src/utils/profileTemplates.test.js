@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { PROFILE_TEMPLATES, buildTemplatePoints, getDefaultTemplateParams } from './profileTemplates'
+import { getArcGeometry, getSegmentHeadingAt, getSegmentLength, sampleProfilePoints } from './geometry'
+
+// Same segment construction as the profile editor
+const toSegments = (points) => points.slice(1).map((pt, i) => {
+  const prev = points[i]
+  return pt.type === 'arc'
+    ? { type: 'arc', start: { x: prev.x, y: prev.y }, end: { x: pt.x, y: pt.y }, radius: pt.radius, largeArc: false }
+    : { type: 'line', start: { x: prev.x, y: prev.y }, end: { x: pt.x, y: pt.y } }
+})
+
+const expectClosedAndTangent = (segments, tangentJoints) => {
+  const first = segments[0].start
+  const last = segments[segments.length - 1].end
+  expect(last.x).toBeCloseTo(first.x, 9)
+  expect(last.y).toBeCloseTo(first.y, 9)
+  segments.forEach((seg) => {
+    if (seg.type === 'arc') expect(getArcGeometry(seg)).not.toBeNull()
+  })
+  tangentJoints.forEach((i) => {
+    const a = segments[i]
+    const b = segments[i + 1]
+    const diff = getSegmentHeadingAt(a, getSegmentLength(a)) - getSegmentHeadingAt(b, 0)
+    expect(Math.abs(Math.sin(diff))).toBeLessThan(1e-9)
+  })
+}
+
+describe('profile templates', () => {
+  it('provides defaults that build for every template', () => {
+    Object.keys(PROFILE_TEMPLATES).forEach((type) => {
+      const { points, errors } = buildTemplatePoints(type, getDefaultTemplateParams(type))
+      expect(errors).toEqual([])
+      expect(points.length).toBeGreaterThan(2)
+    })
+  })
+
+  it('builds a circle of the inner radius around the springline', () => {
+    const { points } = buildTemplatePoints('circular', { radius: 4, springlineOffset: 1 })
+    const pts = sampleProfilePoints({ segments: toSegments(points) }, { maxChord: 0.5 })
+    pts.forEach(p => expect(Math.hypot(p.x, p.y - 1)).toBeCloseTo(4, 9))
+  })
+
+  it('builds a tangent horseshoe with side walls and invert', () => {
+    const { points } = buildTemplatePoints('horseshoe', { radius: 5, sideRadius: 10, wallHeight: 4, invertRadius: 15, springlineOffset: 2 })
+    const segments = toSegments(points)
+    // Crown -> side wall joint is tangent at the springline
+    expectClosedAndTangent(segments, [0])
+    expect(points[3].y).toBeCloseTo(-2)
+    expect(points[3].x).toBeCloseTo(-(5 - 10 + Math.sqrt(100 - 16)))
+
+    const flat = buildTemplatePoints('horseshoe', { radius: 5, sideRadius: 10, wallHeight: 4, invertRadius: '' })
+    expect(flat.points.slice(4, 6).map(p => p.type)).toEqual(['line', 'line'])
+    expect(flat.points[4].y).toBeCloseTo(-4)
+  })
+
+  it('builds a D-shape with straight walls and flat invert', () => {
+    const { points } = buildTemplatePoints('dShape', { width: 8, wallHeight: 3, springlineOffset: 0 })
+    expect(points.map(p => p.type)).toEqual(['line', 'arc', 'arc', 'line', 'line', 'line', 'line'])
+    expectClosedAndTangent(toSegments(points), [0, 1])
+  })
+
+  it('builds a multi-centre arch with tangent shoulders and crown', () => {
+    const { points } = buildTemplatePoints('multiCentre', { width: 12, crownRadius: 8, shoulderRadius: 4, wallHeight: 3, invertRadius: 20 })
+    const segments = toSegments(points)
+    expectClosedAndTangent(segments, [0, 1, 2, 3])
+    // Crown apex lies on the centre line, above the springline
+    const crown = getArcGeometry(segments[1])
+    expect(crown.center.x).toBeCloseTo(0, 9)
+    expect(crown.center.y + crown.R).toBeGreaterThan(0)
+  })
+
+  it('splits the crown and invert on the centre line and marks them as anchors', () => {
+    Object.keys(PROFILE_TEMPLATES).forEach((type) => {
+      const { points } = buildTemplatePoints(type, getDefaultTemplateParams(type))
+      const pts = sampleProfilePoints({ segments: toSegments(points) }, { maxChord: 0.05 })
+      const ys = pts.map(p => p.y)
+      const crown = points.find(p => p.anchor === 'Crown')
+      const invert = points.find(p => p.anchor === 'Invert')
+      expect(crown.x).toBe(0)
+      expect(invert.x).toBe(0)
+      expect(crown.y).toBeCloseTo(Math.max(...ys), 9)
+      expect(invert.y).toBeCloseTo(Math.min(...ys), 3)
+    })
+  })
+
+  it('reports invalid parameters instead of building', () => {
+    expect(buildTemplatePoints('circular', { radius: 0 }).errors.length).toBe(1)
+    expect(buildTemplatePoints('horseshoe', { radius: 5, sideRadius: 4 }).points).toEqual([])
+    expect(buildTemplatePoints('multiCentre', { width: 12, crownRadius: 5 }).errors[0]).toMatch(/Crown radius/)
+    expect(buildTemplatePoints('nope').errors[0]).toMatch(/Unknown template/)
+  })
+})
@@ -0,0 +1,90 @@
+// How a profile assignment hands over to the next one. The mode is stored on the
+// assignment where the stretch starts: linear and smooth (ease-in/out) blend over
+// the whole stretch, hold keeps the profile and changes it in one step at the next
+// station, and transition blends over `transitionLength` metres and then holds the
+// next profile. Assignments without a mode blend linearly.
+
+export const INTERPOLATION_MODES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'smooth', label: 'Smooth' },
+  { value: 'hold', label: 'Hold' },
+  { value: 'transition', label: 'Transition, then hold' },
+]
+
+export function normalizeInterpolationMode(mode) {
+  return INTERPOLATION_MODES.some(m => m.value === mode) ? mode : 'linear'
+}
+
+// Blend length of a 'transition' assignment, limited to the stretch it starts
+function getTransitionLength(assignment, span) {
+  return Math.min(span, Math.max(0, Number(assignment?.transitionLength) || 0))
+}
+
+/**
+ * Blend factor (0 = this assignment's profile, 1 = the next one) at `distance`
+ * past the assignment, for a stretch of length `span` to the next assignment.
+ */
+export function getTransitionFactor(assignment, distance, span) {
+  if (!(span > 0)) return 0
+  const u = Math.max(0, Math.min(1, distance / span))
+  switch (normalizeInterpolationMode(assignment?.interpolation)) {
+    case 'hold':
+      return u >= 1 ? 1 : 0
+    case 'smooth':
+      return u * u * (3 - 2 * u)
+    case 'transition': {
+      const n = getTransitionLength(assignment, span)
+      if (n <= 0) return distance > 0 ? 1 : 0
+      return Math.max(0, Math.min(1, distance / n))
+    }
+    default:
+      return u
+  }
+}
+
+/**
+ * Splits the axis into stretches for display: {from, to, a, b, kind} where kind is
+ * 'hold' (profile a throughout) or the easing of a blend from a to b ('linear' or
+ * 'smooth'). Before the first and after the last assignment its profile is held.
+ */
+export function getTransitionStretches(sortedAssignments = [], totalLength = 0) {
+  if (!sortedAssignments.length) return []
+  const first = sortedAssignments[0]
+  const last = sortedAssignments[sortedAssignments.length - 1]
+  const stretches = [{ from: 0, to: first.length, a: first.profileId, b: first.profileId, kind: 'hold' }]
+  sortedAssignments.slice(0, -1).forEach((prev, i) => {
+    const next = sortedAssignments[i + 1]
+    const mode = normalizeInterpolationMode(prev.interpolation)
+    const hold = (profileId) => ({ from: prev.length, to: next.length, a: profileId, b: profileId, kind: 'hold' })
+    if (prev.profileId === next.profileId || mode === 'hold') {
+      stretches.push(hold(prev.profileId))
+    } else if (mode === 'transition') {
+      const end = prev.length + getTransitionLength(prev, next.length - prev.length)
+      stretches.push({ from: prev.length, to: end, a: prev.profileId, b: next.profileId, kind: 'linear' })
+      stretches.push({ ...hold(next.profileId), from: end })
+    } else {
+      stretches.push({ from: prev.length, to: next.length, a: prev.profileId, b: next.profileId, kind: mode })
+    }
+  })
+  stretches.push({ from: last.length, to: totalLength, a: last.profileId, b: last.profileId, kind: 'hold' })
+  return stretches.filter(s => s.to > s.from)
+}
+
+// Extra sample lengths so meshes follow the mode: the end of each transition and
+// intermediate stations along smooth blends, whose shape is not linear in length.
+export function getTransitionSampleLengths(assignments = [], smoothSteps = 8) {
+  const sorted = [...assignments].sort((a, b) => a.length - b.length)
+  const lengths = []
+  sorted.slice(0, -1).forEach((prev, i) => {
+    const next = sorted[i + 1]
+    const span = next.length - prev.length
+    if (!(span > 0) || prev.profileId === next.profileId) return
+    const mode = normalizeInterpolationMode(prev.interpolation)
+    if (mode === 'transition') {
+      lengths.push(prev.length + getTransitionLength(prev, span))
+    } else if (mode === 'smooth') {
+      for (let k = 1; k < smoothSteps; k++) lengths.push(prev.length + (span * k) / smoothSteps)
+    }
+  })
+  return lengths
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { getTransitionFactor, getTransitionSampleLengths, getTransitionStretches } from './profileTransitions'
+import { findProfileBracket } from './geometry'
+
+describe('profile transitions', () => {
+  it('shapes the blend factor by mode', () => {
+    expect(getTransitionFactor({}, 25, 100)).toBeCloseTo(0.25, 12)
+    expect(getTransitionFactor({ interpolation: 'smooth' }, 50, 100)).toBeCloseTo(0.5, 12)
+    expect(getTransitionFactor({ interpolation: 'smooth' }, 10, 100)).toBeCloseTo(0.028, 12)
+    expect(getTransitionFactor({ interpolation: 'hold' }, 99.9, 100)).toBe(0)
+    expect(getTransitionFactor({ interpolation: 'hold' }, 100, 100)).toBe(1)
+    const transition = { interpolation: 'transition', transitionLength: 20 }
+    expect(getTransitionFactor(transition, 10, 100)).toBeCloseTo(0.5, 12)
+    expect(getTransitionFactor(transition, 60, 100)).toBe(1)
+    // A blend longer than the stretch is plain linear
+    expect(getTransitionFactor({ ...transition, transitionLength: 500 }, 25, 100)).toBeCloseTo(0.25, 12)
+  })
+
+  it('steps held profiles at the next station', () => {
+    const assignments = [
+      { length: 0, profileId: 1, interpolation: 'hold' },
+      { length: 50, profileId: 2 },
+    ]
+    expect(findProfileBracket(50, assignments, false).t).toBe(0)
+    const atStation = findProfileBracket(50, assignments, true)
+    expect(atStation.t === 1 ? atStation.next.profileId : atStation.prev.profileId).toBe(2)
+  })
+
+  it('splits the axis into holds and blends', () => {
+    const assignments = [
+      { length: 10, profileId: 1, interpolation: 'transition', transitionLength: 15 },
+      { length: 50, profileId: 2, interpolation: 'hold' },
+      { length: 70, profileId: 3, interpolation: 'smooth' },
+      { length: 90, profileId: 1 },
+    ]
+    expect(getTransitionStretches(assignments, 100).map(s => [s.from, s.to, s.a, s.b, s.kind])).toEqual([
+      [0, 10, 1, 1, 'hold'],
+      [10, 25, 1, 2, 'linear'],
+      [25, 50, 2, 2, 'hold'],
+      [50, 70, 2, 2, 'hold'],
+      [70, 90, 3, 1, 'smooth'],
+      [90, 100, 1, 1, 'hold'],
+    ])
+    expect(getTransitionSampleLengths(assignments, 4)).toEqual([25, 75, 80, 85])
+  })
+})
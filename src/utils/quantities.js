@@ -0,0 +1,152 @@
+// Quantities along the axis: excavation and lining volumes and lining surface area.
+// Profiles describe the inner (clear) lining surface; the excavation line lies a
+// uniform lining thickness outside it. Section values are integrated along the axis
+// with the trapezoidal rule, scaled for plan and vertical curvature (Pappus: the
+// centroid's offset from the axis) and, for sections normal to the axis, for grade.
+import { collectSampleLengths, computeAxisTotalLength, createProfileMergeCache, findProfileBracket, getCurvatureAtLength } from './geometry'
+import { getGradeAtLength } from './verticalAlignment'
+import { computeSectionPropertiesAtLength } from './sectionProperties'
+import { getRollAngleAtLength, normalizeSuperelevation } from './superelevation'
+import { buildChainageRangeBoundaries, formatLengthAsStation } from './chainage'
+
+// Quantities per unit axis length at a length (isStart as in findProfileBracket)
+function rateAtLength(len, ctx, isStart = true) {
+  const { axisData, heightAssignments, profileAssignments, profiles, liningThickness: t, frameMode, superelevation, morph, mergeCache } = ctx
+  const props = computeSectionPropertiesAtLength(len, profileAssignments, profiles, { morph, isStart, mergeCache })
+  if (!props || !props.centroid) return { axis: 1, excavation: 0, lining: 0, surface: 0 }
+
+  // Vertical section planes are swept horizontally; normal sections follow the 3D axis
+  const normalSections = frameMode !== 'vertical'
+  const grade = getGradeAtLength(heightAssignments, len)
+  const stretch = Math.sqrt(1 + grade * grade)
+  const J = normalSections ? stretch : 1
+  const kPlan = getCurvatureAtLength(axisData, len)
+  const h = 0.5
+  const kVert = normalSections
+    ? (getGradeAtLength(heightAssignments, len + h) - getGradeAtLength(heightAssignments, Math.max(0, len - h))) / (2 * h) / stretch ** 3
+    : 0
+
+  // Superelevation rolls the section about the pivot
+  const angle = getRollAngleAtLength(superelevation, len)
+  const { pivot } = superelevation
+  const roll = (p) => ({
+    x: pivot.x + (p.x - pivot.x) * Math.cos(angle) - (p.y - pivot.y) * Math.sin(angle),
+    y: pivot.y + (p.x - pivot.x) * Math.sin(angle) + (p.y - pivot.y) * Math.cos(angle),
+  })
+  // Points right of the axis lie on the outside of a left-hand curve; points above
+  // the axis on the inside of a sag curve
+  const factor = (p) => {
+    const q = roll(p)
+    return (1 + kPlan * q.x) * (1 - kVert * q.y)
+  }
+
+  const liningArea = t > 0 ? props.perimeter * t + Math.PI * t * t : 0
+  const areaFactor = factor(props.centroid)
+  return {
+    axis: stretch,
+    excavation: (props.area + liningArea) * areaFactor * J,
+    lining: liningArea * areaFactor * J,
+    surface: props.perimeter * factor(props.perimeterCentroid) * J,
+  }
+}
+
+const emptyTotals = () => ({ length: 0, axisLength: 0, excavation: 0, lining: 0, surface: 0 })
+
+function addSlice(target, a, b, ds) {
+  target.length += ds
+  target.axisLength += ((a.axis + b.axis) / 2) * ds
+  target.excavation += ((a.excavation + b.excavation) / 2) * ds
+  target.lining += ((a.lining + b.lining) / 2) * ds
+  target.surface += ((a.surface + b.surface) / 2) * ds
+}
+
+/**
+ * Integrates quantities along the axis.
+ * options: {step (integration step, default 1), rangeStep (report interval in
+ * station units, default 100), liningThickness, frameMode, superelevation, chainage}
+ * Returns {ranges: [{from, to, ...}], profiles: [{key, label, ...}], total}, each
+ * with length (plan), axisLength (3D), excavation, lining and surface.
+ */
+export function computeQuantities(axisData, heightAssignments, profileAssignments, profiles, options = {}) {
+  const totalLength = computeAxisTotalLength(axisData)
+  const result = { ranges: [], profiles: [], total: emptyTotals() }
+  if (totalLength <= 0 || !Array.isArray(profileAssignments) || profileAssignments.length === 0) return result
+
+  const step = Math.max(0.01, Number(options.step) || 1)
+  const ctx = {
+    axisData,
+    heightAssignments,
+    profileAssignments,
+    profiles,
+    liningThickness: Math.max(0, Number(options.liningThickness) || 0),
+    frameMode: options.frameMode,
+    superelevation: normalizeSuperelevation(options.superelevation),
+    morph: options.morph,
+    mergeCache: createProfileMergeCache(),
+  }
+
+  const boundaries = buildChainageRangeBoundaries(totalLength, options.chainage, Number(options.rangeStep) || 100)
+  const lengths = new Set([
+    ...collectSampleLengths(axisData, heightAssignments, profileAssignments, { axisArcStep: step, superelevation: ctx.superelevation }),
+    ...boundaries,
+  ])
+  for (let len = step; len < totalLength; len += step) lengths.add(Number(len.toFixed(6)))
+  const samples = Array.from(lengths).filter(l => l >= 0 && l <= totalLength + 1e-9).sort((a, b) => a - b)
+
+  result.ranges = boundaries.slice(0, -1).map((from, i) => ({ from, to: boundaries[i + 1], ...emptyTotals() }))
+  const byProfile = new Map()
+  const profileName = (id) => (profiles || []).find(p => p.id === id)?.name || 'None'
+
+  // Held profiles change in one step at an assignment, so slices ending there use the section before it
+  const stations = new Set(profileAssignments.map(a => Number((Number(a.length) || 0).toFixed(6))))
+
+  let rangeIndex = 0
+  let prevRate = rateAtLength(samples[0], ctx)
+  for (let i = 0; i < samples.length - 1; i++) {
+    const a = samples[i]
+    const b = samples[i + 1]
+    const rate = rateAtLength(b, ctx)
+    const endRate = stations.has(b) ? rateAtLength(b, ctx, false) : rate
+    const ds = b - a
+    if (ds > 0) {
+      const mid = (a + b) / 2
+      while (rangeIndex < result.ranges.length - 1 && mid >= result.ranges[rangeIndex].to) rangeIndex++
+      addSlice(result.ranges[rangeIndex], prevRate, endRate, ds)
+
+      // Held stretches count towards the profile in place, not the transition
+      const { prev, next, t } = findProfileBracket(mid, profileAssignments, true)
+      const held = t === 0 ? prev : t === 1 ? next : null
+      const same = prev.profileId === next.profileId || held !== null
+      const single = held || prev
+      const key = same ? String(single.profileId) : `${prev.profileId}>${next.profileId}`
+      if (!byProfile.has(key)) {
+        byProfile.set(key, {
+          key,
+          label: same ? profileName(single.profileId) : `${profileName(prev.profileId)} → ${profileName(next.profileId)}`,
+          ...emptyTotals(),
+        })
+      }
+      addSlice(byProfile.get(key), prevRate, endRate, ds)
+      addSlice(result.total, prevRate, endRate, ds)
+    }
+    prevRate = rate
+  }
+
+  result.profiles = Array.from(byProfile.values())
+  return result
+}
+
+export function quantitiesToCSV(quantities, chainage) {
+  const num = (v) => (Number.isFinite(v) ? v.toFixed(3) : '')
+  const text = (v) => `"${String(v).replace(/"/g, '""')}"`
+  const values = (q) => [num(q.length), num(q.axisLength), num(q.excavation), num(q.lining), num(q.surface)]
+  const lines = [['Group', 'From', 'To', 'Plan length', 'Axis length', 'Excavation volume', 'Lining volume', 'Lining surface'].join(',')]
+  quantities.ranges.forEach((r) => {
+    lines.push(['Range', formatLengthAsStation(r.from, chainage), formatLengthAsStation(r.to, chainage), ...values(r)].join(','))
+  })
+  quantities.profiles.forEach((p) => {
+    lines.push(['Profile', text(p.label), '', ...values(p)].join(','))
+  })
+  lines.push(['Total', '', '', ...values(quantities.total)].join(','))
+  return lines.join('\n')
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { computeQuantities, quantitiesToCSV } from './quantities'
+import { circle, straight } from './testGeometry'
+
+describe('quantities', () => {
+  it('integrates a circular section along a straight axis', () => {
+    const profiles = [{ id: 1, name: 'Circle', segments: circle(2) }]
+    const q = computeQuantities(straight, [], [{ length: 0, profileId: 1 }], profiles, { liningThickness: 0.5 })
+    expect(q.total.length).toBeCloseTo(100)
+    expect(q.total.excavation).toBeCloseTo(Math.PI * 2.5 * 2.5 * 100, 6)
+    expect(q.total.lining).toBeCloseTo(Math.PI * (2.5 * 2.5 - 4) * 100, 6)
+    expect(q.total.surface).toBeCloseTo(2 * Math.PI * 2 * 100, 6)
+    expect(q.profiles).toHaveLength(1)
+    expect(q.profiles[0].label).toBe('Circle')
+  })
+
+  it('applies Pappus on curves for sections off the axis', () => {
+    // Quarter circle turning left with radius 50; section centred 3 m to the right
+    const arc = [{ type: 'arc', start: { x: 50, y: 0 }, end: { x: 0, y: 50 }, radius: 50 }]
+    const profiles = [{ id: 1, name: 'Offset', segments: circle(1, { cx: 3 }) }]
+    const q = computeQuantities(arc, [], [{ length: 0, profileId: 1 }], profiles)
+    const L = (Math.PI / 2) * 50
+    expect(q.total.excavation).toBeCloseTo(Math.PI * L * (53 / 50), 4)
+    expect(q.total.surface).toBeCloseTo(2 * Math.PI * L * (53 / 50), 4)
+  })
+
+  it('accounts for grade depending on the section orientation', () => {
+    const profiles = [{ id: 1, name: 'Circle', segments: circle(1) }]
+    const heights = [{ length: 0, height: 0 }, { length: 100, height: 10 }]
+    const normal = computeQuantities(straight, heights, [{ length: 0, profileId: 1 }], profiles)
+    expect(normal.total.axisLength).toBeCloseTo(Math.sqrt(1.01) * 100, 6)
+    expect(normal.total.excavation).toBeCloseTo(Math.PI * Math.sqrt(1.01) * 100, 6)
+    const vertical = computeQuantities(straight, heights, [{ length: 0, profileId: 1 }], profiles, { frameMode: 'vertical' })
+    expect(vertical.total.excavation).toBeCloseTo(Math.PI * 100, 6)
+  })
+
+  it('steps held profiles at the next assignment', () => {
+    const profiles = [
+      { id: 1, name: 'A', segments: circle(1) },
+      { id: 2, name: 'B', segments: circle(2) },
+    ]
+    const assignments = [{ length: 0, profileId: 1, interpolation: 'hold' }, { length: 40, profileId: 2 }]
+    const q = computeQuantities(straight, [], assignments, profiles)
+    expect(q.profiles.map(p => p.label)).toEqual(['A', 'B'])
+    expect(q.profiles[0].excavation).toBeCloseTo(Math.PI * 40, 6)
+    expect(q.total.excavation).toBeCloseTo(Math.PI * 40 + Math.PI * 4 * 60, 6)
+  })
+
+  it('reports profile transitions', () => {
+    const profiles = [
+      { id: 1, name: 'A', segments: circle(1) },
+      { id: 2, name: 'B', segments: circle(2) },
+    ]
+    const assignments = [{ length: 0, profileId: 1 }, { length: 40, profileId: 1 }, { length: 60, profileId: 2 }]
+    const q = computeQuantities(straight, [], assignments, profiles, { rangeStep: 50 })
+    expect(q.ranges.map(r => [r.from, r.to])).toEqual([[0, 50], [50, 100]])
+    expect(q.profiles.map(p => p.label)).toEqual(['A', 'A → B', 'B'])
+    expect(q.profiles[0].excavation).toBeCloseTo(Math.PI * 40, 6)
+    expect(q.profiles[2].excavation).toBeCloseTo(Math.PI * 4 * 40, 6)
+    const sum = q.ranges.reduce((acc, r) => acc + r.excavation, 0)
+    expect(sum).toBeCloseTo(q.total.excavation, 6)
+
+    const csv = quantitiesToCSV(q, { startStation: 0 }).split('\n')
+    expect(csv[0]).toMatch(/^Group,From,To/)
+    expect(csv[1]).toMatch(/^Range,0\+000\.000,0\+050\.000,50\.000/)
+    expect(csv[csv.length - 1]).toMatch(/^Total,,,100\.000/)
+  })
+})
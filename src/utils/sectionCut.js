@@ -0,0 +1,100 @@
+// Cross-section of the tunnel at one length, built the way the 3D view builds its
+// rings: the interpolated outline of every layer, placed in the section frame at the
+// axis point and rolled by the superelevation about its pivot. Chord frames are
+// taken over the next metre of axis (the view uses the chord to its next sample).
+import {
+  buildPerpendicularAxes,
+  computeAxisTotalLength,
+  findProfileBracket,
+  getAxis3DPointsAtLength,
+  getHeadingAtLength,
+  getSectionFrameAtLength,
+  interpolateProfileAtLength,
+  rollFrame,
+} from './geometry'
+import { getProfileLayerNames } from './profileLayers'
+import { computePolygonProperties } from './sectionProperties'
+import { getGradeAtLength } from './verticalAlignment'
+import { getRollAngleAtLength, normalizeSuperelevation, rollProfilePoints } from './superelevation'
+
+function getBaseFrame(axisData, heightAssignments, length, totalLength, options) {
+  if (options.frameMode === 'vertical' || options.frameMode === 'rmf') {
+    return getSectionFrameAtLength(axisData, heightAssignments, length, options)
+  }
+  const a = Math.min(length, Math.max(0, totalLength - 1))
+  return buildPerpendicularAxes(
+    getAxis3DPointsAtLength(axisData, heightAssignments, a),
+    getAxis3DPointsAtLength(axisData, heightAssignments, Math.min(totalLength, a + 1)),
+  )
+}
+
+/**
+ * Section at `length`. options: {layers (names, default all), superelevation,
+ * frameMode, frames (see buildSectionFrameMap, for 'rmf'), morph}. Returns null
+ * without an axis, otherwise {length, center, frame, roll, pivot, pivotPoint,
+ * heading, grade, bracket, layers} where center is the axis point ({x: easting,
+ * y: height, z: northing}), frame the rolled {xAxis, yAxis, direction}, pivotPoint
+ * the pivot in 3D and each layer {name, points (profile coordinates), rolledPoints
+ * (as seen in the unrolled section plane), points3D, properties}. Layers without a
+ * section here are left out.
+ */
+export function getSectionAtLength(axisData, heightAssignments, profileAssignments, profiles, length, options = {}) {
+  const totalLength = computeAxisTotalLength(axisData)
+  if (!(totalLength > 0)) return null
+  const len = Math.max(0, Math.min(length, totalLength))
+
+  const center = getAxis3DPointsAtLength(axisData, heightAssignments, len)
+  const superelevation = normalizeSuperelevation(options.superelevation)
+  const { pivot } = superelevation
+  const roll = getRollAngleAtLength(superelevation, len)
+  const baseFrame = getBaseFrame(axisData, heightAssignments, len, totalLength, options)
+  const frame = rollFrame(baseFrame, roll)
+
+  // Same placement as buildProfileSection3DRange: the pivot stays on the base frame
+  const origin = {
+    x: center.x + baseFrame.xAxis.x * pivot.x + baseFrame.yAxis.x * pivot.y,
+    y: center.y + baseFrame.xAxis.y * pivot.x + baseFrame.yAxis.y * pivot.y,
+    z: center.z + baseFrame.xAxis.z * pivot.x + baseFrame.yAxis.z * pivot.y,
+  }
+  const to3D = (p) => {
+    const px = p.x - pivot.x
+    const py = p.y - pivot.y
+    return {
+      x: origin.x + frame.xAxis.x * px + frame.yAxis.x * py,
+      y: origin.y + frame.xAxis.y * px + frame.yAxis.y * py,
+      z: origin.z + frame.xAxis.z * px + frame.yAxis.z * py,
+    }
+  }
+
+  const layerNames = options.layers || getProfileLayerNames(profiles)
+  const layers = []
+  layerNames.forEach((name) => {
+    const points = interpolateProfileAtLength(len, profileAssignments, profiles, {
+      layer: name,
+      morph: options.morph,
+      maxChord: 0.05,
+      minArcSteps: 32,
+    }, true)
+    if (!points || points.length < 3) return
+    layers.push({
+      name,
+      points,
+      rolledPoints: rollProfilePoints(points, roll, pivot),
+      points3D: points.map(to3D),
+      properties: computePolygonProperties(points),
+    })
+  })
+
+  return {
+    length: len,
+    center,
+    frame,
+    roll,
+    pivot,
+    pivotPoint: origin,
+    heading: getHeadingAtLength(axisData, len),
+    grade: getGradeAtLength(heightAssignments, len),
+    bracket: findProfileBracket(len, profileAssignments, true),
+    layers,
+  }
+}
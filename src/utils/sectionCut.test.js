@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { getSectionAtLength } from './sectionCut'
+import { circle, northAxis as axis } from './testGeometry'
+
+const heights = [{ length: 0, height: 50 }, { length: 100, height: 60 }]
+
+describe('section cut', () => {
+  it('places the interpolated section in its frame', () => {
+    const profiles = [
+      { id: 1, name: 'Small', points: [], segments: circle(2) },
+      { id: 2, name: 'Large', points: [], segments: circle(4) },
+    ]
+    const assignments = [{ length: 0, profileId: 1 }, { length: 100, profileId: 2 }]
+    const section = getSectionAtLength(axis, heights, assignments, profiles, 50, { frameMode: 'vertical' })
+
+    expect(section.center.x).toBeCloseTo(1000, 9)
+    expect(section.center.z).toBeCloseTo(2050, 9)
+    expect(section.center.y).toBeCloseTo(55, 6)
+    expect(section.grade).toBeCloseTo(0.1, 6)
+    expect(section.bracket.t).toBeCloseTo(0.5, 9)
+
+    const [layer] = section.layers
+    expect(layer.properties.width).toBeCloseTo(6, 1)
+    // Profile +x is to the right of travel: east when heading north
+    const right = layer.points3D[layer.points.findIndex(p => p.x === Math.max(...layer.points.map(q => q.x)))]
+    expect(right.x).toBeCloseTo(1003, 1)
+    expect(right.z).toBeCloseTo(2050, 6)
+  })
+
+  it('rolls the outline about the pivot with the superelevation', () => {
+    const profiles = [{ id: 1, name: 'Circle', points: [], segments: circle(2) }]
+    const superelevation = { pivot: { x: 0, y: -2 }, rows: [{ length: 0, crossfall: 5 }] }
+    const section = getSectionAtLength(axis, [], [{ length: 0, profileId: 1 }], profiles, 10, { superelevation })
+    expect(section.roll).not.toBe(0)
+    const [layer] = section.layers
+    const i = layer.points.findIndex(p => p.x === Math.max(...layer.points.map(q => q.x)))
+    // Positive cross-fall raises the right side, keeping distances to the pivot
+    expect(layer.rolledPoints[i].y).toBeGreaterThan(layer.points[i].y)
+    layer.points.forEach((p, k) => {
+      const r = layer.rolledPoints[k]
+      expect(Math.hypot(r.x, r.y + 2)).toBeCloseTo(Math.hypot(p.x, p.y + 2), 9)
+    })
+    expect(layer.points3D[i].y).toBeCloseTo(section.center.y + layer.rolledPoints[i].y, 9)
+  })
+})
@@ -0,0 +1,170 @@
+// Cross-section properties. Profiles are integrated exactly over their line and arc
+// segments (Green's theorem); blended sections between two different profiles only
+// exist as sampled polygons and are integrated as such.
+import { findProfileBracket, getArcGeometry, getSegmentLength, interpolateProfileAtLength } from './geometry'
+import { formatLengthAsStation } from './chainage'
+
+// Closed-form ∮x dy, ∮x² dy, ∮y² dx and perimeter moment (∫x dl, ∫y dl) contributions of one segment
+function segmentIntegrals(seg) {
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  if (arc) {
+    const { center: c, R, startAngle: a, sweep } = arc
+    const b = a + sweep
+    const sin = Math.sin
+    const cos = Math.cos
+    // x = cx + R cosθ, y = cy + R sinθ
+    const intCos = sin(b) - sin(a)
+    const intSin = -(cos(b) - cos(a))
+    const intCos2 = sweep / 2 + (sin(2 * b) - sin(2 * a)) / 4
+    const intSin2 = sweep / 2 - (sin(2 * b) - sin(2 * a)) / 4
+    const intCos3 = intCos - (sin(b) ** 3 - sin(a) ** 3) / 3
+    const intSin3 = intSin + (cos(b) ** 3 - cos(a) ** 3) / 3
+    const dir = Math.sign(sweep)
+    return {
+      xdl: R * (c.x * Math.abs(sweep) + R * dir * intCos),
+      ydl: R * (c.y * Math.abs(sweep) + R * dir * intSin),
+      xdy: R * (c.x * intCos + R * intCos2),
+      ydx: -R * (c.y * intSin + R * intSin2),
+      x2dy: R * (c.x * c.x * intCos + 2 * c.x * R * intCos2 + R * R * intCos3),
+      y2dx: -R * (c.y * c.y * intSin + 2 * c.y * R * intSin2 + R * R * intSin3),
+    }
+  }
+  const x1 = seg.start.x
+  const y1 = seg.start.y
+  const dx = seg.end.x - x1
+  const dy = seg.end.y - y1
+  const L = Math.hypot(dx, dy)
+  return {
+    xdl: L * (x1 + dx / 2),
+    ydl: L * (y1 + dy / 2),
+    xdy: dy * (x1 + dx / 2),
+    ydx: dx * (y1 + dy / 2),
+    x2dy: dy * (x1 * x1 + x1 * dx + (dx * dx) / 3),
+    y2dx: dx * (y1 * y1 + y1 * dy + (dy * dy) / 3),
+  }
+}
+
+// Exact bounding box of a segment (arc extremes where the sweep crosses 0/90/180/270°)
+function segmentBounds(seg) {
+  const xs = [seg.start.x, seg.end.x]
+  const ys = [seg.start.y, seg.end.y]
+  const arc = seg.type === 'arc' ? getArcGeometry(seg) : null
+  if (arc) {
+    const lo = Math.min(arc.startAngle, arc.startAngle + arc.sweep)
+    const hi = Math.max(arc.startAngle, arc.startAngle + arc.sweep)
+    for (let k = Math.ceil(lo / (Math.PI / 2)); k * (Math.PI / 2) <= hi; k++) {
+      const ang = k * (Math.PI / 2)
+      xs.push(arc.center.x + arc.R * Math.cos(ang))
+      ys.push(arc.center.y + arc.R * Math.sin(ang))
+    }
+  }
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) }
+}
+
+function finish(integrals, perimeter, bounds) {
+  const signedArea = (integrals.xdy - integrals.ydx) / 2
+  const area = Math.abs(signedArea)
+  const centroid = signedArea
+    ? { x: integrals.x2dy / (2 * signedArea), y: -integrals.y2dx / (2 * signedArea) }
+    : null
+  return {
+    area,
+    perimeter,
+    centroid,
+    // Centroid of the outline itself (used for swept surface areas)
+    perimeterCentroid: perimeter ? { x: integrals.xdl / perimeter, y: integrals.ydl / perimeter } : null,
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY,
+    bounds,
+    hydraulicRadius: perimeter ? area / perimeter : 0,
+  }
+}
+
+/**
+ * Exact properties of a profile from its segments. An open profile is closed with
+ * a straight line, as when it is sampled for the 3D section.
+ * Returns {area, perimeter, centroid, perimeterCentroid, width, height, bounds, hydraulicRadius} or null.
+ */
+export function computeProfileProperties(segments = []) {
+  if (!Array.isArray(segments) || segments.length === 0) return null
+  const segs = [...segments]
+  const first = segs[0].start
+  const last = segs[segs.length - 1].end
+  if (Math.hypot(first.x - last.x, first.y - last.y) > 1e-9) {
+    segs.push({ type: 'line', start: { ...last }, end: { ...first } })
+  }
+
+  const totals = { xdy: 0, ydx: 0, x2dy: 0, y2dx: 0, xdl: 0, ydl: 0 }
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+  let perimeter = 0
+  segs.forEach((seg) => {
+    const integrals = segmentIntegrals(seg)
+    Object.keys(totals).forEach((k) => { totals[k] += integrals[k] })
+    const b = segmentBounds(seg)
+    bounds.minX = Math.min(bounds.minX, b.minX)
+    bounds.maxX = Math.max(bounds.maxX, b.maxX)
+    bounds.minY = Math.min(bounds.minY, b.minY)
+    bounds.maxY = Math.max(bounds.maxY, b.maxY)
+    perimeter += getSegmentLength(seg)
+  })
+  return finish(totals, perimeter, bounds)
+}
+
+// Properties of a closed polygon given by its vertices
+export function computePolygonProperties(points = []) {
+  if (!Array.isArray(points) || points.length < 3) return null
+  const segments = points.map((p, i) => ({ type: 'line', start: p, end: points[(i + 1) % points.length] }))
+    .filter(seg => seg.start.x !== seg.end.x || seg.start.y !== seg.end.y)
+  return computeProfileProperties(segments)
+}
+
+/**
+ * Properties of the section at a length. Within a single profile (or exactly at an
+ * assignment) they are exact; between two different profiles they come from the
+ * blended polygon and `exact` is false. options.isStart (default true) is passed on to
+ * findProfileBracket, for the section just before a step change.
+ */
+export function computeSectionPropertiesAtLength(length, profileAssignments, profiles, options = {}) {
+  const isStart = options.isStart !== false
+  const bracket = findProfileBracket(length, profileAssignments, isStart)
+  if (!bracket) return null
+  const { prev, next, t } = bracket
+  const useSingle = prev.profileId === next.profileId || t === 0 || t === 1
+  if (useSingle) {
+    const assignment = t === 1 ? next : prev
+    const profile = (profiles || []).find(p => p.id === assignment.profileId)
+    const props = profile ? computeProfileProperties(profile.segments) : null
+    return props ? { ...props, exact: true, profileId: profile.id } : null
+  }
+  const points = interpolateProfileAtLength(length, profileAssignments, profiles, { maxChord: 0.1, minArcSteps: 16, ...options }, isStart)
+  const props = computePolygonProperties(points || [])
+  return props ? { ...props, exact: false, profileId: null } : null
+}
+
+// Property rows at the given lengths, for tables and CSV export
+export function buildSectionPropertiesTable(lengths, profileAssignments, profiles, options = {}) {
+  return lengths.map((length) => ({ length, ...(computeSectionPropertiesAtLength(length, profileAssignments, profiles, options) || {}) }))
+}
+
+export function sectionPropertiesToCSV(rows, chainage, profiles = []) {
+  const header = ['Station', 'Length', 'Profile', 'Area', 'Perimeter', 'Centroid X', 'Centroid Y', 'Width', 'Height', 'Hydraulic radius', 'Exact']
+  const num = (v) => (Number.isFinite(v) ? v.toFixed(4) : '')
+  const lines = rows.map((r) => {
+    const profile = profiles.find(p => p.id === r.profileId)
+    const name = r.area === undefined ? '' : profile ? profile.name : 'Transition'
+    return [
+      formatLengthAsStation(r.length, chainage),
+      num(r.length),
+      `"${String(name).replace(/"/g, '""')}"`,
+      num(r.area),
+      num(r.perimeter),
+      num(r.centroid?.x),
+      num(r.centroid?.y),
+      num(r.width),
+      num(r.height),
+      num(r.hydraulicRadius),
+      r.area === undefined ? '' : r.exact ? 'yes' : 'no',
+    ].join(',')
+  })
+  return [header.join(','), ...lines].join('\n')
+}
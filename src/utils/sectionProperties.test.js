@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeProfileProperties,
+  computePolygonProperties,
+  computeSectionPropertiesAtLength,
+  buildSectionPropertiesTable,
+  sectionPropertiesToCSV,
+} from './sectionProperties'
+
+const rectangle = (w, h) => [
+  { type: 'line', start: { x: 0, y: 0 }, end: { x: w, y: 0 } },
+  { type: 'line', start: { x: w, y: 0 }, end: { x: w, y: h } },
+  { type: 'line', start: { x: w, y: h }, end: { x: 0, y: h } },
+]
+
+const centredSquare = (a) => [
+  { type: 'line', start: { x: -a / 2, y: -a / 2 }, end: { x: a / 2, y: -a / 2 } },
+  { type: 'line', start: { x: a / 2, y: -a / 2 }, end: { x: a / 2, y: a / 2 } },
+  { type: 'line', start: { x: a / 2, y: a / 2 }, end: { x: -a / 2, y: a / 2 } },
+]
+
+// Semicircle of radius R on the x axis, closed by its diameter
+const semicircle = (R) => [
+  { type: 'line', start: { x: -R, y: 0 }, end: { x: R, y: 0 } },
+  { type: 'arc', start: { x: R, y: 0 }, end: { x: -R, y: 0 }, radius: R, largeArc: false },
+]
+
+describe('section properties', () => {
+  it('integrates polygons and closes open profiles', () => {
+    const props = computeProfileProperties(rectangle(4, 2))
+    expect(props.area).toBeCloseTo(8)
+    expect(props.perimeter).toBeCloseTo(12)
+    expect(props.centroid.x).toBeCloseTo(2)
+    expect(props.centroid.y).toBeCloseTo(1)
+    expect(props.width).toBeCloseTo(4)
+    expect(props.height).toBeCloseTo(2)
+    expect(props.hydraulicRadius).toBeCloseTo(8 / 12)
+  })
+
+  it('uses the true arc geometry', () => {
+    const R = 3
+    const props = computeProfileProperties(semicircle(R))
+    expect(props.area).toBeCloseTo((Math.PI * R * R) / 2, 10)
+    expect(props.perimeter).toBeCloseTo(Math.PI * R + 2 * R, 10)
+    expect(props.centroid.x).toBeCloseTo(0, 10)
+    expect(props.centroid.y).toBeCloseTo((4 * R) / (3 * Math.PI), 10)
+    expect(props.height).toBeCloseTo(R, 10)
+    expect(props.width).toBeCloseTo(2 * R, 10)
+    // Outline centroid: arc (2R/π above the axis, length πR) and diameter (on the axis)
+    expect(props.perimeterCentroid.y).toBeCloseTo((2 * R * R) / (Math.PI * R + 2 * R), 10)
+
+    // Same result traversed clockwise
+    const reversed = semicircle(R).reverse().map(seg => ({ ...seg, start: seg.end, end: seg.start, radius: seg.radius ? -seg.radius : undefined }))
+    expect(computeProfileProperties(reversed).area).toBeCloseTo(props.area, 10)
+    expect(computeProfileProperties(reversed).centroid.y).toBeCloseTo(props.centroid.y, 10)
+  })
+
+  it('handles polygons and full circles', () => {
+    expect(computePolygonProperties([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 2 }]).area).toBeCloseTo(2)
+    const circle = [
+      { type: 'arc', start: { x: 1, y: 0 }, end: { x: -1, y: 0 }, radius: 1 },
+      { type: 'arc', start: { x: -1, y: 0 }, end: { x: 1, y: 0 }, radius: 1 },
+    ]
+    const props = computeProfileProperties(circle)
+    expect(props.area).toBeCloseTo(Math.PI, 10)
+    expect(props.hydraulicRadius).toBeCloseTo(0.5, 10)
+    expect(props.height).toBeCloseTo(2, 10)
+  })
+
+  it('computes section properties along the axis', () => {
+    const profiles = [
+      { id: 1, name: 'Small', segments: centredSquare(2) },
+      { id: 2, name: 'Large', segments: centredSquare(4) },
+    ]
+    const assignments = [
+      { length: 0, profileId: 1 },
+      { length: 10, profileId: 1 },
+      { length: 20, profileId: 2 },
+    ]
+    const within = computeSectionPropertiesAtLength(5, assignments, profiles)
+    expect(within.exact).toBe(true)
+    expect(within.area).toBeCloseTo(4)
+
+    const blended = computeSectionPropertiesAtLength(15, assignments, profiles)
+    expect(blended.exact).toBe(false)
+    expect(blended.area).toBeGreaterThan(4)
+    expect(blended.area).toBeLessThan(16)
+
+    expect(computeSectionPropertiesAtLength(20, assignments, profiles).area).toBeCloseTo(16)
+
+    const csv = sectionPropertiesToCSV(buildSectionPropertiesTable([0, 15], assignments, profiles), { startStation: 1000 }, profiles)
+    const lines = csv.split('\n')
+    expect(lines[0]).toMatch(/^Station,Length,Profile,Area/)
+    expect(lines[1]).toMatch(/^1\+000\.000,0\.0000,"Small",4\.0000/)
+    expect(lines[2]).toMatch(/"Transition".*,no$/)
+  })
+})
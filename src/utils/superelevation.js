@@ -0,0 +1,61 @@
+// Superelevation (cross-fall) along the axis. Rows give the cross-fall in % at a
+// length; between rows it changes linearly and beyond the first/last row it is held.
+// Positive cross-fall raises the right side of the section (looking ahead), so
+// left-hand curves (positive radius) usually take positive values. The section
+// rolls about a pivot given in profile coordinates (x to the right, y up).
+
+export const DEFAULT_SUPERELEVATION = { pivot: { x: 0, y: 0 }, rows: [] }
+
+export function normalizeSuperelevation(superelevation) {
+  const s = superelevation && typeof superelevation === 'object' ? superelevation : {}
+  return {
+    pivot: {
+      x: Number(s.pivot?.x) || 0,
+      y: Number(s.pivot?.y) || 0,
+    },
+    rows: (Array.isArray(s.rows) ? s.rows : [])
+      .map(r => ({ ...r, length: Number(r.length) || 0, crossfall: Number(r.crossfall) || 0 }))
+      .sort((a, b) => a.length - b.length),
+  }
+}
+
+// Cross-fall in % at a length
+export function getCrossfallAtLength(superelevation, len = 0) {
+  const { rows } = normalizeSuperelevation(superelevation)
+  if (!rows.length) return 0
+  if (len <= rows[0].length) return rows[0].crossfall
+  const last = rows[rows.length - 1]
+  if (len >= last.length) return last.crossfall
+
+  for (let i = 0; i < rows.length - 1; i++) {
+    const a = rows[i]
+    const b = rows[i + 1]
+    if (len >= a.length && len <= b.length) {
+      if (b.length === a.length) return b.crossfall
+      const t = (len - a.length) / (b.length - a.length)
+      return a.crossfall + (b.crossfall - a.crossfall) * t
+    }
+  }
+  return last.crossfall
+}
+
+// Roll angle in radians (counterclockwise in the profile plane) for a cross-fall in %
+export function crossfallToAngle(crossfall = 0) {
+  return Math.atan((Number(crossfall) || 0) / 100)
+}
+
+export function getRollAngleAtLength(superelevation, len = 0) {
+  return crossfallToAngle(getCrossfallAtLength(superelevation, len))
+}
+
+// Rotates 2D profile points about the pivot
+export function rollProfilePoints(points = [], angle = 0, pivot = { x: 0, y: 0 }) {
+  if (!angle) return points
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return points.map((p) => {
+    const dx = p.x - pivot.x
+    const dy = p.y - pivot.y
+    return { ...p, x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos }
+  })
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeSuperelevation,
+  getCrossfallAtLength,
+  crossfallToAngle,
+  rollProfilePoints,
+} from './superelevation'
+
+describe('superelevation helpers', () => {
+  it('interpolates cross-fall linearly and holds it beyond the table', () => {
+    const s = {
+      rows: [
+        { length: 50, crossfall: 0 },
+        { length: 10, crossfall: -2.5 },
+        { length: 90, crossfall: 6 },
+      ],
+    }
+    expect(getCrossfallAtLength(s, 0)).toBe(-2.5)
+    expect(getCrossfallAtLength(s, 30)).toBeCloseTo(-1.25)
+    expect(getCrossfallAtLength(s, 70)).toBeCloseTo(3)
+    expect(getCrossfallAtLength(s, 200)).toBe(6)
+    expect(getCrossfallAtLength(undefined, 5)).toBe(0)
+  })
+
+  it('normalizes missing pivot and values', () => {
+    expect(normalizeSuperelevation(null)).toEqual({ pivot: { x: 0, y: 0 }, rows: [] })
+    expect(normalizeSuperelevation({ pivot: { x: '1.5' }, rows: [{ length: '4', crossfall: 'x' }] })).toEqual({
+      pivot: { x: 1.5, y: 0 },
+      rows: [{ length: 4, crossfall: 0 }],
+    })
+  })
+
+  it('rolls profile points about the pivot', () => {
+    const angle = crossfallToAngle(100)
+    expect(angle).toBeCloseTo(Math.PI / 4)
+    const [p, pivot] = rollProfilePoints([{ x: 2, y: 1 }, { x: 1, y: 1 }], Math.PI / 2, { x: 1, y: 1 })
+    expect(p.x).toBeCloseTo(1)
+    expect(p.y).toBeCloseTo(2)
+    expect(pivot).toEqual({ x: 1, y: 1 })
+  })
+})
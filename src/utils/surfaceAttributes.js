@@ -0,0 +1,201 @@
+// Colouring of the tunnel surface by a per-station attribute. Every mesh vertex
+// carries the length of its ring (and whether that ring ends a range, where a held
+// profile steps), so any quantity that is a function of length can be shown. The
+// colours are looked up once per ring and station, not once per vertex.
+import { computeAxisTotalLength, findProfileBracket, getCurvatureAtLength, createProfileMergeCache } from './geometry'
+import { getGradeAtLength } from './verticalAlignment'
+import { getTransitionStretches } from './profileTransitions'
+import { selectProfileLayer } from './profileLayers'
+import { computeSectionPropertiesAtLength } from './sectionProperties'
+import { PROFILE_COLORS } from './colors'
+
+// Blue (low) through pale yellow to red (high)
+const SCALE_STOPS = ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c']
+
+const ZONE_COLORS = { constant: '#7f8c8d', transition: '#f39c12' }
+
+/**
+ * Colour modes of the 3D view. kind 'category' colours by discrete values, 'scale'
+ * maps a number onto SCALE_STOPS; symmetric scales are centred on zero.
+ */
+export const SURFACE_COLOR_MODES = [
+  { value: 'layer', label: 'Layer colour' },
+  { value: 'profile', label: 'Assigned profile', kind: 'category' },
+  { value: 'zone', label: 'Transition / constant', kind: 'category' },
+  { value: 'curvature', label: 'Horizontal curvature', kind: 'scale', unit: '1/m', symmetric: true },
+  { value: 'gradient', label: 'Longitudinal gradient', kind: 'scale', unit: '%', symmetric: true },
+  { value: 'area', label: 'Section area', kind: 'scale', unit: 'm²' },
+  { value: 'clearance', label: 'Clearance', kind: 'scale', unit: 'm' },
+]
+
+const hexToRgb = (hex) => {
+  const v = parseInt(hex.slice(1), 16)
+  return [((v >> 16) & 255) / 255, ((v >> 8) & 255) / 255, (v & 255) / 255]
+}
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t)
+
+function scaleColor(u) {
+  const x = Math.max(0, Math.min(1, u)) * (SCALE_STOPS.length - 1)
+  const i = Math.min(SCALE_STOPS.length - 2, Math.floor(x))
+  return mix(hexToRgb(SCALE_STOPS[i]), hexToRgb(SCALE_STOPS[i + 1]), x - i)
+}
+
+// Section area along the axis for one layer: {stretches (see getTransitionStretches),
+// samples per stretch}. Held stretches have one exact value; blends are sampled
+// AREA_STEPS times, so the cost depends on the assignments and not on the axis
+// length or the mesh resolution. areaAt interpolates linearly between the samples.
+const AREA_STEPS = 8
+
+function buildAreaSamples(layerProfiles, sorted, totalLength, morph) {
+  const mergeCache = createProfileMergeCache()
+  const area = (length, isStart) => {
+    const props = computeSectionPropertiesAtLength(length, sorted, layerProfiles, { isStart, morph, mergeCache })
+    return props ? Math.abs(props.area) : null
+  }
+  return getTransitionStretches(sorted, totalLength).map((stretch) => {
+    if (stretch.kind === 'hold') {
+      return { ...stretch, samples: [{ length: stretch.from, value: area((stretch.from + stretch.to) / 2, true) }] }
+    }
+    const samples = []
+    for (let k = 0; k <= AREA_STEPS; k++) {
+      const length = stretch.from + ((stretch.to - stretch.from) * k) / AREA_STEPS
+      samples.push({ length, value: area(length, k < AREA_STEPS) })
+    }
+    return { ...stretch, samples }
+  })
+}
+
+function areaAt(stretches, length, isEnd) {
+  if (!stretches.length) return null
+  const stretch = stretches.find(s => (isEnd ? s.from < length && length <= s.to : s.from <= length && length < s.to))
+    || (length <= stretches[0].from ? stretches[0] : stretches[stretches.length - 1])
+  const { samples } = stretch
+  if (samples.length === 1) return samples[0].value
+  const step = (stretch.to - stretch.from) / (samples.length - 1)
+  const k = Math.max(0, Math.min(samples.length - 2, Math.floor((length - stretch.from) / step)))
+  const a = samples[k]
+  const b = samples[k + 1]
+  if (a.value === null || b.value === null) return null
+  return a.value + (b.value - a.value) * Math.max(0, Math.min(1, (length - a.length) / step))
+}
+
+// Clearance between the checked stations, held beyond the first and last
+function clearanceAt(rows, length) {
+  if (!rows.length) return null
+  const value = row => (Number.isFinite(row.clearance) ? row.clearance : null)
+  if (length <= rows[0].length) return value(rows[0])
+  for (let i = 1; i < rows.length; i++) {
+    if (length <= rows[i].length) {
+      const a = value(rows[i - 1])
+      const b = value(rows[i])
+      if (a === null || b === null) return null
+      const t = (length - rows[i - 1].length) / (rows[i].length - rows[i - 1].length || 1)
+      return a + (b - a) * t
+    }
+  }
+  return value(rows[rows.length - 1])
+}
+
+/**
+ * Vertex colours for the given mesh layers ({name, stations, stationEnds}, see
+ * buildTunnelMeshData) in one of SURFACE_COLOR_MODES. context: {axisData,
+ * heightAssignments, profileAssignments, profiles, morph, clearanceResult}.
+ * Returns {colors: Map(layer name -> Float32Array of rgb), legend} where legend is
+ * {type: 'categories', items: [{label, color}]} or {type: 'scale', min, max, unit,
+ * stops}; vertices without a value are grey. Null for the 'layer' mode.
+ */
+export function buildSurfaceColors(mode, layers, context = {}) {
+  const config = SURFACE_COLOR_MODES.find(m => m.value === mode)
+  if (!config || mode === 'layer') return null
+  const { axisData = [], heightAssignments = [], profileAssignments = [], profiles = [], morph } = context
+  const sorted = [...profileAssignments].sort((a, b) => a.length - b.length)
+  const none = [0.6, 0.6, 0.6]
+
+  let valueAt
+  if (mode === 'profile' || mode === 'zone') {
+    const profileColor = (id) => {
+      const index = profiles.findIndex(p => p.id === id)
+      return index === -1 ? none : hexToRgb(PROFILE_COLORS[index % PROFILE_COLORS.length])
+    }
+    const stretches = getTransitionStretches(sorted, computeAxisTotalLength(axisData))
+    valueAt = (layer, length, isEnd) => {
+      if (mode === 'profile') {
+        // Blends show as a gradient between the two profiles' colours
+        const bracket = findProfileBracket(length, sorted, !isEnd)
+        if (!bracket) return null
+        return mix(profileColor(bracket.prev.profileId), profileColor(bracket.next.profileId), bracket.t)
+      }
+      const stretch = stretches.find(s => (isEnd ? s.from < length && length <= s.to : s.from <= length && length < s.to))
+        || stretches[stretches.length - 1]
+      if (!stretch) return null
+      return hexToRgb(stretch.kind === 'hold' ? ZONE_COLORS.constant : ZONE_COLORS.transition)
+    }
+  } else if (mode === 'curvature') {
+    valueAt = (layer, length) => getCurvatureAtLength(axisData, length)
+  } else if (mode === 'gradient') {
+    valueAt = (layer, length) => getGradeAtLength(heightAssignments, length) * 100
+  } else if (mode === 'area') {
+    const totalLength = computeAxisTotalLength(axisData)
+    const layerAreas = new Map()
+    valueAt = (layer, length, isEnd) => {
+      if (!layerAreas.has(layer)) layerAreas.set(layer, buildAreaSamples(selectProfileLayer(profiles, layer), sorted, totalLength, morph))
+      return areaAt(layerAreas.get(layer), length, isEnd)
+    }
+  } else if (mode === 'clearance') {
+    const rows = context.clearanceResult?.rows || []
+    valueAt = (layer, length) => clearanceAt(rows, length)
+  }
+
+  // One value per layer, station and side
+  const values = new Map()
+  layers.forEach((layer) => {
+    const perLayer = new Map()
+    for (let i = 0; i < layer.stations.length; i++) {
+      const key = `${layer.stations[i]}|${layer.stationEnds?.[i] ? 1 : 0}`
+      if (!perLayer.has(key)) perLayer.set(key, valueAt(layer.name, layer.stations[i], Boolean(layer.stationEnds?.[i])))
+    }
+    values.set(layer.name, perLayer)
+  })
+
+  let legend
+  let toColor
+  if (config.kind === 'category') {
+    toColor = value => value
+    legend = mode === 'profile'
+      ? { type: 'categories', items: profiles.filter(p => sorted.some(a => a.profileId === p.id)).map(p => ({ label: p.name, color: PROFILE_COLORS[profiles.indexOf(p) % PROFILE_COLORS.length] })) }
+      : { type: 'categories', items: [{ label: 'Constant', color: ZONE_COLORS.constant }, { label: 'Transition', color: ZONE_COLORS.transition }] }
+  } else {
+    let min = Infinity
+    let max = -Infinity
+    values.forEach(perLayer => perLayer.forEach((v) => {
+      if (v === null || !Number.isFinite(v)) return
+      min = Math.min(min, v)
+      max = Math.max(max, v)
+    }))
+    if (min > max) {
+      min = 0
+      max = 0
+    }
+    if (config.symmetric) {
+      max = Math.max(Math.abs(min), Math.abs(max))
+      min = -max
+    }
+    const span = max - min
+    toColor = value => (value === null || !Number.isFinite(value) ? null : scaleColor(span > 0 ? (value - min) / span : 0.5))
+    legend = { type: 'scale', min, max, unit: config.unit, stops: SCALE_STOPS }
+  }
+
+  const colors = new Map()
+  layers.forEach((layer) => {
+    const perLayer = values.get(layer.name)
+    const out = new Float32Array(layer.stations.length * 3)
+    for (let i = 0; i < layer.stations.length; i++) {
+      const rgb = toColor(perLayer.get(`${layer.stations[i]}|${layer.stationEnds?.[i] ? 1 : 0}`)) || none
+      out[i * 3] = rgb[0]
+      out[i * 3 + 1] = rgb[1]
+      out[i * 3 + 2] = rgb[2]
+    }
+    colors.set(layer.name, out)
+  })
+  return { colors, legend }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { buildSurfaceColors } from './surfaceAttributes'
+import { PROFILE_COLORS } from './colors'
+import { buildTunnelMeshData } from './tunnelMesh'
+import { circle, straight } from './testGeometry'
+
+const profiles = [
+  { id: 1, name: 'Small', points: [], segments: circle(2) },
+  { id: 2, name: 'Large', points: [], segments: circle(3) },
+]
+const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+
+// Colour of the first vertex at a station and side
+const colorAt = (layer, colors, length, isEnd) => {
+  const i = layer.stations.findIndex((s, k) => s === length && Boolean(layer.stationEnds[k]) === isEnd)
+  return i === -1 ? null : Array.from(colors.slice(i * 3, i * 3 + 3))
+}
+
+describe('surface attributes', () => {
+  it('colours held profiles on each side of the step', () => {
+    const assignments = [{ length: 0, profileId: 1, interpolation: 'hold' }, { length: 50, profileId: 2 }]
+    const mesh = buildTunnelMeshData(straight, [], assignments, profiles, { maxChord: 1 })
+    const layer = mesh.layers[0]
+    const { colors, legend } = buildSurfaceColors('profile', mesh.layers, { axisData: straight, profileAssignments: assignments, profiles })
+    const layerColors = colors.get(layer.name)
+    expect(layerColors).toHaveLength(layer.positions.length)
+    colorAt(layer, layerColors, 50, true).forEach((v, i) => expect(v).toBeCloseTo(rgb(PROFILE_COLORS[0])[i], 6))
+    colorAt(layer, layerColors, 50, false).forEach((v, i) => expect(v).toBeCloseTo(rgb(PROFILE_COLORS[1])[i], 6))
+    expect(legend.items.map(item => item.label)).toEqual(['Small', 'Large'])
+  })
+
+  it('maps numbers onto a scale', () => {
+    const assignments = [{ length: 0, profileId: 1 }, { length: 100, profileId: 2 }]
+    const heights = [{ length: 0, height: 0 }, { length: 100, height: 5 }]
+    const mesh = buildTunnelMeshData(straight, heights, assignments, profiles, { maxChord: 1 })
+    const context = { axisData: straight, heightAssignments: heights, profileAssignments: assignments, profiles }
+
+    const gradient = buildSurfaceColors('gradient', mesh.layers, context)
+    // Symmetric about zero: a constant +5 % sits at the top end
+    expect(gradient.legend).toMatchObject({ type: 'scale', min: -5, max: 5, unit: '%' })
+
+    const area = buildSurfaceColors('area', mesh.layers, context)
+    expect(area.legend.min).toBeCloseTo(Math.PI * 4, 1)
+    expect(area.legend.max).toBeCloseTo(Math.PI * 9, 1)
+    expect(buildSurfaceColors('layer', mesh.layers, context)).toBeNull()
+  })
+
+  it('keeps the area of each held profile up to the step', () => {
+    const assignments = [{ length: 0, profileId: 1, interpolation: 'hold' }, { length: 50, profileId: 2 }]
+    const mesh = buildTunnelMeshData(straight, [], assignments, profiles, { maxChord: 1 })
+    const layer = mesh.layers[0]
+    const context = { axisData: straight, profileAssignments: assignments, profiles }
+    const { colors, legend } = buildSurfaceColors('area', mesh.layers, context)
+    const layerColors = colors.get(layer.name)
+    expect(legend.min).toBeCloseTo(Math.PI * 4, 1)
+    expect(legend.max).toBeCloseTo(Math.PI * 9, 1)
+    // Bottom and top of the scale on either side of the step
+    expect(colorAt(layer, layerColors, 50, true)).toEqual(colorAt(layer, layerColors, 0, false))
+    expect(colorAt(layer, layerColors, 50, false)).not.toEqual(colorAt(layer, layerColors, 50, true))
+  })
+})
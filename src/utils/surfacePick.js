@@ -0,0 +1,92 @@
+// Describes a point clicked on the tunnel surface in the section through it: the
+// point is taken back into profile coordinates at its station and located on the
+// layer's outline by its angle and arc length from the crown.
+import { getSectionAtLength } from './sectionCut'
+
+// Closest point of a closed outline: {distance, s (arc length from the first point)}
+function projectOnOutline(points, p) {
+  let best = null
+  let s = 0
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length]
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const len = Math.hypot(dx, dy)
+    const u = len > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (len * len))) : 0
+    const distance = Math.hypot(p.x - (a.x + u * dx), p.y - (a.y + u * dy))
+    if (!best || distance < best.distance) best = { distance, s: s + u * len }
+    s += len
+  })
+  return { ...best, perimeter: s }
+}
+
+// Arc length from the first point where the outline crosses straight above the axis
+// (x = 0, lowest such crossing); null if it does not
+function findCrownArcLength(points) {
+  let best = null
+  let s = 0
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length]
+    const len = Math.hypot(b.x - a.x, b.y - a.y)
+    if ((a.x <= 0 && b.x >= 0) || (a.x >= 0 && b.x <= 0)) {
+      const u = a.x === b.x ? 0 : a.x / (a.x - b.x)
+      const y = a.y + u * (b.y - a.y)
+      if (y > 0 && (!best || y < best.y)) best = { y, s: s + u * len }
+    }
+    s += len
+  })
+  return best ? best.s : null
+}
+
+const signedArea = points => points.reduce((sum, a, i) => {
+  const b = points[(i + 1) % points.length]
+  return sum + a.x * b.y - b.x * a.y
+}, 0) / 2
+
+/**
+ * Describes a picked surface point. pick: {point ({x: easting, y: height, z:
+ * northing}), length (station of the surface there, as true length), layer};
+ * options as for getSectionAtLength; in 'rmf' mode pass the frames of
+ * buildSectionFrameMap so a pick does not transport frames along the whole axis.
+ * Returns null without a section of the layer, otherwise {length, layer, point, local ({x, y} in profile coordinates, x to the
+ * right), radius (distance from the axis point), angle (degrees clockwise from the
+ * crown, looking ahead), arc and perimeter (arc length clockwise from the crown
+ * along the layer outline, null if the outline does not pass above the axis),
+ * distance (from the outline), bracket ({prev, next, t} of the profile assignments)}.
+ */
+export function describeSurfacePoint(axisData, heightAssignments, profileAssignments, profiles, pick, options = {}) {
+  const section = getSectionAtLength(axisData, heightAssignments, profileAssignments, profiles, pick.length, {
+    ...options,
+    layers: [pick.layer],
+  })
+  const layer = section?.layers[0]
+  if (!layer) return null
+
+  const { frame, pivot, pivotPoint } = section
+  const d = { x: pick.point.x - pivotPoint.x, y: pick.point.y - pivotPoint.y, z: pick.point.z - pivotPoint.z }
+  const dot = v => d.x * v.x + d.y * v.y + d.z * v.z
+  const local = { x: dot(frame.xAxis) + pivot.x, y: dot(frame.yAxis) + pivot.y }
+
+  const angle = ((Math.atan2(local.x, local.y) * 180) / Math.PI + 360) % 360
+  const hit = projectOnOutline(layer.points, local)
+  const crown = findCrownArcLength(layer.points)
+  let arc = null
+  if (crown !== null) {
+    // Clockwise runs against a counterclockwise outline
+    const along = signedArea(layer.points) > 0 ? crown - hit.s : hit.s - crown
+    arc = ((along % hit.perimeter) + hit.perimeter) % hit.perimeter
+  }
+
+  return {
+    length: section.length,
+    layer: pick.layer,
+    point: pick.point,
+    local,
+    radius: Math.hypot(local.x, local.y),
+    angle,
+    arc,
+    perimeter: hit.perimeter,
+    distance: hit.distance,
+    bracket: section.bracket,
+  }
+}
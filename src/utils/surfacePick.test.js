@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { describeSurfacePoint } from './surfacePick'
+import { buildSectionFrameMap } from './geometry'
+import { circle, northAxis as axis } from './testGeometry'
+
+// Level at 50
+const heights = [{ length: 0, height: 50 }]
+
+describe('surface pick', () => {
+  it('locates a point on the section by offset, angle and arc from the crown', () => {
+    const profiles = [{ id: 1, name: 'A', points: [], segments: circle(2) }]
+    const assignments = [{ length: 0, profileId: 1 }]
+    const r = Math.SQRT2
+    const layer = 'Inner lining'
+
+    // Upper right, i.e. east of the axis when heading north
+    const right = describeSurfacePoint(axis, heights, assignments, profiles, {
+      point: { x: 1000 + r, y: 50 + r, z: 2025 },
+      length: 25,
+      layer,
+    }, { frameMode: 'vertical' })
+    expect(right.local.x).toBeCloseTo(r, 9)
+    expect(right.local.y).toBeCloseTo(r, 9)
+    expect(right.radius).toBeCloseTo(2, 9)
+    expect(right.angle).toBeCloseTo(45, 9)
+    expect(right.perimeter).toBeCloseTo(4 * Math.PI, 2)
+    expect(right.arc).toBeCloseTo(Math.PI / 2, 2)
+    expect(right.distance).toBeLessThan(0.01)
+
+    // Springline on the left: three quarters of the way round
+    const left = describeSurfacePoint(axis, heights, assignments, profiles, {
+      point: { x: 998, y: 50, z: 2025 },
+      length: 25,
+      layer,
+    }, { frameMode: 'vertical' })
+    expect(left.angle).toBeCloseTo(270, 9)
+    expect(left.arc).toBeCloseTo(3 * Math.PI, 2)
+
+    // Rotation-minimising frames from the precomputed map (level axis: same as vertical)
+    const frames = buildSectionFrameMap(axis, heights, { frameMode: 'rmf' })
+    const rmf = describeSurfacePoint(axis, heights, assignments, profiles, {
+      point: { x: 1000 + r, y: 50 + r, z: 2025.5 },
+      length: 25.5,
+      layer,
+    }, { frameMode: 'rmf', frames })
+    expect(rmf.local.x).toBeCloseTo(r, 9)
+    expect(rmf.angle).toBeCloseTo(45, 9)
+  })
+
+  it('reports the profiles and blend factor at the station', () => {
+    const profiles = [
+      { id: 1, name: 'A', points: [], segments: circle(2) },
+      { id: 2, name: 'B', points: [], segments: circle(3) },
+    ]
+    const assignments = [{ length: 0, profileId: 1, interpolation: 'smooth' }, { length: 100, profileId: 2 }]
+    const pick = { point: { x: 1000, y: 52.5, z: 2050 }, length: 50, layer: 'Inner lining' }
+    const result = describeSurfacePoint(axis, heights, assignments, profiles, pick)
+    expect(result.bracket.prev.profileId).toBe(1)
+    expect(result.bracket.next.profileId).toBe(2)
+    expect(result.bracket.t).toBeCloseTo(0.5, 9)
+    expect(result.angle).toBeCloseTo(0, 6)
+    expect(result.radius).toBeCloseTo(2.5, 9)
+    // At the crown the arc is zero (or the full perimeter, within rounding)
+    expect(Math.min(result.arc, result.perimeter - result.arc)).toBeLessThan(1e-6)
+
+    expect(describeSurfacePoint(axis, heights, assignments, profiles, { ...pick, layer: 'Excavation' })).toBeNull()
+  })
+})
@@ -0,0 +1,22 @@
+// Shapes shared by the utils tests
+
+// Circular profile of radius R from two half arcs, counterclockwise unless ccw is
+// false, centred on (cx, cy)
+export const circle = (R, { ccw = true, cx = 0, cy = 0 } = {}) => {
+  const r = ccw ? R : -R
+  return [
+    { type: 'arc', start: { x: cx + R, y: cy }, end: { x: cx - R, y: cy }, radius: r },
+    { type: 'arc', start: { x: cx - R, y: cy }, end: { x: cx + R, y: cy }, radius: r },
+  ]
+}
+
+export const lineAxis = (x0, y0, x1, y1) => [{ type: 'line', start: { x: x0, y: y0 }, end: { x: x1, y: y1 } }]
+
+// 100 m due east from the origin
+export const straight = lineAxis(0, 0, 100, 0)
+
+// 100 m due east far from the origin, like real project coordinates
+export const farStraight = lineAxis(500000, 5200000, 500100, 5200000)
+
+// 100 m due north from (1000, 2000)
+export const northAxis = lineAxis(1000, 2000, 1000, 2100)
@@ -0,0 +1,307 @@
+// Tunnel surface as one indexed triangle mesh per profile layer. Sections come from
+// the same samples everywhere (collectSampleLengths + buildProfileSection3DRange);
+// neighbouring ranges share their common ring so the surface is welded and its
+// normals are smooth across section boundaries. Where rings cannot be shared (the
+// point pairing changes at an assignment, or a held profile steps) they are
+// stitched together, so every run of a layer is one closed surface. Coordinates
+// are real project coordinates: x = easting, y = northing, z = height.
+import { ShapeUtils, Vector2 } from 'three'
+import { buildProfileSection3DRange, buildRotationMinimisingFrames, collectSampleLengths, createProfileMergeCache, getAxis3DPointsAtLength } from './geometry'
+import { getProfileLayerNames } from './profileLayers'
+
+// Geometry points are {x: easting, y: height, z: northing}
+const toProject = (p) => [p.x, p.z, p.y]
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+
+const sameRing = (a, b) =>
+  a.length === b.length && a.every((p, i) => Math.abs(p.x - b[i].x) + Math.abs(p.y - b[i].y) + Math.abs(p.z - b[i].z) < 1e-9)
+
+// Rings may be closed with a copy of their first point
+const openRing = (pts) => {
+  const last = pts[pts.length - 1]
+  return pts.length > 1 && Math.hypot(last.x - pts[0].x, last.y - pts[0].y, last.z - pts[0].z) < 1e-12 ? pts.slice(0, -1) : pts
+}
+
+const vertexAt = (positions, i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]
+
+// Joins two rings at the same station whose points are not shared: where the point
+// pairing changes at an assignment, or where a held profile steps to the next one.
+// Points of `next` are placed along `prev` by projection and the two rings are
+// zipped together in that order. Each ring is {start, count, flip} as in the
+// tube it belongs to, so the strip's triangles match the tubes' orientation.
+function stitchRings(positions, indices, prev, next) {
+  const P = Array.from({ length: prev.count }, (_, k) => vertexAt(positions, prev.start + k))
+  const A = Array.from({ length: next.count }, (_, k) => vertexAt(positions, next.start + k))
+  const cum = [0]
+  P.forEach((p, k) => cum.push(cum[k] + Math.hypot(...sub(P[(k + 1) % P.length], p))))
+  const total = cum[P.length] || 1
+  const params = A.map((q) => {
+    let best = { d: Infinity, s: 0 }
+    P.forEach((a, k) => {
+      const e = sub(P[(k + 1) % P.length], a)
+      const len2 = dot(e, e)
+      const t = len2 ? Math.max(0, Math.min(1, dot(sub(q, a), e) / len2)) : 0
+      const d = Math.hypot(...sub(q, a.map((v, i) => v + e[i] * t)))
+      if (d < best.d) best = { d, s: cum[k] + t * (cum[k + 1] - cum[k]) }
+    })
+    return best.s
+  })
+
+  // Walk `next` in the direction of `prev`, starting at its point nearest prev's first
+  let direction = 0
+  params.forEach((s, k) => {
+    const ds = params[(k + 1) % params.length] - s
+    direction += Math.abs(ds) < total / 2 ? Math.sign(ds) : -Math.sign(ds)
+  })
+  const forward = direction >= 0
+  const order = A.map((_, k) => (forward ? k : (A.length - k) % A.length))
+  const first = order.reduce((best, k, idx) => (params[k] < params[order[best]] ? idx : best), 0)
+  const ring = [...order.slice(first), ...order.slice(0, first)]
+  const u = [params[ring[0]]]
+  for (let j = 1; j < ring.length; j++) {
+    let value = params[ring[j]]
+    while (value < u[j - 1] - total / 2) value += total
+    u.push(value)
+  }
+  u.push(u[0] + total)
+
+  const p = (i) => prev.start + (i % P.length)
+  const a = (j) => next.start + ring[j % ring.length]
+  let i = 0
+  let j = 0
+  while (i < P.length || j < ring.length) {
+    const advancePrev = j >= ring.length || (i < P.length && cum[i + 1] <= u[j + 1])
+    if (advancePrev) {
+      // The tube before runs along prev from k + 1 to k unless flipped
+      if (prev.flip) indices.push(p(i), p(i + 1), a(j))
+      else indices.push(p(i + 1), p(i), a(j))
+      i++
+    } else {
+      // The tube after runs along next from k to k + 1 unless flipped
+      const along = forward !== next.flip
+      if (along) indices.push(a(j), a(j + 1), p(i))
+      else indices.push(a(j + 1), a(j), p(i))
+      j++
+    }
+  }
+}
+
+/**
+ * Triangle mesh of each profile layer plus the 3D axis polyline.
+ * options: {layers (names, default all), caps (close the ends of every run of
+ * the layer), superelevation, frameMode, morph, maxChord, minArcSteps, axisArcStep,
+ * onProgress (called with the finished fraction), onLayer (called with each layer
+ * as soon as it is done)}.
+ * Returns {layers: [{name, positions, indices, ranges, stations, stationEnds}], axis}
+ * with flat [x, y, z] arrays and triangles facing outward. ranges: [{from, to,
+ * start, count}] locate the triangles between two sample lengths in `indices`.
+ * stations holds the length of each vertex's ring and stationEnds 1 where that
+ * ring was sampled as the end of a range (the side before a step change).
+ */
+export function buildTunnelMeshData(axisData, heightAssignments, profileAssignments, profiles, options = {}) {
+  const result = { layers: [], axis: [] }
+  if (!Array.isArray(axisData) || !axisData.length) return result
+
+  const { superelevation, frameMode, morph, caps = false } = options
+  const sampleLengths = collectSampleLengths(axisData, heightAssignments, profileAssignments, {
+    arcStep: 10,
+    axisArcStep: options.axisArcStep || 1,
+    superelevation,
+  })
+  sampleLengths.forEach((len) => result.axis.push(...toProject(getAxis3DPointsAtLength(axisData, heightAssignments, len))))
+  if (!Array.isArray(profileAssignments) || !profileAssignments.length) return result
+
+  const frames = frameMode === 'rmf' ? buildRotationMinimisingFrames(axisData, heightAssignments, sampleLengths) : null
+  const sampling = {
+    maxChord: options.maxChord || 0.5,
+    minArcSteps: options.minArcSteps || 8,
+    superelevation,
+    frameMode,
+    frames,
+    morph,
+    mergeCache: createProfileMergeCache(),
+  }
+
+  const layerNames = options.layers || getProfileLayerNames(profiles)
+  const steps = layerNames.length * (sampleLengths.length - 1)
+  let done = 0
+  layerNames.forEach((layerName) => {
+    const positions = []
+    const indices = []
+    const ranges = []
+    const stations = []
+    const stationEnds = []
+    const addRing = (ring, length, isEnd) => {
+      const start = positions.length / 3
+      ring.forEach((p) => {
+        positions.push(...toProject(p))
+        stations.push(length)
+        stationEnds.push(isEnd ? 1 : 0)
+      })
+      return start
+    }
+    // Cap the ring at `start` facing along `direction`
+    const addCap = (ring, start, direction) => {
+      if (ring.length < 3) return
+      const projected = ring.map(p => toProject(p))
+      // Triangulate in the section plane, spanned by two in-plane vectors
+      const centre = projected.reduce((acc, p) => [acc[0] + p[0] / ring.length, acc[1] + p[1] / ring.length, acc[2] + p[2] / ring.length], [0, 0, 0])
+      let u = sub(projected[0], centre)
+      const n = direction.map(v => v / (Math.hypot(...direction) || 1))
+      u = sub(u, n.map(v => v * dot(u, n)))
+      const ul = Math.hypot(...u) || 1
+      u = u.map(v => v / ul)
+      const w = cross(n, u)
+      const contour = projected.map(p => new Vector2(dot(sub(p, centre), u), dot(sub(p, centre), w)))
+      const triangles = ShapeUtils.triangulateShape(contour, []).map(([a, b, c]) => {
+        const normal = cross(sub(projected[b], projected[a]), sub(projected[c], projected[a]))
+        return dot(normal, direction) >= 0 ? [a, b, c] : [a, c, b]
+      })
+      // Duplicate points are left out of the triangulation; fans of zero-area
+      // triangles take them back in so the cap shares every edge of the ring
+      const used = new Set(triangles.flat())
+      const edges = new Set(triangles.flatMap(([a, b, c]) => [`${a}>${b}`, `${b}>${c}`, `${c}>${a}`]))
+      for (let k = 0; k < ring.length; k++) {
+        if (!used.has(k) || used.has((k + 1) % ring.length)) continue
+        const run = [k]
+        let m = (k + 1) % ring.length
+        while (!used.has(m)) {
+          run.push(m)
+          m = (m + 1) % ring.length
+        }
+        run.push(m)
+        const along = edges.has(`${k}>${m}`)
+        for (let r = 1; r < run.length - 1; r++) {
+          triangles.push(along ? [k, run[r], run[r + 1]] : [k, run[r + 1], run[r]])
+        }
+      }
+      triangles.forEach(([a, b, c]) => indices.push(start + a, start + b, start + c))
+    }
+
+    let previousEnd = null
+    let previousEndStart = 0
+    let previousFlip = false
+    let previousDirection = null
+    for (let i = 0; i < sampleLengths.length - 1; i++) {
+      if (options.onProgress && steps) options.onProgress(done++ / steps)
+      const lenA = sampleLengths[i]
+      const lenB = sampleLengths[i + 1]
+      const lenC = i < sampleLengths.length - 2 ? sampleLengths[i + 2] : null
+      const section = buildProfileSection3DRange(axisData, heightAssignments, profileAssignments, profiles, lenA, lenB, lenC, { ...sampling, layer: layerName })
+      const ringA = section?.profile1Points ? openRing(section.profile1Points) : null
+      const ringB = section?.profile2Points ? openRing(section.profile2Points) : null
+      const valid = ringA && ringB && ringA.length === ringB.length && ringA.length >= 3
+
+      // A run ends where the layer stops
+      if (caps && previousEnd && !valid) addCap(previousEnd, previousEndStart, previousDirection)
+      if (!valid) {
+        previousEnd = null
+        continue
+      }
+      const direction = sub(toProject(section.frame.centerB), toProject(section.frame.centerA))
+
+      // Sections are traced counterclockwise in profile coordinates unless drawn the other way
+      const a0 = toProject(ringA[0])
+      let twice = 0
+      for (let k = 1; k < ringA.length - 1; k++) {
+        twice += dot(cross(sub(toProject(ringA[k]), a0), sub(toProject(ringA[k + 1]), a0)), direction)
+      }
+      const flip = twice > 0
+
+      const range = { from: lenA, to: lenB, start: indices.length, count: 0 }
+      const shared = previousEnd && sameRing(previousEnd, ringA)
+      const startA = shared ? previousEndStart : addRing(ringA, lenA, false)
+      if (caps && !previousEnd) addCap(ringA, startA, direction.map(v => -v))
+      if (previousEnd && !shared) {
+        stitchRings(positions, indices, { start: previousEndStart, count: previousEnd.length, flip: previousFlip }, { start: startA, count: ringA.length, flip })
+      }
+      const startB = addRing(ringB, lenB, true)
+      const count = ringA.length
+      for (let k = 0; k < count; k++) {
+        const next = (k + 1) % count
+        const a = startA + k
+        const b = startB + k
+        const c = startB + next
+        const d = startA + next
+        if (flip) indices.push(a, d, b, b, d, c)
+        else indices.push(a, b, d, b, c, d)
+      }
+      range.count = indices.length - range.start
+      ranges.push(range)
+      previousEnd = ringB
+      previousEndStart = startB
+      previousFlip = flip
+      previousDirection = direction
+    }
+    if (caps && previousEnd) addCap(previousEnd, previousEndStart, previousDirection)
+
+    if (indices.length) {
+      const layer = { name: layerName, positions, indices, ranges, stations, stationEnds }
+      result.layers.push(layer)
+      options.onLayer?.(layer)
+    }
+  })
+  options.onProgress?.(1)
+  return result
+}
+
+// Project coordinates to the 3D view's, in true metres around `origin` ([E, N, H],
+// see getMeshOrigin) so single precision stays exact: x east, y up and z south
+// (north with invertY off)
+export function toViewPositions(positions, { origin = [0, 0, 0], invertY = true } = {}) {
+  const out = new Float32Array(positions.length)
+  for (let i = 0; i < positions.length; i += 3) {
+    out[i] = positions[i] - origin[0]
+    out[i + 1] = positions[i + 2] - origin[2]
+    out[i + 2] = (positions[i + 1] - origin[1]) * (invertY ? -1 : 1)
+  }
+  return out
+}
+
+// A coarse preview first, then the full resolution of the 3D view
+export const TUNNEL_MESH_PHASES = [
+  { name: 'preview', options: { maxChord: 10, minArcSteps: 4, axisArcStep: 10 } },
+  { name: 'final', options: { maxChord: 5, minArcSteps: 4, axisArcStep: 1 } },
+]
+
+/**
+ * Generates the view meshes for a job and reports through post(message, transfer),
+ * the worker's postMessage. Messages: {type: 'progress', phase, value},
+ * {type: 'layer', phase, name, positions, indices, ranges, stations, stationEnds} with
+ * typed arrays (positions in view coordinates), {type: 'done', phase} after each phase and {type: 'error', message}.
+ * job: {axisData, heightAssignments, profileAssignments, profiles, options (see
+ * buildTunnelMeshData), view ({origin, invertY}), phases}.
+ */
+export function runTunnelMeshJob(job, post) {
+  const { axisData, heightAssignments, profileAssignments, profiles, options = {}, view, phases = TUNNEL_MESH_PHASES } = job
+  try {
+    phases.forEach((phase) => {
+      let reported = -Infinity
+      buildTunnelMeshData(axisData, heightAssignments, profileAssignments, profiles, {
+        ...options,
+        ...phase.options,
+        onProgress: (value) => {
+          if (value - reported < 0.01 && value < 1) return
+          reported = value
+          post({ type: 'progress', phase: phase.name, value })
+        },
+        onLayer: (layer) => {
+          const positions = toViewPositions(layer.positions, view)
+          const indices = Uint32Array.from(layer.indices)
+          const stations = Float64Array.from(layer.stations)
+          const stationEnds = Uint8Array.from(layer.stationEnds)
+          post(
+            { type: 'layer', phase: phase.name, name: layer.name, positions, indices, ranges: layer.ranges, stations, stationEnds },
+            [positions.buffer, indices.buffer, stations.buffer, stationEnds.buffer],
+          )
+        },
+      })
+      post({ type: 'done', phase: phase.name })
+    })
+  } catch (error) {
+    post({ type: 'error', message: error.message })
+  }
+}
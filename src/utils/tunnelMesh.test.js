@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import { buildTunnelMeshData, runTunnelMeshJob } from './tunnelMesh'
+import { getMeshOrigin } from './meshExport'
+import { circle, farStraight as straight } from './testGeometry'
+
+// Signed volume of a closed triangle mesh; positive when the triangles face outward
+const signedVolume = ({ positions, indices }, origin) => {
+  let volume = 0
+  const v = (i) => [positions[i * 3] - origin[0], positions[i * 3 + 1] - origin[1], positions[i * 3 + 2] - origin[2]]
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [v(indices[t]), v(indices[t + 1]), v(indices[t + 2])]
+    volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6
+  }
+  return volume
+}
+
+describe('tunnel mesh', () => {
+  it('builds a capped, outward-facing solid in project coordinates', () => {
+    ;[true, false].forEach((ccw) => {
+      const profiles = [{ id: 1, name: 'Circle', points: [], segments: circle(2, { ccw }) }]
+      const mesh = buildTunnelMeshData(straight, [], [{ length: 0, profileId: 1 }], profiles, { caps: true, maxChord: 0.2 })
+      expect(mesh.layers).toHaveLength(1)
+      const origin = getMeshOrigin(mesh)
+      expect(origin).toEqual([500000, 5200000, 0])
+      const volume = signedVolume(mesh.layers[0], origin)
+      expect(volume).toBeGreaterThan(Math.PI * 4 * 100 * 0.99)
+      expect(volume).toBeLessThan(Math.PI * 4 * 100)
+    })
+  })
+
+  it('shares rings within a profile', () => {
+    const profiles = [{ id: 1, name: 'Circle', points: [], segments: circle(2) }]
+    const assignments = [0, 25, 50, 75].map(length => ({ length, profileId: 1 }))
+    const { positions, ranges } = buildTunnelMeshData(straight, [], assignments, profiles).layers[0]
+    expect(ranges.map(r => r.from)).toEqual([0, 25, 50, 75])
+    const ringSize = ranges[0].count / 6
+    expect(positions.length / 3).toBe(5 * ringSize)
+  })
+
+  it('stitches pairing changes and steps into one closed surface', () => {
+    const profiles = [
+      { id: 1, name: 'Small', points: [], segments: circle(2) },
+      { id: 2, name: 'Large', points: [], segments: circle(3, { ccw: false }) },
+    ]
+    const cases = [
+      [{ length: 0, profileId: 1, interpolation: 'hold' }, { length: 50, profileId: 2 }],
+      [{ length: 0, profileId: 1 }, { length: 20, profileId: 1 }, { length: 60, profileId: 2 }],
+    ]
+    cases.forEach((assignments) => {
+      const mesh = buildTunnelMeshData(straight, [], assignments, profiles, { caps: true, maxChord: 0.2 })
+      const { indices } = mesh.layers[0]
+      // Every edge is used once in each direction
+      const edges = new Map()
+      for (let t = 0; t < indices.length; t += 3) {
+        ;[0, 1, 2].forEach((k) => {
+          const key = `${indices[t + k]}>${indices[t + (k + 1) % 3]}`
+          edges.set(key, (edges.get(key) || 0) + 1)
+        })
+      }
+      edges.forEach((n, key) => {
+        const [from, to] = key.split('>')
+        expect(n).toBe(1)
+        expect(edges.get(`${to}>${from}`)).toBe(1)
+      })
+      expect(signedVolume(mesh.layers[0], getMeshOrigin(mesh))).toBeGreaterThan(0)
+    })
+    const held = buildTunnelMeshData(straight, [], cases[0], profiles, { caps: true, maxChord: 0.2 })
+    expect(signedVolume(held.layers[0], getMeshOrigin(held))).toBeCloseTo(Math.PI * (4 + 9) * 50, -1)
+  })
+
+  it('runs a preview and a final pass with transferable view buffers', () => {
+    const profiles = [{ id: 1, name: 'Circle', points: [], segments: circle(2) }]
+    const messages = []
+    runTunnelMeshJob({
+      axisData: straight,
+      heightAssignments: [],
+      profileAssignments: [{ length: 0, profileId: 1 }],
+      profiles,
+      view: { origin: [500000, 5200000, 0], invertY: true },
+      phases: [{ name: 'preview', options: { maxChord: 1 } }, { name: 'final', options: { maxChord: 0.2 } }],
+    }, (message, transfer) => messages.push({ message, transfer }))
+
+    expect(messages.map(m => m.message.type).filter(t => t !== 'progress')).toEqual(['layer', 'done', 'layer', 'done'])
+    const progress = messages.filter(m => m.message.type === 'progress').map(m => m.message.value)
+    expect(progress[progress.length - 1]).toBe(1)
+    const [preview, final] = messages.filter(m => m.message.type === 'layer')
+    expect(final.message.indices.length).toBeGreaterThan(preview.message.indices.length)
+    const { positions, indices } = final.message
+    expect(positions).toBeInstanceOf(Float32Array)
+    expect(final.transfer).toEqual([positions.buffer, indices.buffer, final.message.stations.buffer, final.message.stationEnds.buffer])
+    expect(final.message.stations).toHaveLength(positions.length / 3)
+    // View coordinates in metres from the origin: easting, height up, northing negated
+    const ring = []
+    for (let i = 0; i < positions.length; i += 3) {
+      if (positions[i] === 0) ring.push([positions[i + 1], -positions[i + 2]])
+    }
+    expect(ring.length).toBeGreaterThan(8)
+    ring.forEach(([h, n]) => expect(Math.hypot(h, n)).toBeCloseTo(2, 5))
+  })
+})
@@ -0,0 +1,7 @@
+// Generates the tunnel meshes off the main thread (see runTunnelMeshJob). A job is
+// cancelled by terminating the worker.
+import { runTunnelMeshJob } from './tunnelMesh'
+
+self.onmessage = (event) => {
+  runTunnelMeshJob(event.data, (message, transfer) => self.postMessage(message, transfer))
+}
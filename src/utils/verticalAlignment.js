@@ -0,0 +1,117 @@
+// Vertical alignment along the axis. Height points are treated as PVIs (points of
+// vertical intersection) joined by straight grades; a PVI may carry a parabolic
+// vertical curve given by its length L or its K-value (L = K · |g2 - g1| in %).
+
+/**
+ * Resolves the height points into PVIs with incoming/outgoing grades (as ratios)
+ * and vertical curve extents. Curves that would overlap a neighbour are shortened
+ * and reported in warnings.
+ */
+export function buildVerticalAlignment(heightAssignments = []) {
+  const sorted = (Array.isArray(heightAssignments) ? [...heightAssignments] : [])
+    .map(h => ({ ...h, length: Number(h.length) || 0, height: Number(h.height) || 0 }))
+    .sort((a, b) => a.length - b.length)
+  const warnings = []
+
+  const pvis = sorted.map((h, i) => {
+    const prev = sorted[i - 1]
+    const next = sorted[i + 1]
+    const gradeIn = prev && h.length > prev.length ? (h.height - prev.height) / (h.length - prev.length) : null
+    const gradeOut = next && next.length > h.length ? (next.height - h.height) / (next.length - h.length) : null
+
+    let curveLength = 0
+    if (gradeIn !== null && gradeOut !== null) {
+      const L = Number(h.curveLength)
+      const K = Number(h.kValue)
+      if (h.curveLength !== '' && Number.isFinite(L) && L > 0) {
+        curveLength = L
+      } else if (h.kValue !== '' && Number.isFinite(K) && K > 0) {
+        curveLength = K * Math.abs(gradeOut - gradeIn) * 100
+      }
+      const maxHalf = Math.min(h.length - prev.length, next.length - h.length)
+      if (curveLength / 2 > maxHalf + 1e-9) {
+        warnings.push(`Vertical curve at PVI ${i + 1} is longer than its grades allow`)
+        curveLength = 2 * maxHalf
+      }
+    }
+    return { ...h, index: i, gradeIn, gradeOut, curveLength }
+  })
+
+  // Neighbouring curves may not overlap on the grade between them
+  for (let i = 0; i < pvis.length - 1; i++) {
+    const a = pvis[i]
+    const b = pvis[i + 1]
+    const available = b.length - a.length
+    const used = a.curveLength / 2 + b.curveLength / 2
+    if (used > available + 1e-9) {
+      warnings.push(`Vertical curves at PVI ${i + 1} and PVI ${i + 2} overlap`)
+      const f = available / used
+      a.curveLength *= f
+      b.curveLength *= f
+    }
+  }
+
+  pvis.forEach((p) => {
+    p.bvc = p.length - p.curveLength / 2
+    p.evc = p.length + p.curveLength / 2
+    p.kValue = p.curveLength && p.gradeIn !== null ? p.curveLength / (Math.abs(p.gradeOut - p.gradeIn) * 100 || Infinity) : null
+  })
+
+  return { pvis, warnings }
+}
+
+// Height and grade at a length, from a resolved alignment
+function evaluate(pvis, len) {
+  if (!pvis.length) return { height: 0, grade: 0 }
+  const first = pvis[0]
+  const last = pvis[pvis.length - 1]
+  if (len < first.length || pvis.length === 1) return { height: first.height, grade: 0 }
+  if (len > last.length) return { height: last.height, grade: 0 }
+
+  for (const p of pvis) {
+    if (p.curveLength > 0 && len > p.bvc && len < p.evc) {
+      const x = len - p.bvc
+      const r = (p.gradeOut - p.gradeIn) / p.curveLength
+      const hBvc = p.height - p.gradeIn * p.curveLength / 2
+      return { height: hBvc + p.gradeIn * x + (r * x * x) / 2, grade: p.gradeIn + r * x }
+    }
+  }
+
+  for (let i = 0; i < pvis.length - 1; i++) {
+    const a = pvis[i]
+    const b = pvis[i + 1]
+    if (len >= a.length && len <= b.length) {
+      if (b.length === a.length) return { height: b.height, grade: 0 }
+      const g = (b.height - a.height) / (b.length - a.length)
+      return { height: a.height + g * (len - a.length), grade: g }
+    }
+  }
+  return { height: last.height, grade: 0 }
+}
+
+export function getHeightAtLength(heightAssignments = [], len = 0) {
+  if (!Array.isArray(heightAssignments) || heightAssignments.length === 0) return 0
+  return evaluate(buildVerticalAlignment(heightAssignments).pvis, len).height
+}
+
+// Longitudinal grade (rise over run) at a length
+export function getGradeAtLength(heightAssignments = [], len = 0) {
+  if (!Array.isArray(heightAssignments) || heightAssignments.length === 0) return 0
+  return evaluate(buildVerticalAlignment(heightAssignments).pvis, len).grade
+}
+
+// Samples the vertical profile for plotting: PVIs, curve ends and points inside curves
+export function sampleVerticalProfile(heightAssignments = [], step = 5) {
+  const { pvis } = buildVerticalAlignment(heightAssignments)
+  const lengths = new Set()
+  pvis.forEach((p) => {
+    lengths.add(p.length)
+    if (p.curveLength > 0) {
+      const n = Math.max(2, Math.ceil(p.curveLength / Math.max(0.1, step)))
+      for (let i = 0; i <= n; i++) lengths.add(p.bvc + (p.curveLength * i) / n)
+    }
+  })
+  return Array.from(lengths)
+    .sort((a, b) => a - b)
+    .map(len => ({ length: len, height: evaluate(pvis, len).height }))
+}
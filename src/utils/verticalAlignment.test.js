@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { buildVerticalAlignment, getHeightAtLength, getGradeAtLength, sampleVerticalProfile } from './verticalAlignment'
+
+describe('vertical alignment', () => {
+  const pvis = [
+    { length: 0, height: 100 },
+    { length: 200, height: 104, curveLength: 100 },
+    { length: 400, height: 100 },
+  ]
+
+  it('interpolates linearly without vertical curves', () => {
+    const heights = [{ length: 0, height: 0 }, { length: 10, height: 5 }]
+    expect(getHeightAtLength(heights, 4)).toBeCloseTo(2)
+    expect(getHeightAtLength(heights, -5)).toBe(0)
+    expect(getHeightAtLength(heights, 50)).toBe(5)
+  })
+
+  it('resolves grades and curve extents at PVIs', () => {
+    const { pvis: resolved, warnings } = buildVerticalAlignment(pvis)
+    expect(warnings).toEqual([])
+    expect(resolved[1].gradeIn).toBeCloseTo(0.02)
+    expect(resolved[1].gradeOut).toBeCloseTo(-0.02)
+    expect(resolved[1].bvc).toBe(150)
+    expect(resolved[1].evc).toBe(250)
+    expect(resolved[1].kValue).toBeCloseTo(25)
+  })
+
+  it('follows a parabola through the vertical curve', () => {
+    // Tangent heights at the curve ends
+    expect(getHeightAtLength(pvis, 150)).toBeCloseTo(103)
+    expect(getHeightAtLength(pvis, 250)).toBeCloseTo(103)
+    // Mid-ordinate e = A·L/8 = 0.04·100/8 below the PVI
+    expect(getHeightAtLength(pvis, 200)).toBeCloseTo(104 - 0.5)
+    expect(getGradeAtLength(pvis, 200)).toBeCloseTo(0)
+    expect(getGradeAtLength(pvis, 175)).toBeCloseTo(0.01)
+    expect(getGradeAtLength(pvis, 300)).toBeCloseTo(-0.02)
+    // The end PVIs carry their tangent grade; beyond them the profile is level
+    expect(getGradeAtLength(pvis, 0)).toBeCloseTo(0.02)
+    expect(getGradeAtLength(pvis, -10)).toBe(0)
+  })
+
+  it('derives the curve length from a K-value', () => {
+    const withK = [pvis[0], { length: 200, height: 104, kValue: 10 }, pvis[2]]
+    const { pvis: resolved } = buildVerticalAlignment(withK)
+    expect(resolved[1].curveLength).toBeCloseTo(40)
+  })
+
+  it('shortens overlapping curves and warns', () => {
+    const overlapping = [
+      { length: 0, height: 0 },
+      { length: 100, height: 2, curveLength: 150 },
+      { length: 200, height: 0, curveLength: 150 },
+      { length: 300, height: 2 },
+    ]
+    const { pvis: resolved, warnings } = buildVerticalAlignment(overlapping)
+    expect(warnings.length).toBeGreaterThan(0)
+    expect(resolved[1].evc).toBeLessThanOrEqual(resolved[2].bvc + 1e-9)
+  })
+
+  it('samples the profile inside vertical curves', () => {
+    const samples = sampleVerticalProfile(pvis, 10)
+    expect(samples[0]).toEqual({ length: 0, height: 100 })
+    expect(samples.filter(s => s.length > 150 && s.length < 250).length).toBeGreaterThan(5)
+  })
+})